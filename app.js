@@ -3,7 +3,7 @@ const express = require('express');
 const cookieParser = require('cookie-parser');
 
 // Import configuration modules
-const { BASE_URL, PORT, validateEnvironment } = require('./src/config/environment');
+const { BASE_URL, PORT, LOCAL_PLAID_ENABLED, validateEnvironment } = require('./src/config/environment');
 const { createSessionConfig, session } = require('./src/config/session');
 
 // Import middleware
@@ -13,7 +13,11 @@ const { ErrorService } = require('./src/services/errorService');
 // Import enhanced route modules
 const authRoutesV2 = require('./src/routes/api/auth-v2');
 const plaidRoutesV2 = require('./src/routes/api/plaid-v2');
+const itemRoutesV2 = require('./src/routes/api/items-v2');
+const assetRoutesV2 = require('./src/routes/api/assets-v2');
+const sandboxRoutesV2 = require('./src/routes/api/sandbox-v2');
 const webhookRoutesV2 = require('./src/routes/api/webhooks-v2');
+const inspectorRoutesV2 = require('./src/routes/api/inspector-v2');
 const healthRoutes = require('./src/routes/health');
 const pageRoutes = require('./src/routes/pages');
 
@@ -30,7 +34,13 @@ const app = express();
 app.set('trust proxy', 1); // Trust first proxy (ngrok or similar)
 
 // 1. BASIC MIDDLEWARE
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes so webhook bodies can be hashed for Plaid-Verification checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -42,14 +52,18 @@ app.use(logger.requestMiddleware());
 
 // 2. PUBLIC ROUTES (before auth middleware)
 app.use(healthRoutes);
-app.use(webhookRoutesV2);
 
 // 3. APPLY AUTH MIDDLEWARE (protects routes below)
 app.use(validateApiKey);
 
 // 4. PROTECTED ROUTES (service-based)
 app.use(authRoutesV2);
+app.use(webhookRoutesV2); // /webhooks is skipped by validateApiKey
 app.use(plaidRoutesV2);
+app.use(itemRoutesV2);
+app.use(assetRoutesV2);
+app.use(sandboxRoutesV2);
+app.use(inspectorRoutesV2);
 app.use(pageRoutes);
 
 // 5. STATIC FILES (served last)
@@ -80,6 +94,11 @@ app.listen(PORT, () => {
   });
 });
 
+// Start the offline Plaid stand-in alongside the kit unless one is already running elsewhere
+if (LOCAL_PLAID_ENABLED && !process.env.LOCAL_PLAID_URL) {
+  require('./src/mock/localPlaidServer').start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
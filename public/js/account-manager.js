@@ -5,11 +5,19 @@ class AccountManager {
         this.hasAccessToken = false;
         this.currentToken = null;
         this.accounts = [];
+        this.items = [];
+        this.selectedItem = null;
     }
 
     async checkExistingToken() {
         try {
             const health = await window.apiClient.getStatus();
+            this.selectedItem = health.selected_item || null;
+
+            if (health.item_count > 0) {
+                await this.loadItems();
+            }
+
             if (health.hasAccessToken) {
                 this.hasAccessToken = true;
                 this.currentToken = health.access_token || '(server token)';
@@ -19,6 +27,9 @@ class AccountManager {
                 await this.loadAccounts();
                 return true;
             } else {
+                if (this.items.length > 0) {
+                    this.showExistingTokenBanner();
+                }
                 UIUtils.showStatus('tokenStatus', 'No access token available. Please enter one or connect via Link.', 'info');
                 return false;
             }
@@ -49,20 +60,140 @@ class AccountManager {
             }
         }
 
+        const itemOptions = this.items.map(item => `
+            <option value="${item.item_id}" ${item.selected ? 'selected' : ''}>${this.formatItemName(item)}</option>
+        `).join('');
+
+        const heading = this.hasAccessToken
+            ? `Testing against: ${this.selectedItem ? this.formatItemName(this.selectedItem) : 'an access token'}`
+            : 'Select a linked item to test with';
+
         banner.innerHTML = `
             <div class="grid grid-2">
                 <div>
-                    <h4 style="margin: 0;">An access token has been set</h4>
-                    <p style="margin: 5px 0 0 0; color: #666;">Ready to test. Or, start over with a new connection.</p>
+                    <h4 style="margin: 0;">${heading}</h4>
+                    <p style="margin: 5px 0 0 0; color: #666;">Ready to test. Switch items, or start over with a new connection.</p>
                 </div>
                 <div style="display: flex; gap: 10px; align-items: center; justify-content: flex-end;">
                     <button class="btn btn-outline" onclick="copyExistingToken()">Copy Token</button>
                     <button class="btn btn-secondary" onclick="startOver()">Start Over</button>
                 </div>
             </div>
+            <div style="display: flex; gap: 10px; align-items: center; margin-top: 12px;">
+                <select id="itemSelect" onchange="selectItem(this.value)" style="flex: 1;">
+                    <option value="">${this.items.length} linked item${this.items.length !== 1 ? 's' : ''} - select one...</option>
+                    ${itemOptions}
+                </select>
+                <button class="btn btn-outline" onclick="renameSelectedItem()">Rename</button>
+                <button class="btn btn-outline" onclick="removeSelectedItem()">Remove</button>
+            </div>
         `;
 
-        UIUtils.showStatus('tokenStatus', 'Access token set - ready to test APIs', 'success');
+        if (this.hasAccessToken) {
+            UIUtils.showStatus('tokenStatus', 'Access token set - ready to test APIs', 'success');
+        }
+    }
+
+    formatItemName(item) {
+        const institution = item.institution?.name && item.institution.name !== item.name
+            ? ` (${item.institution.name})` : '';
+        const products = item.products && item.products.length > 0 ? ` [${item.products.join(', ')}]` : '';
+        return `${item.name}${institution}${products}`;
+    }
+
+    async loadItems() {
+        try {
+            const response = await window.apiClient.getItems();
+            this.items = response.items || [];
+            this.selectedItem = this.items.find(item => item.selected) || null;
+            return this.items;
+        } catch (error) {
+            console.error('Failed to load items:', error);
+            this.items = [];
+            return this.items;
+        }
+    }
+
+    async selectItem(itemId) {
+        if (!itemId) return;
+
+        try {
+            const response = await window.apiClient.selectItem(itemId);
+            this.hasAccessToken = true;
+            this.currentToken = response.item.masked_access_token;
+
+            await this.loadItems();
+            this.showExistingTokenBanner();
+
+            // Results from the previous item no longer apply
+            if (window.pageTester && typeof window.pageTester.clearResults === 'function') {
+                window.pageTester.clearResults();
+            }
+
+            await this.loadAccounts();
+            UIUtils.showNotification(`Now testing with ${this.formatItemName(response.item)}`, 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to select item: ${error.message}`, 'error');
+        }
+    }
+
+    getBannerItemId() {
+        const itemSelect = document.getElementById('itemSelect');
+        return itemSelect ? itemSelect.value : null;
+    }
+
+    async renameSelectedItem() {
+        const itemId = this.getBannerItemId();
+        const item = this.items.find(i => i.item_id === itemId);
+        if (!item) {
+            UIUtils.showNotification('Please select an item to rename', 'error');
+            return;
+        }
+
+        const name = window.prompt('New name for this item:', item.name);
+        if (!name || !name.trim()) return;
+
+        try {
+            await window.apiClient.renameItem(itemId, name.trim());
+            await this.loadItems();
+            this.showExistingTokenBanner();
+            UIUtils.showNotification('Item renamed', 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to rename item: ${error.message}`, 'error');
+        }
+    }
+
+    async removeSelectedItem() {
+        const itemId = this.getBannerItemId();
+        const item = this.items.find(i => i.item_id === itemId);
+        if (!item) {
+            UIUtils.showNotification('Please select an item to remove', 'error');
+            return;
+        }
+
+        if (!window.confirm(`Remove "${item.name}" from this session?`)) {
+            return;
+        }
+
+        try {
+            await window.apiClient.removeItem(itemId);
+
+            if (item.selected) {
+                await this.startOver();
+            }
+
+            await this.loadItems();
+            if (this.items.length > 0) {
+                this.showExistingTokenBanner();
+            } else {
+                const banner = document.getElementById('existingTokenBanner');
+                if (banner) banner.remove();
+            }
+
+            UIUtils.showNotification('Item removed', 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to remove item: ${error.message}`, 'error');
+        }
     }
 
     async setAccessToken(accessToken) {
@@ -78,12 +209,8 @@ class AccountManager {
                 this.hasAccessToken = true;
                 this.currentToken = accessToken;
 
-                // Fetch item_id and set it in itemStore
-                const itemResponse = await window.apiClient.getItem(accessToken);
-                if (itemResponse.success && itemResponse.item_id) {
-                    // Send item_id to backend to store in itemStore
-                    await window.apiClient.setItemId({ access_token: accessToken, item_id: itemResponse.item_id });
-                }
+                // The server adds the item to this session's vault and selects it
+                await this.loadItems();
                 
                 UIUtils.showStatus('tokenStatus', 'Access token set successfully!', 'success');
                 
@@ -194,6 +321,7 @@ class AccountManager {
             // Reset local state
             this.hasAccessToken = false;
             this.currentToken = null;
+            this.selectedItem = null;
             this.accounts = [];
             
             // Clear UI elements
@@ -233,4 +361,16 @@ function copyExistingToken() {
 
 function startOver() {
     window.accountManager.startOver();
+}
+
+function selectItem(itemId) {
+    window.accountManager.selectItem(itemId);
+}
+
+function renameSelectedItem() {
+    window.accountManager.renameSelectedItem();
+}
+
+function removeSelectedItem() {
+    window.accountManager.removeSelectedItem();
 }
\ No newline at end of file
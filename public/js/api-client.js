@@ -38,10 +38,56 @@ class ApiClient {
         });
     }
 
-    async exchangePublicToken(publicToken) {
+    async exchangePublicToken(publicToken, metadata = {}) {
         return this.request('/api/exchange-token', {
             method: 'POST',
-            body: JSON.stringify({ public_token: publicToken })
+            body: JSON.stringify({
+                public_token: publicToken,
+                institution: metadata.institution || null
+            })
+        });
+    }
+
+    // Sandbox Operations
+    async createSandboxItem(options = {}) {
+        return this.request('/api/sandbox/create-item', {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    }
+
+    async getSandboxWebhookCodes() {
+        return this.request('/api/sandbox/webhook-codes');
+    }
+
+    async fireSandboxWebhook(options) {
+        return this.request('/api/sandbox/fire-webhook', {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    }
+
+    async resetSandboxLogin(itemId) {
+        return this.request('/api/sandbox/reset-login', {
+            method: 'POST',
+            body: JSON.stringify({ item_id: itemId })
+        });
+    }
+
+    async getResetLoginFlow() {
+        return this.request('/api/sandbox/reset-login');
+    }
+
+    async recordResetLoginUpdateMode(result) {
+        return this.request('/api/sandbox/reset-login/update-mode', {
+            method: 'POST',
+            body: JSON.stringify(result)
+        });
+    }
+
+    async verifyResetLogin() {
+        return this.request('/api/sandbox/reset-login/verify', {
+            method: 'POST'
         });
     }
 
@@ -76,11 +122,55 @@ class ApiClient {
         return response.json();
     }
 
+    // Item Vault Operations
+    async getItems() {
+        return this.request('/api/items');
+    }
+
+    async selectItem(itemId) {
+        return this.request(`/api/items/${encodeURIComponent(itemId)}/select`, {
+            method: 'POST'
+        });
+    }
+
+    async renameItem(itemId, name) {
+        return this.request(`/api/items/${encodeURIComponent(itemId)}/rename`, {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+    }
+
+    async removeItem(itemId) {
+        return this.request(`/api/items/${encodeURIComponent(itemId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async updateItemWebhook(itemId) {
+        return this.request(`/api/items/${encodeURIComponent(itemId)}/webhook`, {
+            method: 'POST'
+        });
+    }
+
+    // Get the link token stored in the server session (OAuth / Hosted Link resume)
+    async getLinkSession() {
+        return this.request('/api/link-session');
+    }
+
+    async clearLinkSession() {
+        return this.request('/api/link-session/clear', {
+            method: 'POST'
+        });
+    }
+
     // Get link token details (for hosted link)
-    async getLinkToken(linkToken) {
+    async getLinkToken(linkToken, options = {}) {
         return this.request('/api/get-link-token', {
             method: 'POST',
-            body: JSON.stringify({ link_token: linkToken })
+            body: JSON.stringify({
+                link_token: linkToken,
+                auto_exchange: options.autoExchange === true
+            })
         });
     }
 
@@ -118,6 +208,136 @@ class ApiClient {
     async getWebhookStats() {
         return this.request('/api/webhooks/stats');
     }
+
+    async replayWebhook(webhookId, options = {}) {
+        return this.request(`/api/webhooks/${encodeURIComponent(webhookId)}/replay`, {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    }
+
+    async replayWebhooks(criteria = {}) {
+        return this.request('/api/webhooks/replay', {
+            method: 'POST',
+            body: JSON.stringify(criteria)
+        });
+    }
+
+    async getApiCalls(filters = {}) {
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+        return this.request(`/api/inspector/calls${query ? `?${query}` : ''}`);
+    }
+
+    async getApiCall(callId) {
+        return this.request(`/api/inspector/calls/${encodeURIComponent(callId)}`);
+    }
+
+    /**
+     * Download an export of captured calls as a Blob, with the server's suggested filename
+     */
+    async exportApiCalls(options = {}) {
+        const query = new URLSearchParams(Object.entries(options).filter(([, value]) => value)).toString();
+        const response = await fetch(`${this.baseUrl}/api/inspector/export?${query}`);
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        return {
+            blob: await response.blob(),
+            filename: (disposition.match(/filename="([^"]+)"/) || [])[1] || 'plaid-calls.txt'
+        };
+    }
+
+    async clearApiCalls() {
+        return this.request('/api/inspector/clear', {
+            method: 'POST'
+        });
+    }
+
+    async getWebhookReactions() {
+        return this.request('/api/webhooks/reactions');
+    }
+
+    async updateWebhookReactions(reactions) {
+        return this.request('/api/webhooks/reactions', {
+            method: 'POST',
+            body: JSON.stringify({ reactions })
+        });
+    }
+
+    async pinWebhook(webhookId, pinned = true) {
+        return this.request(`/api/webhooks/${encodeURIComponent(webhookId)}/pin`, {
+            method: 'POST',
+            body: JSON.stringify({ pinned })
+        });
+    }
+
+    async getWebhookRetention() {
+        return this.request('/api/webhooks/retention');
+    }
+
+    async updateWebhookRetention(settings) {
+        return this.request('/api/webhooks/retention', {
+            method: 'POST',
+            body: JSON.stringify(settings)
+        });
+    }
+
+    async getQuarantinedWebhooks() {
+        return this.request('/api/webhooks/quarantine');
+    }
+
+    async claimQuarantinedWebhook(quarantineId, target = {}) {
+        return this.request(`/api/webhooks/quarantine/${encodeURIComponent(quarantineId)}/claim`, {
+            method: 'POST',
+            body: JSON.stringify(target)
+        });
+    }
+
+    async discardQuarantinedWebhook(quarantineId) {
+        return this.request(`/api/webhooks/quarantine/${encodeURIComponent(quarantineId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getWebhookForwarding() {
+        return this.request('/api/webhooks/forwarding');
+    }
+
+    async addForwardingRule(rule) {
+        return this.request('/api/webhooks/forwarding/rules', {
+            method: 'POST',
+            body: JSON.stringify(rule)
+        });
+    }
+
+    async updateForwardingRule(ruleId, changes) {
+        return this.request(`/api/webhooks/forwarding/rules/${encodeURIComponent(ruleId)}`, {
+            method: 'POST',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async deleteForwardingRule(ruleId) {
+        return this.request(`/api/webhooks/forwarding/rules/${encodeURIComponent(ruleId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async retryDeadLetter(deliveryId) {
+        return this.request(`/api/webhooks/forwarding/dead-letters/${encodeURIComponent(deliveryId)}/retry`, {
+            method: 'POST'
+        });
+    }
+
+    async clearDeadLetters() {
+        return this.request('/api/webhooks/forwarding/dead-letters/clear', {
+            method: 'POST'
+        });
+    }
 }
 
 // Create and export a singleton instance
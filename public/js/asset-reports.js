@@ -0,0 +1,436 @@
+// public/js/asset-reports.js
+
+class AssetReportWorkbench {
+    constructor() {
+        this.rawResponseData = null;
+        this.reports = [];
+        this.pollTimers = {};
+        this.pollInterval = 3000;
+        this.pollTimeout = 2 * 60 * 1000;
+        this.init();
+    }
+
+    async init() {
+        // Check if server has existing token and load accounts
+        await window.accountManager.checkExistingToken();
+
+        await this.loadItems();
+        await this.loadReports();
+
+        // Resume polling for reports that were still generating
+        this.reports
+            .filter(report => report.status === 'pending')
+            .forEach(report => this.startPolling(report.asset_report_id));
+    }
+
+    setRawResponse(data) {
+        this.rawResponseData = data;
+        document.getElementById('rawResponse').innerHTML = UIUtils.syntaxHighlight(data || '{}');
+    }
+
+    async loadItems() {
+        const container = document.getElementById('assetItems');
+
+        try {
+            const response = await window.apiClient.getItems();
+            const items = response.items || [];
+
+            if (items.length === 0) {
+                container.innerHTML = '<p style="margin: 0; color: #64748b;">No linked items yet.</p>';
+                return;
+            }
+
+            container.innerHTML = items.map(item => `
+                <label style="display: flex; align-items: center; gap: 8px; margin: 0 0 6px 0; text-transform: none; letter-spacing: normal; font-weight: normal;">
+                    <input type="checkbox" name="assetItem" value="${UIUtils.escapeHtml(item.item_id)}" ${item.selected ? 'checked' : ''}>
+                    ${UIUtils.escapeHtml(window.accountManager.formatItemName(item))}
+                </label>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = `<p style="margin: 0; color: #dc2626;">Could not load items: ${UIUtils.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async loadReports() {
+        try {
+            const response = await window.apiClient.request('/api/asset-reports');
+            this.reports = response.asset_reports || [];
+            this.renderReports();
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error loading Asset Reports: ${error.message}`, 'error');
+        }
+    }
+
+    async createAssetReport() {
+        const itemIds = Array.from(document.querySelectorAll('input[name="assetItem"]:checked'))
+            .map(input => input.value);
+
+        if (itemIds.length === 0) {
+            UIUtils.showStatus('apiStatus', 'Please select at least one item to include', 'error');
+            return;
+        }
+
+        const submitButton = document.querySelector('button[onclick="createAssetReport()"]');
+
+        try {
+            UIUtils.setButtonLoading(submitButton, true, 'Creating Asset Report...');
+
+            const response = await window.apiClient.request('/api/asset-reports/create', {
+                method: 'POST',
+                body: JSON.stringify({
+                    item_ids: itemIds,
+                    days_requested: document.getElementById('daysRequested').value,
+                    client_report_id: document.getElementById('clientReportId').value.trim() || null
+                })
+            });
+
+            this.setRawResponse(response);
+            await this.loadReports();
+            this.startPolling(response.asset_report.asset_report_id);
+
+            UIUtils.showStatus('apiStatus', 'Asset Report creation started - waiting for the PRODUCT_READY webhook...', 'info');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse({ error: error.message });
+        } finally {
+            UIUtils.setButtonLoading(submitButton, false);
+        }
+    }
+
+    /**
+     * Poll the status endpoint until the report's webhook arrives or polling times out
+     */
+    startPolling(assetReportId) {
+        this.stopPolling(assetReportId);
+        const startedAt = Date.now();
+
+        const poll = async () => {
+            try {
+                const response = await window.apiClient.request(`/api/asset-reports/${encodeURIComponent(assetReportId)}/status`);
+
+                if (response.status !== 'pending') {
+                    this.stopPolling(assetReportId);
+                    await this.loadReports();
+
+                    if (response.status === 'ready') {
+                        UIUtils.showNotification('Asset Report is ready!', 'success');
+                        await this.getAssetReport(assetReportId);
+                    } else {
+                        const errorMessage = response.status_webhook?.error?.error_message || 'Report generation failed';
+                        UIUtils.showStatus('apiStatus', `Asset Report error: ${errorMessage}`, 'error');
+                    }
+                    return;
+                }
+
+                if (Date.now() - startedAt > this.pollTimeout) {
+                    this.stopPolling(assetReportId);
+                    this.renderReports();
+                    UIUtils.showStatus('apiStatus', 'No PRODUCT_READY webhook yet. Use "Get" to check the report directly.', 'warning');
+                    return;
+                }
+
+                this.pollTimers[assetReportId] = setTimeout(poll, this.pollInterval);
+            } catch (error) {
+                this.stopPolling(assetReportId);
+                this.renderReports();
+                UIUtils.showStatus('apiStatus', `Error polling Asset Report status: ${error.message}`, 'error');
+            }
+        };
+
+        this.pollTimers[assetReportId] = setTimeout(poll, this.pollInterval);
+        this.renderReports();
+    }
+
+    stopPolling(assetReportId) {
+        if (this.pollTimers[assetReportId]) {
+            clearTimeout(this.pollTimers[assetReportId]);
+            delete this.pollTimers[assetReportId];
+        }
+    }
+
+    async getAssetReport(assetReportId) {
+        try {
+            const response = await window.apiClient.request(`/api/asset-reports/${encodeURIComponent(assetReportId)}/get`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+
+            this.setRawResponse(response.raw_response);
+
+            if (!response.ready) {
+                UIUtils.showStatus('apiStatus', 'Asset Report is still being generated. Try again shortly.', 'info');
+                return;
+            }
+
+            this.stopPolling(assetReportId);
+            this.updateReportContents(response);
+            await this.loadReports();
+            UIUtils.showStatus('apiStatus', 'Asset Report retrieved successfully!', 'success');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse({ error: error.message });
+        }
+    }
+
+    async downloadPdf(assetReportId) {
+        try {
+            const response = await fetch(`/api/asset-reports/${encodeURIComponent(assetReportId)}/pdf`);
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `asset-report-${assetReportId}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            UIUtils.showNotification('Asset Report PDF downloaded', 'success');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error downloading PDF: ${error.message}`, 'error');
+        }
+    }
+
+    async refreshAssetReport(assetReportId) {
+        try {
+            const response = await window.apiClient.request(`/api/asset-reports/${encodeURIComponent(assetReportId)}/refresh`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+
+            this.setRawResponse(response);
+            await this.loadReports();
+            this.startPolling(response.asset_report.asset_report_id);
+
+            UIUtils.showStatus('apiStatus', 'Asset Report refresh started - waiting for the PRODUCT_READY webhook...', 'info');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse({ error: error.message });
+        }
+    }
+
+    async createAuditCopy(assetReportId) {
+        const auditorId = window.prompt('Auditor ID:', 'fannie_mae');
+        if (!auditorId || !auditorId.trim()) return;
+
+        try {
+            const response = await window.apiClient.request(`/api/asset-reports/${encodeURIComponent(assetReportId)}/audit-copy`, {
+                method: 'POST',
+                body: JSON.stringify({ auditor_id: auditorId.trim() })
+            });
+
+            this.setRawResponse(response);
+            await this.loadReports();
+            UIUtils.showStatus('apiStatus', `Audit copy created for ${auditorId.trim()}`, 'success');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse({ error: error.message });
+        }
+    }
+
+    async removeAssetReport(assetReportId) {
+        if (!window.confirm('Remove this Asset Report? It can no longer be fetched afterwards.')) return;
+
+        try {
+            const response = await window.apiClient.request(`/api/asset-reports/${encodeURIComponent(assetReportId)}`, {
+                method: 'DELETE'
+            });
+
+            this.stopPolling(assetReportId);
+            this.setRawResponse(response);
+            this.reports = response.asset_reports || [];
+            this.renderReports();
+            UIUtils.showNotification('Asset Report removed', 'success');
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse({ error: error.message });
+        }
+    }
+
+    renderStatus(report) {
+        const styles = {
+            pending: 'background: #fef3c7; color: #92400e;',
+            ready: 'background: #dcfce7; color: #166534;',
+            error: 'background: #fee2e2; color: #991b1b;'
+        };
+        const polling = this.pollTimers[report.asset_report_id] ? ' (polling...)' : '';
+        const webhook = report.status_webhook
+            ? `<div class="product-description">${UIUtils.escapeHtml(report.status_webhook.webhook_code)} at ${new Date(report.status_webhook.timestamp).toLocaleTimeString()}</div>`
+            : '';
+
+        return `
+            <span style="display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: 600; ${styles[report.status] || ''}">
+                ${UIUtils.escapeHtml(report.status)}${polling}
+            </span>
+            ${webhook}
+        `;
+    }
+
+    renderReports() {
+        const container = document.getElementById('assetReportsTable');
+
+        if (this.reports.length === 0) {
+            container.innerHTML = '<p style="color: #64748b;">No Asset Reports created in this session yet.</p>';
+            return;
+        }
+
+        const rows = this.reports.map(report => {
+            const id = UIUtils.escapeHtml(report.asset_report_id);
+            const refreshedFrom = report.refreshed_from
+                ? `<div class="product-description">Refreshed from ${UIUtils.escapeHtml(report.refreshed_from)}</div>` : '';
+            const auditCopies = report.audit_copies.length === 0 ? '-' : report.audit_copies.map(copy => `
+                <div class="product-description" title="${UIUtils.escapeHtml(copy.audit_copy_token)}">${UIUtils.escapeHtml(copy.auditor_id)}</div>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>
+                        <div class="product-name" style="font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 12px;">${id}</div>
+                        <div class="product-description">${UIUtils.escapeHtml(report.client_report_id || 'No client report ID')}</div>
+                        ${refreshedFrom}
+                    </td>
+                    <td>${report.item_ids.length} item(s) · ${report.days_requested} days</td>
+                    <td>${this.renderStatus(report)}</td>
+                    <td>${auditCopies}</td>
+                    <td>${new Date(report.created_at).toLocaleString()}</td>
+                    <td style="white-space: nowrap;">
+                        <button class="btn btn-outline" onclick="getAssetReport('${id}')">Get</button>
+                        <button class="btn btn-outline" onclick="downloadAssetReportPdf('${id}')">PDF</button>
+                        <button class="btn btn-outline" onclick="refreshAssetReport('${id}')">Refresh</button>
+                        <button class="btn btn-outline" onclick="createAuditCopy('${id}')">Audit Copy</button>
+                        <button class="btn btn-outline" onclick="removeAssetReport('${id}')">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Report</th>
+                        <th>Scope</th>
+                        <th>Status</th>
+                        <th>Audit Copies</th>
+                        <th>Created</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    updateReportContents(data) {
+        console.log('Asset Report results:', data);
+
+        const report = data.report;
+        const warningText = data.warnings.length > 0 ? ` - ${data.warnings.length} warning(s)` : '';
+        document.getElementById('reportSummary').textContent =
+            `Report ${report.asset_report_id} generated ${new Date(report.date_generated).toLocaleString()} covering ${report.days_requested} days${warningText}`;
+
+        const rows = report.items.flatMap(item => item.accounts.map(account => `
+            <tr>
+                <td>
+                    <div class="product-name">${UIUtils.escapeHtml(item.institution_name)}</div>
+                    <div class="product-description">${UIUtils.escapeHtml(item.item_id)}</div>
+                </td>
+                <td>
+                    <div class="product-name">${UIUtils.escapeHtml(account.name)}${account.mask ? ` ****${UIUtils.escapeHtml(account.mask)}` : ''}</div>
+                    <div class="product-description">${UIUtils.escapeHtml(account.type)} / ${UIUtils.escapeHtml(account.subtype)}</div>
+                </td>
+                <td>${UIUtils.escapeHtml(account.owner_names.join(', ') || '-')}</td>
+                <td style="text-align: right;">${UIUtils.formatCurrency(account.current_balance, account.iso_currency_code)}</td>
+                <td style="text-align: right;">${UIUtils.escapeHtml(account.days_available)}</td>
+                <td style="text-align: right;">${account.transaction_count}</td>
+                <td style="text-align: right;">${account.historical_balance_count}</td>
+            </tr>
+        `)).join('');
+
+        document.getElementById('reportContents').innerHTML = `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Institution</th>
+                        <th>Account</th>
+                        <th>Owners</th>
+                        <th style="text-align: right;">Current Balance</th>
+                        <th style="text-align: right;">Days Available</th>
+                        <th style="text-align: right;">Transactions</th>
+                        <th style="text-align: right;">Historical Balances</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        UIUtils.showNotification('Asset Report retrieved!', 'success');
+    }
+
+    // Helper method to clear all results
+    clearResults() {
+        document.getElementById('reportSummary').textContent = 'Click "Get" on a ready report to retrieve';
+        document.getElementById('reportContents').innerHTML = '';
+
+        // Clear raw response
+        document.getElementById('rawResponse').textContent = '// API response will appear here after testing';
+        this.rawResponseData = null;
+
+        // The linked items may have changed
+        this.loadItems();
+    }
+
+    async copyRawResponse() {
+        if (this.rawResponseData) {
+            const success = await UIUtils.copyToClipboard(JSON.stringify(this.rawResponseData, null, 2));
+            if (success) {
+                UIUtils.showNotification('Response copied to clipboard!', 'success');
+            } else {
+                UIUtils.showNotification('Failed to copy response', 'error');
+            }
+        } else {
+            UIUtils.showNotification('No response data available', 'error');
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function createAssetReport() {
+    window.assetReportWorkbench.createAssetReport();
+}
+
+function getAssetReport(assetReportId) {
+    window.assetReportWorkbench.getAssetReport(assetReportId);
+}
+
+function downloadAssetReportPdf(assetReportId) {
+    window.assetReportWorkbench.downloadPdf(assetReportId);
+}
+
+function refreshAssetReport(assetReportId) {
+    window.assetReportWorkbench.refreshAssetReport(assetReportId);
+}
+
+function createAuditCopy(assetReportId) {
+    window.assetReportWorkbench.createAuditCopy(assetReportId);
+}
+
+function removeAssetReport(assetReportId) {
+    window.assetReportWorkbench.removeAssetReport(assetReportId);
+}
+
+function copyRawResponse() {
+    window.assetReportWorkbench.copyRawResponse();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.assetReportWorkbench = new AssetReportWorkbench();
+    window.pageTester = window.assetReportWorkbench; // For account manager integration
+});
@@ -0,0 +1,147 @@
+// public/js/hosted-link-complete.js
+
+class HostedLinkCompletion {
+    constructor() {
+        this.linkToken = null;
+        this.maxAttempts = 5;
+        this.retryDelay = 2000;
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.linkToken = await this.restoreLinkToken();
+
+            if (!this.linkToken) {
+                throw new Error('No Hosted Link session found. Start a new session from the start page.');
+            }
+
+            await this.complete();
+        } catch (error) {
+            UIUtils.showStatus('hostedCompleteStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore the hosted link token from the server session, falling back to localStorage
+     */
+    async restoreLinkToken() {
+        try {
+            const response = await window.apiClient.getLinkSession();
+            const session = response.link_session;
+            if (session?.link_token && session.mode === 'hosted') {
+                document.getElementById('hostedLinkTokenSource').textContent = 'Server session';
+                return session.link_token;
+            }
+        } catch (error) {
+            console.warn('Could not restore link token from session:', error);
+        }
+
+        try {
+            const storedData = JSON.parse(localStorage.getItem('plaid_hosted_link_session') || 'null');
+            if (storedData?.link_token) {
+                document.getElementById('hostedLinkTokenSource').textContent = 'Browser storage';
+                return storedData.link_token;
+            }
+        } catch (error) {
+            console.warn('Failed to parse stored hosted link data:', error);
+        }
+
+        document.getElementById('hostedLinkTokenSource').textContent = 'Not found';
+        return null;
+    }
+
+    /**
+     * Fetch the link token's sessions, retrying briefly since Plaid may not have
+     * recorded the finished session by the time the browser is redirected
+     */
+    async complete() {
+        UIUtils.toggleElement('retryHostedCompleteButton', false);
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            UIUtils.showStatus('hostedCompleteStatus', `Checking Hosted Link session (attempt ${attempt}/${this.maxAttempts})...`, 'info');
+
+            const response = await window.apiClient.getLinkToken(this.linkToken, { autoExchange: true });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            const latestSession = response.link_sessions?.[response.link_sessions.length - 1];
+            document.getElementById('hostedSessionStatus').textContent = latestSession?.status || 'not started';
+
+            if (response.has_completed_session) {
+                return this.showResult(response);
+            }
+
+            if (latestSession?.status === 'exited') {
+                const exitStatus = latestSession.exit_status ? ` (exit status: ${latestSession.exit_status})` : '';
+                UIUtils.showStatus('hostedCompleteStatus', `Hosted Link session was exited before completing${exitStatus}`, 'warning');
+                await this.finishLinkSession();
+                return;
+            }
+
+            if (attempt < this.maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+            }
+        }
+
+        UIUtils.showStatus('hostedCompleteStatus', 'The Hosted Link session has not finished yet. Check again in a moment.', 'warning');
+        UIUtils.toggleElement('retryHostedCompleteButton', true);
+    }
+
+    async showResult(response) {
+        const exchangedItems = response.exchanged_items || [];
+
+        if (!exchangedItems.length && !response.exchanged_public_tokens?.includes(response.public_token)) {
+            throw new Error('The completed session\'s public token could not be exchanged');
+        }
+
+        await this.finishLinkSession();
+
+        const metadata = response.metadata || {};
+        const itemRows = exchangedItems.map(item => `
+            <div><strong>Item ID:</strong> ${UIUtils.escapeHtml(item.item_id)}</div>
+            <div><strong>Institution:</strong> ${UIUtils.escapeHtml(item.institution?.name || item.name || metadata.institution?.name || 'Unknown')}</div>
+        `).join('');
+
+        document.getElementById('hostedConnectionInfo').innerHTML = `
+            <div class="grid grid-2">
+                <div><strong>Connection Type:</strong> Hosted Link</div>
+                <div><strong>Accounts:</strong> ${metadata.accounts?.length || 0} connected</div>
+                ${itemRows || '<div>Public token was already exchanged earlier.</div>'}
+            </div>
+        `;
+
+        UIUtils.toggleElement('hostedSuccessSection', true);
+        UIUtils.showStatus('hostedCompleteStatus', 'Hosted Link connection complete!', 'success');
+        UIUtils.showNotification('Hosted Link connection successful!', 'success');
+    }
+
+    async finishLinkSession() {
+        localStorage.removeItem('plaid_hosted_link_session');
+        try {
+            await window.apiClient.clearLinkSession();
+        } catch (error) {
+            console.warn('Could not clear link session:', error);
+        }
+    }
+
+    async retry() {
+        try {
+            await this.complete();
+        } catch (error) {
+            UIUtils.showStatus('hostedCompleteStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function retryHostedLinkCompletion() {
+    window.hostedLinkCompletion.retry();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.hostedLinkCompletion = new HostedLinkCompletion();
+});
@@ -0,0 +1,217 @@
+// public/js/inspector.js
+
+class ApiInspector {
+    constructor() {
+        this.calls = [];
+        this.selectedCallId = new URLSearchParams(window.location.search).get('call_id');
+        this.refreshInterval = null;
+        this.init();
+    }
+
+    async init() {
+        await this.loadCalls();
+
+        if (this.selectedCallId) {
+            await this.showCall(this.selectedCallId);
+        }
+
+        this.toggleAutoRefresh();
+    }
+
+    getFilters() {
+        return {
+            endpoint: document.getElementById('filterEndpoint').value,
+            status: document.getElementById('filterStatus').value,
+            item_id: document.getElementById('filterItem').value,
+            source: document.getElementById('filterSource').value
+        };
+    }
+
+    async loadCalls() {
+        try {
+            const response = await window.apiClient.getApiCalls(this.getFilters());
+            this.calls = response.calls || [];
+
+            this.updateFilterOptions('filterEndpoint', response.endpoints || [], 'All endpoints');
+            this.updateFilterOptions('filterItem', response.item_ids || [], 'All items');
+            document.getElementById('callCount').textContent = `(${this.calls.length} of ${response.total})`;
+
+            this.renderCalls();
+        } catch (error) {
+            UIUtils.showStatus('inspectorStatus', `Error loading calls: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Refill a filter dropdown, keeping the current choice
+     */
+    updateFilterOptions(selectId, values, allLabel) {
+        const select = document.getElementById(selectId);
+        const current = select.value;
+
+        select.innerHTML = `<option value="">${allLabel}</option>` + values
+            .map(value => `<option value="${UIUtils.escapeHtml(value)}">${UIUtils.escapeHtml(value)}</option>`)
+            .join('');
+        select.value = values.includes(current) ? current : '';
+    }
+
+    renderCalls() {
+        const list = document.getElementById('callList');
+
+        if (this.calls.length === 0) {
+            list.innerHTML = '<p style="color: #64748b;">No calls match these filters.</p>';
+            return;
+        }
+
+        list.innerHTML = this.calls.map(call => `
+            <div class="call-entry${call.call_id === this.selectedCallId ? ' selected' : ''}" onclick="showCall('${call.call_id}')">
+                <span class="call-status${call.ok ? '' : ' error'}">${call.status || 'ERR'}</span>
+                <div>
+                    <strong>${UIUtils.escapeHtml(call.endpoint)}</strong>
+                    ${call.webhooks.length > 0 ? `<span class="call-webhook-badge">⚡ ${call.webhooks.length} webhook${call.webhooks.length === 1 ? '' : 's'}</span>` : ''}
+                    <div class="call-meta">
+                        ${new Date(call.started_at).toLocaleTimeString()} · ${call.duration_ms}ms
+                        ${call.item_id ? ` · ${UIUtils.escapeHtml(call.item_id)}` : ''}
+                        ${call.error?.error_code ? ` · ${UIUtils.escapeHtml(call.error.error_code)}` : ''}
+                    </div>
+                </div>
+                <span class="call-meta">${call.source === 'background' ? 'background' : ''}</span>
+            </div>
+        `).join('');
+    }
+
+    async showCall(callId) {
+        this.selectedCallId = callId;
+        this.renderCalls();
+
+        const details = document.getElementById('callDetails');
+
+        try {
+            const { call } = await window.apiClient.getApiCall(callId);
+
+            details.innerHTML = `
+                <div class="result-field"><strong>Endpoint:</strong> ${call.method} https://${UIUtils.escapeHtml(call.host)}${UIUtils.escapeHtml(call.endpoint)}</div>
+                <div class="result-field"><strong>Status:</strong> ${call.status || 'No response'} in ${call.duration_ms}ms</div>
+                <div class="result-field"><strong>request_id:</strong> <code>${UIUtils.escapeHtml(call.request_id || '-')}</code></div>
+                <div class="result-field"><strong>Started:</strong> ${new Date(call.started_at).toLocaleString()}</div>
+                ${call.item_id ? `<div class="result-field"><strong>Item:</strong> <code>${UIUtils.escapeHtml(call.item_id)}</code></div>` : ''}
+                ${call.asset_report_id ? `<div class="result-field"><strong>Asset Report:</strong> <code>${UIUtils.escapeHtml(call.asset_report_id)}</code></div>` : ''}
+                ${call.error ? `<div class="status status-error">${UIUtils.escapeHtml([call.error.error_code, call.error.error_message].filter(Boolean).join(': '))}</div>` : ''}
+                <div style="display: flex; gap: 8px; margin-top: 12px;">
+                    <button class="btn btn-outline" onclick="exportCalls(event, '${call.call_id}', 'curl')">Copy as cURL</button>
+                    <button class="btn btn-outline" onclick="exportCalls(event, '${call.call_id}', 'postman')">Postman</button>
+                    <button class="btn btn-outline" onclick="exportCalls(event, '${call.call_id}', 'har')">HAR</button>
+                </div>
+                ${this.renderCausedWebhooks(call)}
+                <h4 style="margin-top: 16px;">Request</h4>
+                <div class="json-block">${UIUtils.syntaxHighlight(call.request)}</div>
+                <h4 style="margin-top: 16px;">Response</h4>
+                <div class="json-block">${UIUtils.syntaxHighlight(call.response || { error: call.error })}</div>
+            `;
+        } catch (error) {
+            details.innerHTML = `<div class="status status-error">Could not load call: ${UIUtils.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderCausedWebhooks(call) {
+        if (call.webhooks.length === 0) {
+            return '';
+        }
+
+        return `
+            <h4 style="margin-top: 16px;">Webhooks Caused</h4>
+            ${call.webhooks.map(webhook => `
+                <div class="result-field">
+                    <a href="/webhooks.html#webhook-${webhook.webhook_id}">#${webhook.webhook_id} ${UIUtils.escapeHtml(webhook.webhook_type)} / ${UIUtils.escapeHtml(webhook.webhook_code || '-')}</a>
+                    <span class="call-meta">received ${new Date(webhook.received_at).toLocaleTimeString()}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Export one call (or the filtered list) in the chosen format; a single cURL command goes to the clipboard
+     */
+    async exportCalls(event, callId = null, format = null) {
+        format = format || document.getElementById('exportFormat').value;
+        const includeSecrets = document.getElementById('exportIncludeSecrets').checked;
+
+        UIUtils.setButtonLoading(event.target, true);
+
+        try {
+            const { blob, filename } = await window.apiClient.exportApiCalls({
+                format,
+                call_id: callId,
+                include_secrets: includeSecrets ? 'true' : null,
+                ...(callId ? {} : this.getFilters())
+            });
+
+            if (callId && format === 'curl') {
+                await navigator.clipboard.writeText(await blob.text());
+                UIUtils.showNotification('cURL command copied to clipboard', 'success');
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            link.click();
+
+            UIUtils.showNotification(`Exported ${filename}`, 'success');
+        } catch (error) {
+            UIUtils.showStatus('inspectorStatus', `Export failed: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async clearCalls() {
+        if (!confirm('Clear this session\'s Plaid call log?')) {
+            return;
+        }
+
+        try {
+            await window.apiClient.clearApiCalls();
+            this.selectedCallId = null;
+            document.getElementById('callDetails').innerHTML = 'Select a call to see its full request and response';
+            await this.loadCalls();
+        } catch (error) {
+            UIUtils.showStatus('inspectorStatus', `Error clearing calls: ${error.message}`, 'error');
+        }
+    }
+
+    toggleAutoRefresh() {
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+
+        if (document.getElementById('autoRefresh').checked) {
+            this.refreshInterval = setInterval(() => this.loadCalls(), 5000);
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function loadCalls() {
+    window.apiInspector.loadCalls();
+}
+
+function showCall(callId) {
+    window.apiInspector.showCall(callId);
+}
+
+function exportCalls(event, callId, format) {
+    window.apiInspector.exportCalls(event, callId, format);
+}
+
+function clearCalls() {
+    window.apiInspector.clearCalls();
+}
+
+function toggleAutoRefresh() {
+    window.apiInspector.toggleAutoRefresh();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.apiInspector = new ApiInspector();
+});
@@ -0,0 +1,268 @@
+// public/js/investments-tester.js
+
+class InvestmentsTester {
+    constructor() {
+        this.rawResponses = {
+            holdings: null,
+            transactions: null
+        };
+        this.init();
+    }
+
+    async init() {
+        this.setDefaultDateRange();
+
+        // Check if server has existing token and load accounts
+        await window.accountManager.checkExistingToken();
+    }
+
+    setDefaultDateRange() {
+        const end = new Date();
+        const start = new Date();
+        start.setDate(start.getDate() - 90);
+
+        document.getElementById('startDate').value = start.toISOString().split('T')[0];
+        document.getElementById('endDate').value = end.toISOString().split('T')[0];
+    }
+
+    /**
+     * Build the account filter for a request, or null to include all accounts
+     */
+    getAccountIndex() {
+        if (document.getElementById('allAccounts').checked) {
+            return null;
+        }
+
+        const selectedAccount = window.accountManager.getSelectedAccount();
+        if (!selectedAccount) {
+            throw new Error('Please select an account or include all investment accounts');
+        }
+
+        return selectedAccount.index;
+    }
+
+    async testHoldingsGet() {
+        if (!window.accountManager.hasAccessToken) {
+            UIUtils.showStatus('apiStatus', 'Please set an access token first', 'error');
+            return;
+        }
+
+        const submitButton = document.querySelector('button[onclick="testHoldingsGet()"]');
+
+        try {
+            const accountIndex = this.getAccountIndex();
+            UIUtils.setButtonLoading(submitButton, true, 'Testing Holdings API...');
+
+            const response = await window.apiClient.request('/api/test-investments/holdings', {
+                method: 'POST',
+                body: JSON.stringify({ account_index: accountIndex })
+            });
+
+            if (response.success) {
+                this.updateHoldingsResults(response);
+                this.setRawResponse('holdings', response.raw_response);
+                UIUtils.showStatus('apiStatus', `Holdings API called successfully! ${response.holdings.length} holding(s) found.`, 'success');
+            } else {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse('holdings', { error: error.message });
+        } finally {
+            UIUtils.setButtonLoading(submitButton, false);
+        }
+    }
+
+    async testInvestmentTransactionsGet() {
+        if (!window.accountManager.hasAccessToken) {
+            UIUtils.showStatus('apiStatus', 'Please set an access token first', 'error');
+            return;
+        }
+
+        const startDate = document.getElementById('startDate').value;
+        const endDate = document.getElementById('endDate').value;
+
+        if (!startDate || !endDate) {
+            UIUtils.showStatus('apiStatus', 'Please choose a start and end date', 'error');
+            return;
+        }
+
+        const submitButton = document.querySelector('button[onclick="testInvestmentTransactionsGet()"]');
+
+        try {
+            const accountIndex = this.getAccountIndex();
+            UIUtils.setButtonLoading(submitButton, true, 'Testing Transactions API...');
+
+            const response = await window.apiClient.request('/api/test-investments/transactions', {
+                method: 'POST',
+                body: JSON.stringify({
+                    start_date: startDate,
+                    end_date: endDate,
+                    account_index: accountIndex
+                })
+            });
+
+            if (response.success) {
+                this.updateTransactionsResults(response);
+                this.setRawResponse('transactions', response.raw_response);
+                UIUtils.showStatus('apiStatus', `Investment Transactions API called successfully! ${response.total_investment_transactions} transaction(s) found.`, 'success');
+            } else {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.setRawResponse('transactions', { error: error.message });
+        } finally {
+            UIUtils.setButtonLoading(submitButton, false);
+        }
+    }
+
+    setRawResponse(type, data) {
+        this.rawResponses[type] = data;
+        const elementId = type === 'holdings' ? 'rawHoldingsResponse' : 'rawTransactionsResponse';
+        document.getElementById(elementId).innerHTML = UIUtils.syntaxHighlight(data || '{}');
+    }
+
+    updateHoldingsResults(data) {
+        console.log('Holdings API results:', data);
+
+        const totalValue = data.holdings.reduce((sum, holding) => sum + (holding.institution_value || 0), 0);
+        document.getElementById('holdingsSummary').textContent =
+            `${data.holdings.length} holding(s) across ${data.account_count} account(s) and ${data.security_count} securit${data.security_count === 1 ? 'y' : 'ies'} - total value ${UIUtils.formatCurrency(totalValue)}`;
+
+        if (data.holdings.length === 0) {
+            document.getElementById('holdingsTable').innerHTML = '<p style="color: #64748b;">No holdings returned.</p>';
+            return;
+        }
+
+        const rows = data.holdings.map(holding => {
+            const currency = holding.iso_currency_code || holding.unofficial_currency_code;
+            return `
+                <tr>
+                    <td>
+                        <div class="product-name">${UIUtils.escapeHtml(holding.security_name || holding.security_id)}</div>
+                        <div class="product-description">${UIUtils.escapeHtml(holding.ticker_symbol || '-')} · ${UIUtils.escapeHtml(holding.security_type || '-')}</div>
+                    </td>
+                    <td>${UIUtils.escapeHtml(holding.account_name || holding.account_id)}</td>
+                    <td style="text-align: right;">${UIUtils.escapeHtml(holding.quantity)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(holding.institution_price, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(holding.institution_value, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(holding.cost_basis, currency)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('holdingsTable').innerHTML = `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Security</th>
+                        <th>Account</th>
+                        <th style="text-align: right;">Quantity</th>
+                        <th style="text-align: right;">Price</th>
+                        <th style="text-align: right;">Value</th>
+                        <th style="text-align: right;">Cost Basis</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        UIUtils.showNotification('Holdings API test completed!', 'success');
+    }
+
+    updateTransactionsResults(data) {
+        console.log('Investment Transactions API results:', data);
+
+        document.getElementById('transactionsSummary').textContent =
+            `${data.total_investment_transactions} transaction(s) from ${data.start_date} to ${data.end_date}`;
+
+        if (data.investment_transactions.length === 0) {
+            document.getElementById('transactionsTable').innerHTML = '<p style="color: #64748b;">No investment transactions in this date range.</p>';
+            return;
+        }
+
+        const rows = data.investment_transactions.map(txn => {
+            const currency = txn.iso_currency_code || txn.unofficial_currency_code;
+            return `
+                <tr>
+                    <td>${UIUtils.escapeHtml(txn.date)}</td>
+                    <td>
+                        <div class="product-name">${UIUtils.escapeHtml(txn.name)}</div>
+                        <div class="product-description">${UIUtils.escapeHtml(txn.security_name || '-')}${txn.ticker_symbol ? ` (${UIUtils.escapeHtml(txn.ticker_symbol)})` : ''}</div>
+                    </td>
+                    <td>${UIUtils.escapeHtml(txn.type)} / ${UIUtils.escapeHtml(txn.subtype)}</td>
+                    <td>${UIUtils.escapeHtml(txn.account_name || txn.account_id)}</td>
+                    <td style="text-align: right;">${UIUtils.escapeHtml(txn.quantity)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(txn.price, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(txn.amount, currency)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('transactionsTable').innerHTML = `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Name</th>
+                        <th>Type</th>
+                        <th>Account</th>
+                        <th style="text-align: right;">Quantity</th>
+                        <th style="text-align: right;">Price</th>
+                        <th style="text-align: right;">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        UIUtils.showNotification('Investment Transactions API test completed!', 'success');
+    }
+
+    // Helper method to clear all results
+    clearResults() {
+        document.getElementById('holdingsSummary').textContent = 'Click "Get Holdings" to retrieve';
+        document.getElementById('holdingsTable').innerHTML = '';
+        document.getElementById('transactionsSummary').textContent = 'Click "Get Investment Transactions" to retrieve';
+        document.getElementById('transactionsTable').innerHTML = '';
+
+        // Clear raw responses
+        document.getElementById('rawHoldingsResponse').textContent = '// API response will appear here after testing';
+        document.getElementById('rawTransactionsResponse').textContent = '// API response will appear here after testing';
+        this.rawResponses = { holdings: null, transactions: null };
+    }
+
+    async copyRawResponse(type) {
+        const data = this.rawResponses[type];
+        if (data) {
+            const success = await UIUtils.copyToClipboard(JSON.stringify(data, null, 2));
+            if (success) {
+                UIUtils.showNotification('Response copied to clipboard!', 'success');
+            } else {
+                UIUtils.showNotification('Failed to copy response', 'error');
+            }
+        } else {
+            UIUtils.showNotification('No response data available', 'error');
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function testHoldingsGet() {
+    window.investmentsTester.testHoldingsGet();
+}
+
+function testInvestmentTransactionsGet() {
+    window.investmentsTester.testInvestmentTransactionsGet();
+}
+
+function copyRawResponse(type) {
+    window.investmentsTester.copyRawResponse(type);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.investmentsTester = new InvestmentsTester();
+    window.pageTester = window.investmentsTester; // For account manager integration
+});
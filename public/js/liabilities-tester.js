@@ -0,0 +1,268 @@
+// public/js/liabilities-tester.js
+
+class LiabilitiesTester {
+    constructor() {
+        this.rawResponseData = null;
+        this.init();
+    }
+
+    async init() {
+        // Check if server has existing token and load accounts
+        await window.accountManager.checkExistingToken();
+    }
+
+    /**
+     * Build the account filter for a request, or null to include all accounts
+     */
+    getAccountIndex() {
+        if (document.getElementById('allAccounts').checked) {
+            return null;
+        }
+
+        const selectedAccount = window.accountManager.getSelectedAccount();
+        if (!selectedAccount) {
+            throw new Error('Please select an account or include all liability accounts');
+        }
+
+        return selectedAccount.index;
+    }
+
+    async testLiabilitiesGet() {
+        if (!window.accountManager.hasAccessToken) {
+            UIUtils.showStatus('apiStatus', 'Please set an access token first', 'error');
+            return;
+        }
+
+        const submitButton = document.querySelector('button[onclick="testLiabilitiesGet()"]');
+
+        try {
+            const accountIndex = this.getAccountIndex();
+            UIUtils.setButtonLoading(submitButton, true, 'Testing Liabilities API...');
+
+            const response = await window.apiClient.request('/api/test-liabilities', {
+                method: 'POST',
+                body: JSON.stringify({ account_index: accountIndex })
+            });
+
+            if (response.success) {
+                this.updateLiabilitiesResults(response);
+                this.rawResponseData = response.raw_response;
+                document.getElementById('rawResponse').innerHTML = UIUtils.syntaxHighlight(this.rawResponseData || '{}');
+                UIUtils.showStatus('apiStatus', `Liabilities API called successfully! ${response.liability_count} liabilit${response.liability_count === 1 ? 'y' : 'ies'} found.`, 'success');
+            } else {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.rawResponseData = { error: error.message };
+            document.getElementById('rawResponse').textContent = JSON.stringify(this.rawResponseData, null, 2);
+        } finally {
+            UIUtils.setButtonLoading(submitButton, false);
+        }
+    }
+
+    updateLiabilitiesResults(data) {
+        console.log('Liabilities API results:', data);
+
+        document.getElementById('creditLiabilities').innerHTML = this.renderCreditTable(data.credit);
+        document.getElementById('mortgageLiabilities').innerHTML = this.renderMortgageTable(data.mortgage);
+        document.getElementById('studentLiabilities').innerHTML = this.renderStudentTable(data.student);
+
+        UIUtils.showNotification('Liabilities API test completed!', 'success');
+    }
+
+    renderAccountCell(liability) {
+        const mask = liability.account_mask ? ` ****${UIUtils.escapeHtml(liability.account_mask)}` : '';
+        return `
+            <div class="product-name">${UIUtils.escapeHtml(liability.account_name || liability.account_id)}${mask}</div>
+            <div class="product-description">Balance ${UIUtils.formatCurrency(liability.current_balance, liability.iso_currency_code)}</div>
+        `;
+    }
+
+    formatPercent(value) {
+        return value === null || value === undefined ? '-' : `${value}%`;
+    }
+
+    formatOverdue(isOverdue) {
+        if (isOverdue === null || isOverdue === undefined) return '-';
+        return isOverdue ? '<span style="color: #dc2626; font-weight: 600;">Overdue</span>' : 'Current';
+    }
+
+    renderCreditTable(cards) {
+        if (!cards || cards.length === 0) {
+            return '<p style="color: #64748b;">No credit card liabilities returned.</p>';
+        }
+
+        const rows = cards.map(card => {
+            const currency = card.iso_currency_code;
+            const aprs = card.aprs.length === 0 ? '-' : card.aprs.map(apr => `
+                <div>${UIUtils.escapeHtml(apr.apr_type)}: <strong>${this.formatPercent(apr.apr_percentage)}</strong>
+                    <span class="product-description">on ${UIUtils.formatCurrency(apr.balance_subject_to_apr, currency)}</span>
+                </div>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>${this.renderAccountCell(card)}</td>
+                    <td>${aprs}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(card.minimum_payment_amount, currency)}</td>
+                    <td>${UIUtils.escapeHtml(card.next_payment_due_date || '-')}</td>
+                    <td>
+                        ${UIUtils.formatCurrency(card.last_statement_balance, currency)}
+                        <div class="product-description">${UIUtils.escapeHtml(card.last_statement_issue_date || '-')}</div>
+                    </td>
+                    <td>${this.formatOverdue(card.is_overdue)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th>APRs</th>
+                        <th style="text-align: right;">Minimum Payment</th>
+                        <th>Next Due Date</th>
+                        <th>Last Statement</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderMortgageTable(mortgages) {
+        if (!mortgages || mortgages.length === 0) {
+            return '<p style="color: #64748b;">No mortgage liabilities returned.</p>';
+        }
+
+        const rows = mortgages.map(loan => {
+            const currency = loan.iso_currency_code;
+            const rateType = loan.interest_rate.type ? ` (${UIUtils.escapeHtml(loan.interest_rate.type)})` : '';
+
+            return `
+                <tr>
+                    <td>
+                        ${this.renderAccountCell(loan)}
+                        <div class="product-description">${UIUtils.escapeHtml(loan.loan_type_description || '-')} · ${UIUtils.escapeHtml(loan.loan_term || '-')}</div>
+                    </td>
+                    <td>${this.formatPercent(loan.interest_rate.percentage)}${rateType}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(loan.escrow_balance, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(loan.ytd_interest_paid, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(loan.next_monthly_payment, currency)}</td>
+                    <td>${UIUtils.escapeHtml(loan.next_payment_due_date || '-')}</td>
+                    <td>
+                        PMI: ${loan.has_pmi ? 'Yes' : 'No'}
+                        <div class="product-description">Prepayment penalty: ${loan.has_prepayment_penalty ? 'Yes' : 'No'}</div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th>Interest Rate</th>
+                        <th style="text-align: right;">Escrow Balance</th>
+                        <th style="text-align: right;">YTD Interest Paid</th>
+                        <th style="text-align: right;">Next Payment</th>
+                        <th>Next Due Date</th>
+                        <th>Terms</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderStudentTable(loans) {
+        if (!loans || loans.length === 0) {
+            return '<p style="color: #64748b;">No student loan liabilities returned.</p>';
+        }
+
+        const rows = loans.map(loan => {
+            const currency = loan.iso_currency_code;
+            const statusEnd = loan.loan_status.end_date ? ` until ${UIUtils.escapeHtml(loan.loan_status.end_date)}` : '';
+
+            return `
+                <tr>
+                    <td>
+                        ${this.renderAccountCell(loan)}
+                        <div class="product-description">${UIUtils.escapeHtml(loan.loan_name || '-')}</div>
+                    </td>
+                    <td>
+                        <div class="product-name">${UIUtils.escapeHtml(loan.repayment_plan.type || '-')}</div>
+                        <div class="product-description">${UIUtils.escapeHtml(loan.repayment_plan.description || '')}</div>
+                    </td>
+                    <td>${UIUtils.escapeHtml(loan.loan_status.type || '-')}${statusEnd}</td>
+                    <td>${this.formatPercent(loan.interest_rate_percentage)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(loan.outstanding_interest_amount, currency)}</td>
+                    <td style="text-align: right;">${UIUtils.formatCurrency(loan.minimum_payment_amount, currency)}</td>
+                    <td>${UIUtils.escapeHtml(loan.next_payment_due_date || '-')}</td>
+                    <td>${this.formatOverdue(loan.is_overdue)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th>Repayment Plan</th>
+                        <th>Loan Status</th>
+                        <th>Interest Rate</th>
+                        <th style="text-align: right;">Outstanding Interest</th>
+                        <th style="text-align: right;">Minimum Payment</th>
+                        <th>Next Due Date</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Helper method to clear all results
+    clearResults() {
+        ['creditLiabilities', 'mortgageLiabilities', 'studentLiabilities'].forEach(id => {
+            document.getElementById(id).innerHTML = '<p style="color: #64748b;">Click "Get Liabilities" to retrieve</p>';
+        });
+
+        // Clear raw response
+        document.getElementById('rawResponse').textContent = '// API response will appear here after testing';
+        this.rawResponseData = null;
+    }
+
+    async copyRawResponse() {
+        if (this.rawResponseData) {
+            const success = await UIUtils.copyToClipboard(JSON.stringify(this.rawResponseData, null, 2));
+            if (success) {
+                UIUtils.showNotification('Response copied to clipboard!', 'success');
+            } else {
+                UIUtils.showNotification('Failed to copy response', 'error');
+            }
+        } else {
+            UIUtils.showNotification('No response data available', 'error');
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function testLiabilitiesGet() {
+    window.liabilitiesTester.testLiabilitiesGet();
+}
+
+function copyRawResponse() {
+    window.liabilitiesTester.copyRawResponse();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.liabilitiesTester = new LiabilitiesTester();
+    window.pageTester = window.liabilitiesTester; // For account manager integration
+});
@@ -0,0 +1,200 @@
+// public/js/oauth-redirect.js
+
+class OAuthRedirectHandler {
+    constructor() {
+        this.linkHandler = null;
+        this.linkToken = null;
+        this.linkSession = null;
+        this.init();
+    }
+
+    async init() {
+        const urlParams = new URLSearchParams(window.location.search);
+        document.getElementById('oauthStateId').textContent = urlParams.get('oauth_state_id') || '-';
+
+        if (!urlParams.get('oauth_state_id')) {
+            UIUtils.showStatus('oauthStatus', 'No OAuth state found in the URL. Start a new Link session from the start page.', 'warning');
+            return;
+        }
+
+        try {
+            this.linkToken = await this.restoreLinkToken();
+
+            if (!this.linkToken) {
+                throw new Error('No link token found for this session. Start a new Link session from the start page.');
+            }
+
+            this.openLink();
+        } catch (error) {
+            UIUtils.showStatus('oauthStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore the link token from the server session, falling back to localStorage
+     */
+    async restoreLinkToken() {
+        try {
+            const response = await window.apiClient.getLinkSession();
+            if (response.link_session?.link_token) {
+                this.linkSession = response.link_session;
+                document.getElementById('linkTokenSource').textContent = 'Server session';
+                return response.link_session.link_token;
+            }
+        } catch (error) {
+            console.warn('Could not restore link token from session:', error);
+        }
+
+        const storedToken = localStorage.getItem('plaid_link_token');
+        if (storedToken) {
+            document.getElementById('linkTokenSource').textContent = 'Browser storage';
+            return storedToken;
+        }
+
+        document.getElementById('linkTokenSource').textContent = 'Not found';
+        return null;
+    }
+
+    openLink() {
+        if (!window.Plaid || typeof window.Plaid.create !== 'function') {
+            throw new Error('Plaid SDK not available - make sure Link script is loaded');
+        }
+
+        UIUtils.showStatus('oauthStatus', 'Reopening Plaid Link to finish the OAuth flow...', 'info');
+
+        this.linkHandler = window.Plaid.create({
+            token: this.linkToken,
+            receivedRedirectUri: window.location.href,
+            onSuccess: (publicToken, metadata) => this.handleSuccess(publicToken, metadata),
+            onExit: (err, metadata) => this.handleExit(err, metadata),
+            onEvent: (eventName, metadata) => console.log('OAuth Link event:', { eventName, metadata })
+        });
+
+        this.linkHandler.open();
+    }
+
+    reopen() {
+        UIUtils.toggleElement('reopenLinkButton', false);
+        try {
+            this.openLink();
+        } catch (error) {
+            UIUtils.showStatus('oauthStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    async handleSuccess(publicToken, metadata) {
+        try {
+            // Layer public tokens are read with /user_account/session/get rather than exchanged
+            if (this.linkSession?.mode === 'layer') {
+                await this.finishLayerSession(publicToken);
+                return;
+            }
+
+            // Update mode repairs an existing item; its public token must not be exchanged for a new one
+            if (this.linkSession?.mode === 'update') {
+                await this.finishUpdateMode(metadata);
+                return;
+            }
+
+            UIUtils.showStatus('oauthStatus', 'Bank connected via OAuth! Exchanging token...', 'success');
+
+            const response = await window.apiClient.exchangePublicToken(publicToken, metadata);
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            await this.finishLinkSession();
+
+            document.getElementById('oauthConnectionInfo').innerHTML = `
+                <div class="grid grid-2">
+                    <div><strong>Connection Type:</strong> OAuth</div>
+                    <div><strong>Institution:</strong> ${UIUtils.escapeHtml(metadata.institution?.name || 'Unknown')}</div>
+                    <div><strong>Accounts:</strong> ${metadata.accounts?.length || 0} connected</div>
+                    <div><strong>Item ID:</strong> ${UIUtils.escapeHtml(response.item_id)}</div>
+                </div>
+            `;
+            UIUtils.toggleElement('oauthSuccessSection', true);
+            UIUtils.showStatus('oauthStatus', 'OAuth connection complete!', 'success');
+            UIUtils.showNotification('OAuth connection successful!', 'success');
+        } catch (error) {
+            UIUtils.showStatus('oauthStatus', `Token exchange failed: ${error.message}`, 'error');
+        }
+    }
+
+    async finishUpdateMode(metadata) {
+        await this.finishLinkSession();
+
+        document.getElementById('oauthConnectionInfo').innerHTML = `
+            <div class="grid grid-2">
+                <div><strong>Connection Type:</strong> OAuth (update mode)</div>
+                <div><strong>Institution:</strong> ${UIUtils.escapeHtml(metadata.institution?.name || 'Unknown')}</div>
+                <div><strong>Accounts:</strong> ${metadata.accounts?.length || 0} connected</div>
+            </div>
+        `;
+        UIUtils.toggleElement('oauthSuccessSection', true);
+        UIUtils.showStatus('oauthStatus', 'Update mode complete - the existing item was repaired, no new item was created', 'success');
+        UIUtils.showNotification('Update mode completed!', 'success');
+    }
+
+    async finishLayerSession(publicToken) {
+        UIUtils.showStatus('oauthStatus', 'Layer completed via OAuth! Retrieving session results...', 'success');
+
+        const response = await window.apiClient.request('/api/user_account/session/get', {
+            method: 'POST',
+            body: JSON.stringify({ public_token: publicToken })
+        });
+
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        await this.finishLinkSession();
+
+        const storedItems = response.stored_items || [];
+        document.getElementById('oauthConnectionInfo').innerHTML = `
+            <div class="grid grid-2">
+                <div><strong>Connection Type:</strong> Layer (OAuth)</div>
+                <div><strong>Items Stored:</strong> ${storedItems.length}</div>
+                <div><strong>Item ID:</strong> ${UIUtils.escapeHtml(storedItems[0]?.item_id || '-')}</div>
+            </div>
+        `;
+        UIUtils.toggleElement('oauthSuccessSection', true);
+        UIUtils.showStatus('oauthStatus', 'Layer session complete!', 'success');
+        UIUtils.showNotification('Layer session completed successfully!', 'success');
+    }
+
+    handleExit(err, metadata) {
+        console.log('OAuth Link exit:', { err, metadata });
+
+        if (err) {
+            UIUtils.showStatus('oauthStatus', `Link error: ${UIUtils.escapeHtml(err.error_message || err.message || 'Unknown error')}`, 'error');
+        } else {
+            UIUtils.showStatus('oauthStatus', 'Link was closed before the connection finished.', 'warning');
+        }
+
+        UIUtils.toggleElement('reopenLinkButton', true);
+    }
+
+    /**
+     * The link token is single-use once the flow succeeds, so forget it everywhere
+     */
+    async finishLinkSession() {
+        localStorage.removeItem('plaid_link_token');
+        try {
+            await window.apiClient.clearLinkSession();
+        } catch (error) {
+            console.warn('Could not clear link session:', error);
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function reopenOAuthLink() {
+    window.oauthRedirectHandler.reopen();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.oauthRedirectHandler = new OAuthRedirectHandler();
+});
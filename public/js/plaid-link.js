@@ -32,6 +32,9 @@ class PlaidLinkManager {
         this.currentMode = mode;
         this.isEmbedded = mode === 'embedded';
 
+        // Keep the token so the OAuth redirect page can reinitialize Link with it
+        localStorage.setItem('plaid_link_token', linkToken);
+
         const linkConfig = {
             token: linkToken,
             onSuccess: (publicToken, metadata) => {
@@ -145,11 +148,12 @@ class PlaidLinkManager {
      * Create link token with custom configuration support
      * @param {Object} options - Token creation options
      * @param {string} options.mode - 'standard', 'embedded', 'hosted', or 'update'
-     * @param {string} options.accessToken - Required for update mode
+     * @param {string} options.accessToken - Required for update mode unless itemId is given
+     * @param {string} options.itemId - Vaulted item to update, resolved to its access token on the server
      * @param {Object} options.custom_config - Custom Link token configuration
      */
     async createLinkToken(options = {}) {
-        const { mode = 'standard', accessToken, custom_config } = options;
+        const { mode = 'standard', accessToken, itemId, custom_config } = options;
         
         const tokenRequest = {};
         
@@ -165,10 +169,14 @@ class PlaidLinkManager {
         
         // For update mode, include access token and account selection
         if (mode === 'update') {
-            if (!accessToken) {
-                throw new Error('Access token required for update mode');
+            if (!accessToken && !itemId) {
+                throw new Error('Access token or item required for update mode');
+            }
+            if (itemId) {
+                tokenRequest.item_id = itemId;
+            } else {
+                tokenRequest.access_token = accessToken;
             }
-            tokenRequest.access_token = accessToken;
             tokenRequest.update_mode = true;
         }
         
@@ -4,6 +4,7 @@ class StartPage {
         this.currentMode = null;
         this.customConfig = null;
         this.hostedLinkData = null; // Store hosted link session data
+        this.layerResults = null; // Store the last Layer session results
         this.init();
     }
 
@@ -100,15 +101,14 @@ class StartPage {
                 throw new Error('No link token found in session data');
             }
 
-            // Get the link token details to retrieve the public token
-            const response = await window.apiClient.getLinkToken(this.hostedLinkData.link_token);
+            // Get the link token details, letting the server exchange any new public tokens
+            const response = await window.apiClient.getLinkToken(this.hostedLinkData.link_token, { autoExchange: true });
 
             if (response.success && response.has_completed_session && response.public_token) {
-                // Exchange the public token for an access token
-                const exchangeResponse = await window.apiClient.exchangePublicToken(response.public_token);
+                const exchangedItem = response.exchanged_items?.[0];
 
-                if (exchangeResponse.success) {
-                    this.currentAccessToken = exchangeResponse.access_token;
+                if (exchangedItem || response.exchanged_public_tokens?.includes(response.public_token)) {
+                    this.currentAccessToken = exchangedItem?.masked_access_token || null;
 
                     // Show success with hosted link specific messaging
                     const metadata = response.metadata || {};
@@ -117,11 +117,13 @@ class StartPage {
                     this.showSuccessSection(metadata, 'Hosted Link');
 
                     UIUtils.showNotification('Hosted Link connection successful!', 'success');
+                    window.accountManager.checkExistingToken();
                 } else {
-                    throw new Error(exchangeResponse.error);
+                    throw new Error('The completed session\'s public token could not be exchanged');
                 }
             } else if (!response.has_completed_session) {
-                UIUtils.showStatus('globalStatus', 'Hosted link session was not completed successfully', 'warning');
+                const exitStatus = response.exit?.status ? ` (exit status: ${response.exit.status})` : '';
+                UIUtils.showStatus('globalStatus', `Hosted link session was not completed successfully${exitStatus}`, 'warning');
             } else {
                 throw new Error('No public token found in completed session');
             }
@@ -130,6 +132,10 @@ class StartPage {
             UIUtils.showStatus('globalStatus', `Failed to process hosted link completion: ${error.message}`, 'error');
         } finally {
             // Clean up stored session data
+            if (this.hostedLinkPollingInterval) {
+                clearInterval(this.hostedLinkPollingInterval);
+                this.hostedLinkPollingInterval = null;
+            }
             localStorage.removeItem('plaid_hosted_link_session');
             this.hostedLinkData = null;
         }
@@ -504,9 +510,9 @@ class StartPage {
             clearInterval(this.hostedLinkPollingInterval);
         }
 
-        this.hostedLinkPollingInterval = setInterval(() => {
+        this.hostedLinkPollingInterval = setInterval(async () => {
             try {
-                const response = window.apiClient.getLinkToken(this.hostedLinkData.link_token);
+                const response = await window.apiClient.getLinkToken(this.hostedLinkData.link_token);
 
                 if (response.success && response.has_completed_session && response.public_token) {
                     clearInterval(this.hostedLinkPollingInterval);
@@ -554,11 +560,11 @@ class StartPage {
         UIUtils.clearStatus('updateStatus');
     }
 
-    async startUpdateMode() {
+    async startUpdateMode(options = {}) {
         try {
-            const accessToken = document.getElementById('updateAccessToken').value.trim();
+            const accessToken = options.itemId ? null : (options.accessToken || document.getElementById('updateAccessToken').value.trim());
 
-            if (!accessToken) {
+            if (!accessToken && !options.itemId) {
                 UIUtils.showStatus('updateStatus', 'Please enter an access token', 'error');
                 return;
             }
@@ -570,6 +576,7 @@ class StartPage {
             const tokenResponse = await window.plaidLinkManager.createLinkToken({
                 mode: 'update',
                 accessToken: accessToken,
+                itemId: options.itemId,
                 custom_config: this.customConfig
             });
 
@@ -583,14 +590,230 @@ class StartPage {
             await window.plaidLinkManager.initialize({
                 mode: 'update',
                 linkToken: tokenResponse.link_token,
-                onSuccess: (publicToken, metadata) => this.handleLinkSuccess(publicToken, metadata),
-                onExit: (err, metadata) => this.handleLinkExit(err, metadata),
+                onSuccess: options.onSuccess || ((publicToken, metadata) => this.handleLinkSuccess(publicToken, metadata)),
+                onExit: options.onExit || ((err, metadata) => this.handleLinkExit(err, metadata)),
                 onEvent: (eventName, metadata) => this.handleLinkEvent(eventName, metadata),
                 onLoad: () => this.handleLinkLoad()
             });
 
         } catch (error) {
             UIUtils.showStatus('updateStatus', `Failed to start Update Mode: ${error.message}`, 'error');
+
+            // Flows that start update mode themselves (reset login) report the failure in their own status
+            if (options.rethrow) {
+                throw error;
+            }
+        }
+    }
+
+    async startResetLoginFlow(event) {
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Running...');
+            document.getElementById('resetLoginTimeline').innerHTML = '';
+
+            const itemsResponse = await window.apiClient.getItems();
+            const item = (itemsResponse.items || []).find(i => i.selected);
+            if (!item) {
+                throw new Error('Connect or select an item first');
+            }
+
+            UIUtils.showStatus('resetLoginStatus', 'Resetting item login...', 'info');
+            const response = await window.apiClient.resetSandboxLogin(item.item_id);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderResetLoginTimeline(response.flow);
+
+            UIUtils.showStatus('resetLoginStatus', 'Waiting for the ITEM webhook...', 'info');
+            await this.waitForResetLoginWebhook();
+
+            UIUtils.showStatus('resetLoginStatus', 'Opening Link in update mode...', 'info');
+            try {
+                await this.startUpdateMode({
+                    itemId: item.item_id,
+                    onSuccess: (publicToken, metadata) => this.finishResetLoginFlow('success', metadata),
+                    onExit: (err, metadata) => this.finishResetLoginFlow('exited', metadata, err),
+                    rethrow: true
+                });
+            } catch (error) {
+                // Close the update mode step so the timeline does not stay on opening Link
+                const response = await window.apiClient.recordResetLoginUpdateMode({ status: 'exited' }).catch(() => null);
+                if (response?.success) {
+                    this.renderResetLoginTimeline(response.flow);
+                }
+                throw new Error(`Could not open Link in update mode: ${error.message}`);
+            }
+        } catch (error) {
+            UIUtils.showStatus('resetLoginStatus', `Reset login failed: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    /**
+     * Poll the flow until its ERROR / PENDING_EXPIRATION webhook arrives, giving up after a minute
+     */
+    async waitForResetLoginWebhook(timeoutMs = 60000) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            const response = await window.apiClient.getResetLoginFlow();
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.renderResetLoginTimeline(response.flow);
+            if (response.flow?.status !== 'waiting_for_webhook') {
+                return response.flow;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        UIUtils.showNotification('No ITEM webhook arrived - continuing to update mode anyway', 'warning');
+        return null;
+    }
+
+    async finishResetLoginFlow(status, metadata, err = null) {
+        try {
+            let response = await window.apiClient.recordResetLoginUpdateMode({
+                status,
+                link_session_id: metadata?.link_session_id || null,
+                error_code: err?.error_code || null
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderResetLoginTimeline(response.flow);
+
+            if (status !== 'success') {
+                UIUtils.showStatus('resetLoginStatus', 'Update mode was closed before the item was re-authenticated', 'warning');
+                return;
+            }
+
+            UIUtils.showStatus('resetLoginStatus', 'Checking item health with /item/get...', 'info');
+            response = await window.apiClient.verifyResetLogin();
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderResetLoginTimeline(response.flow);
+
+            if (response.flow.status === 'healthy') {
+                UIUtils.showStatus('resetLoginStatus', 'Item is healthy again - update mode worked end to end', 'success');
+            } else {
+                UIUtils.showStatus('resetLoginStatus', `Item still reports ${response.item.error?.error_code || 'an error'}`, 'error');
+            }
+        } catch (error) {
+            UIUtils.showStatus('resetLoginStatus', `Reset login failed: ${error.message}`, 'error');
+        }
+    }
+
+    renderResetLoginTimeline(flow) {
+        if (!flow) return;
+
+        const icons = { done: '✅', failed: '❌', skipped: '⚠️' };
+        const labels = {
+            reset_login: 'Item login reset (/sandbox/item/reset_login)',
+            webhook_received: 'ITEM webhook received',
+            update_mode: 'Update mode completed',
+            item_health: 'Item healthy (/item/get)'
+        };
+
+        const steps = flow.timeline.map(entry => `
+            <div style="display: flex; gap: 12px; padding: 8px 0; border-bottom: 1px solid var(--plaid-border);">
+                <span>${icons[entry.status] || '•'}</span>
+                <div style="flex: 1;">
+                    <strong>${labels[entry.step] || entry.step}</strong>
+                    <div style="font-size: 12px; color: var(--plaid-gray);">
+                        ${new Date(entry.at).toLocaleTimeString()}
+                        ${entry.detail ? ` · ${UIUtils.escapeHtml(Object.entries(entry.detail).filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`).join(', '))}` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        const waiting = flow.status === 'waiting_for_webhook'
+            ? '<div style="padding: 8px 0; color: var(--plaid-gray);">⏳ Waiting for ERROR / PENDING_EXPIRATION webhook...</div>'
+            : '';
+
+        document.getElementById('resetLoginTimeline').innerHTML = steps + waiting;
+    }
+
+    showSandboxItem() {
+        UIUtils.toggleElement('sandboxItemCard', true);
+        document.getElementById('sandboxItemCard').scrollIntoView({
+            behavior: 'smooth'
+        });
+    }
+
+    hideSandboxItem() {
+        UIUtils.toggleElement('sandboxItemCard', false);
+        UIUtils.clearStatus('sandboxItemStatus');
+    }
+
+    sandboxTestUserChanged() {
+        const isCustom = document.getElementById('sandboxTestUser').value === 'custom';
+        UIUtils.toggleElement('sandboxCustomUserGroup', isCustom);
+    }
+
+    async createSandboxItem(event) {
+        const institutionSelect = document.getElementById('sandboxInstitution');
+        const testUser = document.getElementById('sandboxTestUser').value;
+        const products = Array.from(document.querySelectorAll('#sandboxProducts input:checked'))
+            .map(checkbox => checkbox.value);
+
+        if (products.length === 0) {
+            UIUtils.showStatus('sandboxItemStatus', 'Select at least one product', 'error');
+            return;
+        }
+
+        const options = {
+            institution_id: institutionSelect.value,
+            institution_name: institutionSelect.selectedOptions[0].textContent.replace(/\s*\(ins_\d+\)$/, ''),
+            initial_products: products
+        };
+
+        if (testUser === 'custom') {
+            const customUser = document.getElementById('sandboxCustomUser').value.trim();
+            try {
+                options.custom_user = JSON.parse(customUser);
+            } catch (error) {
+                UIUtils.showStatus('sandboxItemStatus', 'Custom user must be valid JSON', 'error');
+                return;
+            }
+        } else {
+            const [username, password] = testUser.split('|');
+            options.override_username = username;
+            options.override_password = password;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Creating...');
+            UIUtils.showStatus('sandboxItemStatus', 'Creating sandbox item...', 'info');
+
+            const response = await window.apiClient.createSandboxItem(options);
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.currentMode = 'sandbox';
+            this.currentAccessToken = response.access_token;
+
+            UIUtils.toggleElement('sandboxItemCard', false);
+            UIUtils.clearStatus('sandboxItemStatus');
+            this.showSuccessSection({
+                institution: { name: options.institution_name },
+                accounts: response.accounts,
+                products: options.initial_products
+            }, 'Sandbox API');
+
+            UIUtils.showNotification('Sandbox item created!', 'success');
+            window.accountManager.checkExistingToken();
+        } catch (error) {
+            UIUtils.showStatus('sandboxItemStatus', `Error: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
         }
     }
 
@@ -726,7 +949,7 @@ class StartPage {
             }
 
             // Exchange public token for access token
-            const exchangeResponse = await window.apiClient.exchangePublicToken(publicToken);
+            const exchangeResponse = await window.apiClient.exchangePublicToken(publicToken, metadata);
 
             if (exchangeResponse.success) {
                 this.currentAccessToken = exchangeResponse.access_token;
@@ -952,17 +1175,10 @@ class StartPage {
         const items = results.items || [];
         const accessTokens = results.access_tokens || [];
 
-        // If we have access tokens, set the first one for use in other modules
+        // The server stores Layer items in the session vault and selects the first one
         if (accessTokens.length > 0) {
             this.currentAccessToken = accessTokens[0];
-            console.log('🔑 Access token available for other modules:', this.currentAccessToken);
-
-            // Set the access token on the server for use in other test modules
-            window.apiClient.setAccessToken(this.currentAccessToken).then(() => {
-                console.log('✅ Access token set on server for other modules');
-            }).catch(error => {
-                console.warn('⚠️ Failed to set access token on server:', error);
-            });
+            console.log('🔑 Layer items stored for other modules:', results.stored_items || []);
         }
 
         // Update connection info for Layer
@@ -1000,6 +1216,7 @@ class StartPage {
             layer_public_token: metadata.publicToken
         };
         tokenDisplay.textContent = JSON.stringify(displayData, null, 2);
+        this.layerResults = displayData;
 
         // Update copy button behavior for Layer results
         const copyButton = document.querySelector('button[onclick="copyAccessToken()"]');
@@ -1029,8 +1246,7 @@ class StartPage {
      */
     async copyLayerResults() {
         try {
-            const results = await window.layerManager.getSessionResults();
-            const resultsText = JSON.stringify(results.data || {}, null, 2);
+            const resultsText = JSON.stringify(this.layerResults || {}, null, 2);
 
             const success = await UIUtils.copyToClipboard(resultsText);
             if (success) {
@@ -1058,7 +1274,7 @@ class StartPage {
         const configUsed = this.customConfig ? 'Custom' : 'Default';
 
         // NEW: Display additional consented products if present
-        const mainProducts = this.customConfig?.products?.join(', ') || 'auth';
+        const mainProducts = metadata.products?.join(', ') || this.customConfig?.products?.join(', ') || 'auth';
         const additionalProducts = this.customConfig?.additional_consented_products;
         const productsDisplay = additionalProducts && additionalProducts.length > 0
             ? `${mainProducts} + ${additionalProducts.join(', ')} (additional)`
@@ -1120,12 +1336,14 @@ class StartPage {
         UIUtils.toggleElement('updateModeCard', false);
         UIUtils.toggleElement('successSection', false);
         UIUtils.toggleElement('layerContainer', false); // Add Layer container
+        UIUtils.toggleElement('sandboxItemCard', false);
 
         // Clear all status messages
         UIUtils.clearStatus('globalStatus');
         UIUtils.clearStatus('embeddedStatus');
         UIUtils.clearStatus('updateStatus');
         UIUtils.clearStatus('layerStatus'); // Add Layer status
+        UIUtils.clearStatus('sandboxItemStatus');
 
         // Reset embedded container
         const container = document.getElementById('linkContainer');
@@ -1152,6 +1370,7 @@ class StartPage {
         // Reset state
         this.currentAccessToken = null;
         this.currentMode = null;
+        this.layerResults = null;
 
         // Scroll to top
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -1199,6 +1418,26 @@ function startUpdateMode() {
     window.startPage.startUpdateMode();
 }
 
+function showSandboxItem() {
+    window.startPage.showSandboxItem();
+}
+
+function hideSandboxItem() {
+    window.startPage.hideSandboxItem();
+}
+
+function sandboxTestUserChanged() {
+    window.startPage.sandboxTestUserChanged();
+}
+
+function createSandboxItem(event) {
+    window.startPage.createSandboxItem(event);
+}
+
+function startResetLoginFlow(event) {
+    window.startPage.startResetLoginFlow(event);
+}
+
 function copyAccessToken() {
     window.startPage.copyAccessToken();
 }
@@ -0,0 +1,209 @@
+// public/js/transactions-tester.js
+
+class TransactionsTester {
+    constructor() {
+        this.rawResponseData = null;
+        this.accountNames = {};
+        this.init();
+    }
+
+    async init() {
+        // Check if server has existing token and load accounts
+        await window.accountManager.checkExistingToken();
+    }
+
+    async syncTransactions() {
+        if (!window.accountManager.hasAccessToken) {
+            UIUtils.showStatus('apiStatus', 'Please set an access token first', 'error');
+            return;
+        }
+
+        const submitButton = document.querySelector('button[onclick="syncTransactions()"]');
+
+        try {
+            UIUtils.setButtonLoading(submitButton, true, 'Syncing Transactions...');
+
+            const count = document.getElementById('syncCount').value;
+            const response = await window.apiClient.request('/api/test-transactions', {
+                method: 'POST',
+                body: JSON.stringify({ count })
+            });
+
+            if (response.success) {
+                this.updateTransactionResults(response);
+                this.rawResponseData = response.raw_response;
+                document.getElementById('rawResponse').innerHTML = UIUtils.syntaxHighlight(this.rawResponseData || '{}');
+
+                const restartInfo = response.restarts > 0
+                    ? ` Restarted ${response.restarts} time(s) after the data changed mid-pagination.` : '';
+                UIUtils.showStatus('apiStatus', `Transactions synced successfully!${restartInfo}`, 'success');
+            } else {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+            this.rawResponseData = { error: error.message };
+            document.getElementById('rawResponse').textContent = JSON.stringify(this.rawResponseData, null, 2);
+        } finally {
+            UIUtils.setButtonLoading(submitButton, false);
+        }
+    }
+
+    async resetCursor() {
+        if (!window.accountManager.hasAccessToken) {
+            UIUtils.showStatus('apiStatus', 'Please set an access token first', 'error');
+            return;
+        }
+
+        try {
+            const response = await window.apiClient.request('/api/test-transactions/reset-cursor', {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                this.clearResults();
+                UIUtils.showStatus('apiStatus', 'Cursor reset - the next sync will return the full history', 'info');
+                UIUtils.showNotification('Transactions cursor reset', 'success');
+            } else {
+                throw new Error(response.error);
+            }
+        } catch (error) {
+            UIUtils.showStatus('apiStatus', `Error: ${error.message}`, 'error');
+        }
+    }
+
+    updateTransactionResults(data) {
+        console.log('Transactions sync results:', data);
+
+        // Map account IDs to names for the tables
+        this.accountNames = {};
+        (data.accounts || []).forEach(account => {
+            this.accountNames[account.account_id] = UIUtils.formatAccountName(account);
+        });
+
+        document.getElementById('previousCursor').textContent = data.previous_cursor || '(none - initial sync)';
+        document.getElementById('nextCursor').textContent = data.next_cursor || '-';
+        document.getElementById('addedCount').textContent = data.added.length;
+        document.getElementById('modifiedCount').textContent = data.modified.length;
+        document.getElementById('removedCount').textContent = data.removed.length;
+        document.getElementById('pageCount').textContent = data.page_count;
+        document.getElementById('restartCount').textContent = data.restarts;
+        document.getElementById('updateStatus').textContent = data.transactions_update_status || '-';
+
+        document.getElementById('addedTransactions').innerHTML = this.renderTransactionTable(data.added);
+        document.getElementById('modifiedTransactions').innerHTML = this.renderTransactionTable(data.modified);
+        document.getElementById('removedTransactions').innerHTML = this.renderRemovedTable(data.removed);
+
+        UIUtils.showNotification('Transactions sync completed!', 'success');
+    }
+
+    renderTransactionTable(transactions) {
+        if (!transactions || transactions.length === 0) {
+            return '<p style="color: #64748b;">None in this sync.</p>';
+        }
+
+        const rows = transactions.map(txn => `
+            <tr>
+                <td>${UIUtils.escapeHtml(txn.date)}</td>
+                <td>
+                    <div class="product-name">${UIUtils.escapeHtml(txn.merchant_name || txn.name)}</div>
+                    <div class="product-description">${UIUtils.escapeHtml(txn.transaction_id)}</div>
+                </td>
+                <td>${UIUtils.escapeHtml(this.accountNames[txn.account_id] || txn.account_id)}</td>
+                <td>${UIUtils.escapeHtml(txn.personal_finance_category?.primary || (txn.category || []).join(' > ') || '-')}</td>
+                <td>${txn.pending ? 'Pending' : 'Posted'}</td>
+                <td style="text-align: right;">${UIUtils.formatCurrency(txn.amount, txn.iso_currency_code || txn.unofficial_currency_code)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Name</th>
+                        <th>Account</th>
+                        <th>Category</th>
+                        <th>Status</th>
+                        <th style="text-align: right;">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderRemovedTable(removed) {
+        if (!removed || removed.length === 0) {
+            return '<p style="color: #64748b;">None in this sync.</p>';
+        }
+
+        const rows = removed.map(txn => `
+            <tr>
+                <td>${UIUtils.escapeHtml(txn.transaction_id)}</td>
+                <td>${UIUtils.escapeHtml(this.accountNames[txn.account_id] || txn.account_id || '-')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="products-table">
+                <thead>
+                    <tr>
+                        <th>Transaction ID</th>
+                        <th>Account</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Helper method to clear all results
+    clearResults() {
+        document.getElementById('previousCursor').textContent = 'Click "Sync Transactions" to retrieve';
+        ['nextCursor', 'addedCount', 'modifiedCount', 'removedCount', 'pageCount', 'restartCount', 'updateStatus']
+            .forEach(id => {
+                document.getElementById(id).textContent = '-';
+            });
+
+        ['addedTransactions', 'modifiedTransactions', 'removedTransactions'].forEach(id => {
+            document.getElementById(id).innerHTML = '<p style="color: #64748b;">No transactions synced yet.</p>';
+        });
+
+        // Clear raw response
+        document.getElementById('rawResponse').textContent = '// API response will appear here after testing';
+        this.rawResponseData = null;
+    }
+
+    async copyRawResponse() {
+        if (this.rawResponseData) {
+            const success = await UIUtils.copyToClipboard(JSON.stringify(this.rawResponseData, null, 2));
+            if (success) {
+                UIUtils.showNotification('Response copied to clipboard!', 'success');
+            } else {
+                UIUtils.showNotification('Failed to copy response', 'error');
+            }
+        } else {
+            UIUtils.showNotification('No response data available', 'error');
+        }
+    }
+}
+
+// Global functions for onclick handlers
+function syncTransactions() {
+    window.transactionsTester.syncTransactions();
+}
+
+function resetCursor() {
+    window.transactionsTester.resetCursor();
+}
+
+function copyRawResponse() {
+    window.transactionsTester.copyRawResponse();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.transactionsTester = new TransactionsTester();
+    window.pageTester = window.transactionsTester; // For account manager integration
+});
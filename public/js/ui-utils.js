@@ -260,6 +260,39 @@ class UIUtils {
         });
     }
 
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    static escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Format a currency amount for display
+     * @param {number} amount - Amount to format
+     * @param {string} currency - ISO currency code
+     * @returns {string} Formatted amount, or '-' when missing
+     */
+    static formatCurrency(amount, currency = 'USD') {
+        if (amount === null || amount === undefined) return '-';
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency || 'USD'
+            }).format(amount);
+        } catch (error) {
+            return `${amount} ${currency}`;
+        }
+    }
+
     /**
      * Show temporary notification
      * @param {string} message - Notification message
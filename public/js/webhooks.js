@@ -7,6 +7,17 @@ class WebhooksManager {
         this.searchTerm = '';
         this.pollInterval = null;
         this.lastPollTime = null;
+        this.eventSource = null;
+        this.fires = []; // Webhooks fired from this page, newest first
+        this.fireWatchTimeout = null;
+        this.forwardingRules = [];
+        this.deadLetters = [];
+        this.replayWebhookId = null;
+        this.items = []; // Items linked in this session
+        this.quarantine = [];
+        this.canClaimForClient = false;
+        this.retention = null;
+        this.reactions = [];
         this.init();
     }
 
@@ -16,9 +27,32 @@ class WebhooksManager {
         
         // Load existing webhooks
         await this.loadWebhooks();
+
+        // Jump to a webhook linked from the Inspector
+        if (window.location.hash.startsWith('#webhook-')) {
+            document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+        }
+
+        // Populate the fire webhook panel
+        await this.loadFirePanel();
+
+        // Show the active verification mode
+        await this.loadVerificationMode();
+
+        // Show forwarding rules and dead letters
+        await this.loadForwarding();
+
+        // Show webhooks waiting to be claimed
+        await this.loadQuarantine();
+
+        // Show retention settings and purge statistics
+        await this.loadRetention();
+
+        // Show which follow-up calls run automatically
+        await this.loadReactions();
         
-        // Start polling for new webhooks
-        this.startPolling();
+        // Stream new webhooks, falling back to polling if streaming is unavailable
+        this.startStream();
         
         // Update statistics
         this.updateStatistics();
@@ -36,12 +70,13 @@ class WebhooksManager {
 
     async loadWebhooks() {
         try {
-            const response = await window.apiClient.request('/api/webhooks', {
+            const response = await window.apiClient.request('/api/webhooks?limit=100', {
                 method: 'GET'
             });
 
             if (response.success) {
-                this.webhooks = response.webhooks || [];
+                this.webhooks = response.data || [];
+                this.checkFiredWebhooks();
                 this.renderWebhooks();
                 this.updateStatistics();
             }
@@ -51,6 +86,98 @@ class WebhooksManager {
         }
     }
 
+    /**
+     * Subscribe to /api/webhooks/stream, resuming after the newest webhook already loaded
+     */
+    startStream() {
+        if (!window.EventSource) {
+            this.startPolling();
+            return;
+        }
+
+        const lastId = Math.max(0, ...this.webhooks.map(w => w.id || 0));
+        this.eventSource = new EventSource(`/api/webhooks/stream?last_event_id=${lastId}`);
+
+        this.eventSource.addEventListener('open', () => {
+            // Catch up on anything missed while polling, then let the stream take over
+            if (this.pollInterval) {
+                this.stopPolling();
+                this.loadWebhooks();
+            }
+        });
+
+        this.eventSource.addEventListener('webhook', (event) => {
+            this.addWebhook(JSON.parse(event.data));
+        });
+
+        this.eventSource.addEventListener('delivery', (event) => {
+            this.updateDelivery(JSON.parse(event.data));
+        });
+
+        this.eventSource.addEventListener('reaction', (event) => {
+            this.updateReaction(JSON.parse(event.data));
+        });
+
+        this.eventSource.addEventListener('error', () => {
+            // EventSource reconnects by itself (sending Last-Event-ID); poll meanwhile, and for good if it gave up
+            if (!this.pollInterval) {
+                this.startPolling();
+            }
+            if (this.eventSource.readyState === EventSource.CLOSED) {
+                this.eventSource = null;
+            }
+        });
+    }
+
+    stopStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    isStreaming() {
+        return this.eventSource?.readyState === EventSource.OPEN;
+    }
+
+    addWebhook(webhook) {
+        if (webhook.id && this.webhooks.some(w => w.id === webhook.id)) {
+            return;
+        }
+
+        this.webhooks.push(webhook);
+        this.checkFiredWebhooks();
+        this.renderWebhooks();
+        this.updateStatistics();
+    }
+
+    /**
+     * Apply a forwarding attempt pushed by the stream to the webhook it belongs to
+     */
+    updateDelivery({ webhook_id, delivery }) {
+        const webhook = this.webhooks.find(w => w.id === webhook_id);
+        if (webhook) {
+            webhook.deliveries = (webhook.deliveries || []).filter(d => d.delivery_id !== delivery.delivery_id);
+            webhook.deliveries.push(delivery);
+            this.renderWebhooks();
+        }
+
+        if (delivery.status === 'dead_letter') {
+            this.loadForwarding();
+        }
+    }
+
+    /**
+     * Apply a finished follow-up call pushed by the stream to the webhook that triggered it
+     */
+    updateReaction({ webhook_id, reaction }) {
+        const webhook = this.webhooks.find(w => w.id === webhook_id);
+        if (webhook) {
+            webhook.reaction = reaction;
+            this.renderWebhooks();
+        }
+    }
+
     startPolling() {
         // Poll every 5 seconds for new webhooks
         this.pollInterval = setInterval(() => {
@@ -110,10 +237,120 @@ class WebhooksManager {
         // Apply syntax highlighting
         const highlightedData = UIUtils.syntaxHighlight(dataStr);
 
+        const firedHere = webhook.fire_id && this.fires.some(f => f.fire_id === webhook.fire_id);
+        const verification = webhook.verification || { method: 'unknown' };
+        const verificationBadge = webhook.verified
+            ? `<span class="verification-badge">✓ Verified (${UIUtils.escapeHtml(verification.method)})</span>`
+            : `<span class="verification-badge unverified" title="${UIUtils.escapeHtml(verification.reason || '')}">Unverified${verification.reason ? `: ${UIUtils.escapeHtml(verification.reason)}` : ''}</span>`;
+
         return `
-            <div class="webhook-entry">
-                <div class="webhook-type">${webhook.timestamp} - ${webhook.webhook_type || 'Unknown Type'}</div>
+            <div class="webhook-entry${firedHere ? ' fired-highlight' : ''}" id="webhook-${webhook.id}">
+                <div class="webhook-type">${webhook.timestamp} - ${UIUtils.escapeHtml(webhook.webhook_type || 'Unknown Type')}${webhook.data?.webhook_code ? ` / ${UIUtils.escapeHtml(webhook.data.webhook_code)}` : ''}</div>
+                ${verificationBadge}
+                ${this.renderSchemaBadge(webhook)}
+                ${firedHere ? '<span class="fired-badge">Fired from this page</span>' : ''}
+                ${webhook.replay_of ? `<span class="replay-badge">↻ Replay of #${webhook.replay_of}</span>` : ''}
+                ${webhook.caused_by ? `<a class="replay-badge" href="/inspector.html?call_id=${encodeURIComponent(webhook.caused_by.call_id)}" title="Plaid call that triggered this webhook">🔎 After ${UIUtils.escapeHtml(webhook.caused_by.endpoint)}</a>` : ''}
+                ${webhook.quarantine ? `<span class="replay-badge" title="${UIUtils.escapeHtml(webhook.quarantine.reason)}">🚧 Claimed from quarantine</span>` : ''}
+                <button class="replay-btn" onclick="selectReplayWebhook(${webhook.id})">↻ Replay</button>
+                <button class="replay-btn pin-btn${webhook.pinned ? ' pinned' : ''}" onclick="togglePinWebhook(${webhook.id})" title="Pinned webhooks are never expired or evicted">📌 ${webhook.pinned ? 'Pinned' : 'Pin'}</button>
+                ${this.renderSchemaDifferences(webhook)}
+                ${this.renderSummaryCard(webhook)}
                 <div class="json-block">${highlightedData}</div>
+                ${this.renderReaction(webhook)}
+                ${this.renderDeliveryLog(webhook)}
+            </div>
+        `;
+    }
+
+    renderSchemaBadge(webhook) {
+        if (!webhook.schema) return '';
+
+        if (!webhook.schema.known) {
+            return '<span class="schema-badge unknown">Not in catalog</span>';
+        }
+
+        return webhook.schema.valid
+            ? '<span class="schema-badge">✓ Schema valid</span>'
+            : `<span class="schema-badge invalid">⚠ Schema: ${webhook.schema.differences.length} difference${webhook.schema.differences.length === 1 ? '' : 's'}</span>`;
+    }
+
+    renderSchemaDifferences(webhook) {
+        if (!webhook.schema?.known || webhook.schema.valid) return '';
+
+        return `
+            <ul class="schema-differences">
+                ${webhook.schema.differences.map(diff => `
+                    <li><code>${UIUtils.escapeHtml(diff.path)}</code>: ${UIUtils.escapeHtml(diff.message)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Human-readable card built from the webhook catalog, e.g. new transaction counts or an error with its remediation
+     */
+    renderSummaryCard(webhook) {
+        const summary = webhook.summary;
+        if (!summary) return '';
+
+        return `
+            <div class="summary-card ${summary.tone}">
+                <div class="summary-title">${UIUtils.escapeHtml(summary.title)}</div>
+                ${summary.details.map(detail => `<div class="summary-detail">${UIUtils.escapeHtml(detail)}</div>`).join('')}
+                ${summary.next_step ? `<div class="summary-detail">➡️ ${UIUtils.escapeHtml(summary.next_step)}</div>` : ''}
+                ${summary.remediation ? `<div class="summary-detail">🛠️ ${UIUtils.escapeHtml(summary.remediation)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderReaction(webhook) {
+        const reaction = webhook.reaction;
+        if (!reaction) {
+            return '';
+        }
+
+        const detail = reaction.status === 'running'
+            ? 'Calling...'
+            : `${reaction.error || 'OK'} after ${reaction.duration_ms}ms`;
+
+        return `
+            <div class="delivery-log">
+                <span class="delivery-badge ${reaction.status}">⚡ ${reaction.status}</span>
+                ${UIUtils.escapeHtml(reaction.endpoint)} · ${UIUtils.escapeHtml(detail)}
+                ${reaction.result ? `
+                    <details class="reaction-result">
+                        <summary>Result</summary>
+                        <div class="json-block">${UIUtils.syntaxHighlight(JSON.stringify(reaction.result, null, 2))}</div>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderDeliveryLog(webhook) {
+        if (!webhook.deliveries?.length) {
+            return '';
+        }
+
+        return `
+            <div class="delivery-log">
+                ${webhook.deliveries.map(delivery => {
+                    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+                    const detail = lastAttempt
+                        ? `${lastAttempt.error || `HTTP ${lastAttempt.status_code}`} after ${lastAttempt.duration_ms}ms`
+                        : 'Sending...';
+                    const retry = delivery.next_attempt_at
+                        ? ` · next attempt ${new Date(delivery.next_attempt_at).toLocaleTimeString()}`
+                        : '';
+
+                    return `
+                        <div>
+                            <span class="delivery-badge ${delivery.status}">📮 ${delivery.status.replace('_', ' ')}</span>
+                            ${UIUtils.escapeHtml(delivery.target_url)} · attempt ${delivery.attempts.length}: ${UIUtils.escapeHtml(detail)}${retry}
+                        </div>
+                    `;
+                }).join('')}
             </div>
         `;
     }
@@ -122,7 +359,9 @@ class WebhooksManager {
         let filtered = this.webhooks;
 
         // Apply type filter
-        if (this.currentFilter !== 'all') {
+        if (this.currentFilter === 'schema-invalid') {
+            filtered = filtered.filter(w => w.schema && w.schema.valid !== true);
+        } else if (this.currentFilter !== 'all') {
             // Filter by webhook type prefix
             filtered = filtered.filter(w => {
                 const type = (w.webhook_type || '').toLowerCase();
@@ -174,6 +413,10 @@ class WebhooksManager {
             new Date(w.timestamp) > oneHourAgo
         ).length;
         document.getElementById('lastHour').textContent = lastHourCount;
+
+        // Webhooks that failed schema validation or are not in the catalog
+        document.getElementById('schemaIssues').textContent =
+            this.webhooks.filter(w => w.schema && w.schema.valid !== true).length;
     }
 
     async clearWebhooks() {
@@ -187,7 +430,8 @@ class WebhooksManager {
             });
 
             if (response.success) {
-                this.webhooks = [];
+                // Pinned webhooks survive a clear
+                this.webhooks = this.webhooks.filter(w => w.pinned);
                 this.renderWebhooks();
                 this.updateStatistics();
                 UIUtils.showNotification('Webhook logs cleared', 'success');
@@ -260,12 +504,639 @@ class WebhooksManager {
         }
     }
 
+    async loadVerificationMode() {
+        try {
+            const response = await window.apiClient.request('/api/webhooks/verification');
+            if (response.success) {
+                const select = document.getElementById('verificationMode');
+                select.value = response.verification.mode;
+                // The mode is shared by every client, so only admins can change it
+                select.disabled = !response.can_change;
+                select.title = response.can_change ? '' : 'Only admin client IDs can change the verification mode';
+            }
+        } catch (error) {
+            console.error('Failed to load verification mode:', error);
+        }
+    }
+
+    async setVerificationMode() {
+        const mode = document.getElementById('verificationMode').value;
+
+        try {
+            const response = await window.apiClient.request('/api/webhooks/verification', {
+                method: 'POST',
+                body: JSON.stringify({ mode })
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            UIUtils.showNotification(`Webhook verification set to ${mode}`, 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to change verification mode: ${error.message}`, 'error');
+            await this.loadVerificationMode();
+        }
+    }
+
+    async loadForwarding() {
+        try {
+            const response = await window.apiClient.getWebhookForwarding();
+            if (response.success) {
+                this.forwardingRules = response.rules || [];
+                this.deadLetters = response.dead_letters || [];
+                this.renderForwarding();
+                this.renderReplayTargets();
+            }
+        } catch (error) {
+            console.error('Failed to load forwarding rules:', error);
+            UIUtils.showStatus('forwardingStatus', 'Failed to load forwarding rules', 'error');
+        }
+    }
+
+    renderForwarding() {
+        document.getElementById('forwardingRules').innerHTML = this.forwardingRules.map(rule => `
+            <div class="forwarding-list-entry">
+                <div>
+                    <code>${UIUtils.escapeHtml(rule.target_url)}</code><br>
+                    <span style="color: var(--plaid-gray);">
+                        Types: ${UIUtils.escapeHtml(rule.webhook_types.join(', ') || 'all')} ·
+                        Items: ${UIUtils.escapeHtml(rule.item_ids.join(', ') || 'all')}
+                    </span>
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn btn-outline" onclick="toggleForwardingRule('${rule.rule_id}', ${!rule.enabled})">${rule.enabled ? 'Pause' : 'Resume'}</button>
+                    <button class="btn btn-outline" onclick="deleteForwardingRule('${rule.rule_id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        const deadLetters = document.getElementById('deadLetters');
+        if (this.deadLetters.length === 0) {
+            deadLetters.innerHTML = '<p style="color: var(--plaid-gray); font-size: 13px;">No failed deliveries.</p>';
+            return;
+        }
+
+        deadLetters.innerHTML = `
+            ${this.deadLetters.map(letter => `
+                <div class="forwarding-list-entry">
+                    <div>
+                        <strong>${UIUtils.escapeHtml(letter.webhook_type)}</strong> → <code>${UIUtils.escapeHtml(letter.target_url)}</code><br>
+                        <span style="color: var(--plaid-gray);">
+                            ${letter.attempts} attempts · ${UIUtils.escapeHtml(letter.last_error || 'Unknown error')} · ${new Date(letter.dead_at).toLocaleTimeString()}
+                        </span>
+                    </div>
+                    <button class="btn btn-outline" onclick="retryDeadLetter('${letter.delivery_id}')">Retry</button>
+                </div>
+            `).join('')}
+            <button class="btn btn-outline" style="margin-top: 12px;" onclick="clearDeadLetters()">Clear Dead Letters</button>
+        `;
+    }
+
+    renderReplayTargets() {
+        const select = document.getElementById('replayTarget');
+        const current = select.value;
+
+        select.innerHTML = `
+            <option value="">Re-inject into this kit</option>
+            ${this.forwardingRules.map(rule => `
+                <option value="${rule.rule_id}">Forward to ${UIUtils.escapeHtml(rule.target_url)}</option>
+            `).join('')}
+        `;
+        select.value = this.forwardingRules.some(rule => rule.rule_id === current) ? current : '';
+    }
+
+    selectReplayWebhook(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) return;
+
+        this.replayWebhookId = webhookId;
+        document.getElementById('replayWebhookLabel').textContent =
+            `#${webhook.id} ${webhook.webhook_type} ${webhook.data?.webhook_code || ''} - ${webhook.timestamp}`;
+        document.getElementById('replayPayload').value = JSON.stringify(webhook.data, null, 2);
+        UIUtils.clearStatus('replayStatus');
+        document.getElementById('replayPayload').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    async sendReplay(event) {
+        if (!this.replayWebhookId) {
+            UIUtils.showStatus('replayStatus', 'Pick Replay on a webhook in the log first', 'error');
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(document.getElementById('replayPayload').value);
+        } catch (error) {
+            UIUtils.showStatus('replayStatus', `Payload is not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Replaying...');
+            const response = await window.apiClient.replayWebhook(this.replayWebhookId, {
+                payload,
+                rule_id: document.getElementById('replayTarget').value || undefined
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            const message = response.mode === 'inject'
+                ? `Re-injected as webhook #${response.webhook.id}`
+                : `Posting to ${UIUtils.escapeHtml(response.delivery.target_url)} - see the delivery log on webhook #${response.replay_of}`;
+            UIUtils.showStatus('replayStatus', message, 'success');
+
+            if (!this.isStreaming()) {
+                await this.loadWebhooks();
+            }
+        } catch (error) {
+            UIUtils.showStatus('replayStatus', `Replay failed: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async replayFilteredWebhooks(event) {
+        const webhookIds = this.getFilteredWebhooks().map(w => w.id);
+        if (webhookIds.length === 0) {
+            UIUtils.showStatus('replayStatus', 'No webhooks match the current filter', 'error');
+            return;
+        }
+
+        if (!confirm(`Replay ${webhookIds.length} webhooks?`)) {
+            return;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Replaying...');
+            const response = await window.apiClient.replayWebhooks({
+                webhook_ids: webhookIds,
+                rule_id: document.getElementById('replayTarget').value || undefined
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            const failures = response.results.filter(r => r.error);
+            UIUtils.showStatus('replayStatus', `${UIUtils.escapeHtml(response.message)}${failures.length ? `. Failed: ${failures.map(f => `#${f.replay_of} (${UIUtils.escapeHtml(f.error)})`).join(', ')}` : ''}`, failures.length ? 'warning' : 'success');
+
+            if (!this.isStreaming()) {
+                await this.loadWebhooks();
+            }
+        } catch (error) {
+            UIUtils.showStatus('replayStatus', `Replay failed: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async loadQuarantine() {
+        try {
+            const response = await window.apiClient.getQuarantinedWebhooks();
+            if (response.success) {
+                this.quarantine = response.quarantine || [];
+                this.canClaimForClient = response.can_claim_for_client;
+                this.renderQuarantine();
+            }
+        } catch (error) {
+            console.error('Failed to load quarantined webhooks:', error);
+            UIUtils.showStatus('quarantineStatus', 'Failed to load quarantined webhooks', 'error');
+        }
+    }
+
+    renderQuarantine() {
+        const list = document.getElementById('quarantineList');
+
+        if (this.quarantine.length === 0) {
+            list.innerHTML = `
+                <p style="color: var(--plaid-gray); font-size: 13px; margin-top: 12px;">
+                    No quarantined webhooks for your items or asset reports.
+                </p>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.quarantine.map(entry => `
+            <div class="forwarding-list-entry">
+                <div>
+                    <strong>${UIUtils.escapeHtml(entry.webhook_type)} / ${UIUtils.escapeHtml(entry.webhook_code || '-')}</strong>
+                    · item <code>${UIUtils.escapeHtml(entry.item_id || entry.asset_report_id || 'none')}</code><br>
+                    <span style="color: var(--plaid-gray);">
+                        ${UIUtils.escapeHtml(entry.reason)} · received ${new Date(entry.received_at).toLocaleString()}
+                    </span>
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    ${entry.claimable
+                        ? `<button class="btn btn-outline" onclick="claimQuarantinedWebhook('${entry.quarantine_id}')">Claim</button>`
+                        : ''}
+                    ${this.canClaimForClient
+                        ? `<button class="btn btn-outline" onclick="claimQuarantinedWebhookForClient('${entry.quarantine_id}')">Claim for Client</button>`
+                        : ''}
+                    <button class="btn btn-outline" onclick="discardQuarantinedWebhook('${entry.quarantine_id}')">Discard</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async loadReactions() {
+        try {
+            const response = await window.apiClient.getWebhookReactions();
+            if (response.success) {
+                this.reactions = response.reactions || [];
+                this.renderReactions();
+            }
+        } catch (error) {
+            console.error('Failed to load webhook reactions:', error);
+            UIUtils.showStatus('reactionStatus', 'Failed to load webhook reactions', 'error');
+        }
+    }
+
+    renderReactions() {
+        document.getElementById('reactionOptions').innerHTML = this.reactions.map(reaction => `
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" class="reaction-option" value="${reaction.reaction}" ${reaction.enabled ? 'checked' : ''}>
+                    <strong>${UIUtils.escapeHtml(reaction.webhook_type)} / ${UIUtils.escapeHtml(reaction.webhook_codes.join(', '))}</strong>
+                    → <code>${UIUtils.escapeHtml(reaction.endpoint)}</code>
+                </label>
+                <div style="font-size: 13px; color: var(--plaid-gray);">${UIUtils.escapeHtml(reaction.description)}</div>
+            </div>
+        `).join('');
+    }
+
+    async saveReactions(event) {
+        const reactions = [...document.querySelectorAll('.reaction-option:checked')].map(input => input.value);
+
+        UIUtils.setButtonLoading(event.target, true);
+
+        try {
+            const response = await window.apiClient.updateWebhookReactions(reactions);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.reactions = response.reactions;
+            this.renderReactions();
+            UIUtils.showStatus('reactionStatus', reactions.length > 0
+                ? `Reactions on for ${response.shared_items} item(s) and ${response.shared_asset_reports} Asset Report(s) in your session`
+                : 'Reactions turned off', 'success');
+        } catch (error) {
+            UIUtils.showStatus('reactionStatus', `Failed to save reactions: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async togglePinWebhook(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            const response = await window.apiClient.pinWebhook(webhookId, !webhook.pinned);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            webhook.pinned = response.pinned;
+            this.renderWebhooks();
+            await this.loadRetention();
+        } catch (error) {
+            UIUtils.showNotification(`Failed to pin webhook: ${error.message}`, 'error');
+        }
+    }
+
+    async loadRetention() {
+        try {
+            const response = await window.apiClient.getWebhookRetention();
+            if (response.success) {
+                this.retention = response.retention;
+                this.renderRetention(response);
+            }
+        } catch (error) {
+            console.error('Failed to load retention settings:', error);
+            UIUtils.showStatus('retentionStatus', 'Failed to load retention settings', 'error');
+        }
+    }
+
+    renderRetention({ retention, stats, stored, pinned }) {
+        document.getElementById('retentionHours').value = retention.retention_hours;
+        document.getElementById('retentionMaxEntries').value = retention.max_entries;
+        document.getElementById('retentionTypeHours').value = Object.entries(retention.type_retention_hours)
+            .map(([type, hours]) => `${type}=${hours}`)
+            .join(', ');
+
+        const lastRun = stats.last_run_at
+            ? `last purge ${new Date(stats.last_run_at).toLocaleTimeString()} (${stats.last_run_purged} removed, ${stats.last_run_duration_ms} ms)`
+            : 'no purge has run yet';
+
+        document.getElementById('retentionStats').innerHTML = `
+            ${stored !== undefined ? `${stored} stored · ${pinned} pinned · ` : ''}
+            Purged ${stats.purged_total} in total (${stats.purged_by_reason.expired} expired, ${stats.purged_by_reason.evicted} evicted) ·
+            ${lastRun} · next purge ${stats.next_run_at ? new Date(stats.next_run_at).toLocaleTimeString() : '-'},
+            every ${stats.purge_interval_seconds}s · server limits: ${retention.defaults.max_entries} webhooks
+        `;
+    }
+
+    async saveRetention(event) {
+        const typeHours = {};
+        const overrides = document.getElementById('retentionTypeHours').value.split(',').map(s => s.trim()).filter(Boolean);
+
+        for (const override of overrides) {
+            const [type, hours] = override.split('=').map(s => s.trim());
+            if (!type || !hours) {
+                UIUtils.showStatus('retentionStatus', `Per-type overrides look like TRANSACTIONS=72, got "${override}"`, 'error');
+                return;
+            }
+            typeHours[type] = hours;
+        }
+
+        UIUtils.setButtonLoading(event.target, true);
+
+        try {
+            const response = await window.apiClient.updateWebhookRetention({
+                retention_hours: document.getElementById('retentionHours').value,
+                type_retention_hours: typeHours,
+                max_entries: document.getElementById('retentionMaxEntries').value
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            UIUtils.showStatus('retentionStatus', response.evicted > 0
+                ? `Retention settings saved; ${response.evicted} webhook(s) over the new limit were evicted`
+                : 'Retention settings saved', 'success');
+            await this.loadRetention();
+            if (response.evicted > 0) {
+                await this.loadWebhooks();
+            }
+        } catch (error) {
+            UIUtils.showStatus('retentionStatus', `Failed to save retention settings: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async claimQuarantinedWebhook(quarantineId, target = {}) {
+        try {
+            const response = await window.apiClient.claimQuarantinedWebhook(quarantineId, target);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            UIUtils.showStatus('quarantineStatus', `Claimed as webhook #${response.webhook.id}`, 'success');
+            await this.loadQuarantine();
+            if (!this.isStreaming()) {
+                await this.loadWebhooks();
+            }
+        } catch (error) {
+            UIUtils.showStatus('quarantineStatus', `Failed to claim webhook: ${error.message}`, 'error');
+        }
+    }
+
+    async claimQuarantinedWebhookForClient(quarantineId) {
+        const clientId = prompt('Claim this webhook for which client ID?');
+        if (!clientId) return;
+
+        await this.claimQuarantinedWebhook(quarantineId, { client_id: clientId.trim() });
+    }
+
+    async discardQuarantinedWebhook(quarantineId) {
+        try {
+            await window.apiClient.discardQuarantinedWebhook(quarantineId);
+            await this.loadQuarantine();
+        } catch (error) {
+            UIUtils.showStatus('quarantineStatus', `Failed to discard webhook: ${error.message}`, 'error');
+        }
+    }
+
+    async addForwardingRule(event) {
+        const targetUrl = document.getElementById('forwardTargetUrl').value.trim();
+        if (!targetUrl) {
+            UIUtils.showStatus('forwardingStatus', 'Enter a target URL', 'error');
+            return;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Adding...');
+            const response = await window.apiClient.addForwardingRule({
+                target_url: targetUrl,
+                webhook_types: document.getElementById('forwardWebhookTypes').value,
+                item_ids: document.getElementById('forwardItemIds').value
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            document.getElementById('forwardTargetUrl').value = '';
+            UIUtils.showStatus('forwardingStatus', `Forwarding matching webhooks to ${UIUtils.escapeHtml(response.rule.target_url)}`, 'success');
+            await this.loadForwarding();
+        } catch (error) {
+            UIUtils.showStatus('forwardingStatus', `Failed to add forwarding rule: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async toggleForwardingRule(ruleId, enabled) {
+        try {
+            await window.apiClient.updateForwardingRule(ruleId, { enabled });
+            await this.loadForwarding();
+        } catch (error) {
+            UIUtils.showNotification(`Failed to update forwarding rule: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteForwardingRule(ruleId) {
+        try {
+            await window.apiClient.deleteForwardingRule(ruleId);
+            await this.loadForwarding();
+            UIUtils.showNotification('Forwarding rule deleted', 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to delete forwarding rule: ${error.message}`, 'error');
+        }
+    }
+
+    async retryDeadLetter(deliveryId) {
+        try {
+            await window.apiClient.retryDeadLetter(deliveryId);
+            await this.loadForwarding();
+            if (!this.isStreaming()) {
+                await this.loadWebhooks();
+            }
+            UIUtils.showNotification('Delivery retry started', 'success');
+        } catch (error) {
+            UIUtils.showNotification(`Failed to retry delivery: ${error.message}`, 'error');
+        }
+    }
+
+    async clearDeadLetters() {
+        try {
+            await window.apiClient.clearDeadLetters();
+            await this.loadForwarding();
+        } catch (error) {
+            UIUtils.showNotification(`Failed to clear dead letters: ${error.message}`, 'error');
+        }
+    }
+
+    async loadFirePanel() {
+        try {
+            const [itemsResponse, codesResponse] = await Promise.all([
+                window.apiClient.getItems(),
+                window.apiClient.getSandboxWebhookCodes()
+            ]);
+
+            const items = itemsResponse.items || [];
+            this.items = items;
+            const itemSelect = document.getElementById('fireWebhookItem');
+            itemSelect.innerHTML = items.length
+                ? items.map(item => `
+                    <option value="${UIUtils.escapeHtml(item.item_id)}" ${item.selected ? 'selected' : ''}>
+                        ${UIUtils.escapeHtml(item.name || item.item_id)}
+                    </option>
+                `).join('')
+                : '<option value="">No linked items - connect one from the start page</option>';
+
+            const codeSelect = document.getElementById('fireWebhookCode');
+            codeSelect.innerHTML = (codesResponse.webhook_codes || []).map(code => `
+                <option value="${UIUtils.escapeHtml(`${code.webhook_type || ''}|${code.webhook_code}`)}">
+                    ${UIUtils.escapeHtml(code.webhook_type || 'AUTO')} / ${UIUtils.escapeHtml(code.webhook_code)} - ${UIUtils.escapeHtml(code.description)}
+                </option>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load fire webhook panel:', error);
+            UIUtils.showStatus('fireWebhookStatus', 'Failed to load items or webhook codes', 'error');
+        }
+    }
+
+    async updateItemWebhook(event) {
+        const itemId = document.getElementById('fireWebhookItem').value;
+        if (!itemId) {
+            UIUtils.showStatus('fireWebhookStatus', 'Select an item first', 'error');
+            return;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Updating...');
+            const response = await window.apiClient.updateItemWebhook(itemId);
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            UIUtils.showStatus('fireWebhookStatus', `Item webhook now points at ${UIUtils.escapeHtml(response.webhook)}`, 'success');
+        } catch (error) {
+            UIUtils.showStatus('fireWebhookStatus', `Failed to update item webhook: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    async fireWebhook(event) {
+        const itemId = document.getElementById('fireWebhookItem').value;
+        const [webhookType, webhookCode] = document.getElementById('fireWebhookCode').value.split('|');
+
+        if (!itemId || !webhookCode) {
+            UIUtils.showStatus('fireWebhookStatus', 'Select an item and a webhook to fire', 'error');
+            return;
+        }
+
+        try {
+            UIUtils.setButtonLoading(event.target, true, 'Firing...');
+            const response = await window.apiClient.fireSandboxWebhook({
+                item_id: itemId,
+                webhook_type: webhookType || null,
+                webhook_code: webhookCode
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.fires.unshift({
+                fire_id: response.fire_id,
+                item_id: response.item_id,
+                webhook_type: response.webhook_type,
+                webhook_code: response.webhook_code,
+                fired_at: response.fired_at,
+                arrived_at: null
+            });
+            this.renderFireHistory();
+
+            UIUtils.showStatus('fireWebhookStatus', `Fired ${webhookCode}. Waiting for it to arrive...`, 'info');
+            this.watchForFiredWebhooks();
+        } catch (error) {
+            UIUtils.showStatus('fireWebhookStatus', `Failed to fire webhook: ${error.message}`, 'error');
+        } finally {
+            UIUtils.setButtonLoading(event.target, false);
+        }
+    }
+
+    /**
+     * Mark fired webhooks as arrived once processWebhook has tagged them with their fire_id
+     */
+    checkFiredWebhooks() {
+        let changed = false;
+
+        this.fires.filter(fire => !fire.arrived_at).forEach(fire => {
+            const webhook = this.webhooks.find(w => w.fire_id === fire.fire_id);
+            if (!webhook) return;
+
+            fire.arrived_at = webhook.timestamp;
+            changed = true;
+
+            const seconds = ((new Date(webhook.timestamp) - new Date(fire.fired_at)) / 1000).toFixed(1);
+            UIUtils.showStatus('fireWebhookStatus', `${UIUtils.escapeHtml(fire.webhook_code)} arrived after ${seconds}s`, 'success');
+            UIUtils.showNotification(`${fire.webhook_code} webhook received`, 'success');
+        });
+
+        if (changed) {
+            this.renderFireHistory();
+        }
+    }
+
+    /**
+     * Poll quickly while fired webhooks are outstanding, for up to a minute
+     */
+    watchForFiredWebhooks(deadline = Date.now() + 60 * 1000) {
+        clearTimeout(this.fireWatchTimeout);
+
+        this.fireWatchTimeout = setTimeout(async () => {
+            // The stream delivers webhooks as they arrive; only fetch when it is down
+            if (!this.isStreaming()) {
+                await this.loadWebhooks();
+            }
+
+            if (!this.fires.some(fire => !fire.arrived_at)) return;
+
+            if (Date.now() < deadline) {
+                this.watchForFiredWebhooks(deadline);
+            } else {
+                UIUtils.showStatus('fireWebhookStatus', 'Fired webhook has not arrived yet. Check that the item points at this kit\'s webhook URL.', 'warning');
+            }
+        }, 1000);
+    }
+
+    renderFireHistory() {
+        document.getElementById('fireHistory').innerHTML = this.fires.slice(0, 10).map(fire => `
+            <div class="fire-history-entry">
+                <span>${UIUtils.escapeHtml(fire.webhook_type || 'AUTO')} / ${UIUtils.escapeHtml(fire.webhook_code)}</span>
+                <span>${fire.arrived_at ? '✅ Arrived' : '⏳ Waiting'} · fired ${new Date(fire.fired_at).toLocaleTimeString()}</span>
+            </div>
+        `).join('');
+    }
+
     escapeRegex(str) {
         return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
     destroy() {
+        this.stopStream();
         this.stopPolling();
+        clearTimeout(this.fireWatchTimeout);
     }
 }
 
@@ -286,6 +1157,78 @@ function exportWebhooks() {
     window.webhooksManager.exportWebhooks();
 }
 
+function setVerificationMode() {
+    window.webhooksManager.setVerificationMode();
+}
+
+function updateItemWebhook(event) {
+    window.webhooksManager.updateItemWebhook(event);
+}
+
+function fireSandboxWebhook(event) {
+    window.webhooksManager.fireWebhook(event);
+}
+
+function addForwardingRule(event) {
+    window.webhooksManager.addForwardingRule(event);
+}
+
+function toggleForwardingRule(ruleId, enabled) {
+    window.webhooksManager.toggleForwardingRule(ruleId, enabled);
+}
+
+function deleteForwardingRule(ruleId) {
+    window.webhooksManager.deleteForwardingRule(ruleId);
+}
+
+function retryDeadLetter(deliveryId) {
+    window.webhooksManager.retryDeadLetter(deliveryId);
+}
+
+function clearDeadLetters() {
+    window.webhooksManager.clearDeadLetters();
+}
+
+function selectReplayWebhook(webhookId) {
+    window.webhooksManager.selectReplayWebhook(webhookId);
+}
+
+function sendReplay(event) {
+    window.webhooksManager.sendReplay(event);
+}
+
+function replayFilteredWebhooks(event) {
+    window.webhooksManager.replayFilteredWebhooks(event);
+}
+
+function loadQuarantine() {
+    window.webhooksManager.loadQuarantine();
+}
+
+function claimQuarantinedWebhook(quarantineId) {
+    window.webhooksManager.claimQuarantinedWebhook(quarantineId);
+}
+
+function claimQuarantinedWebhookForClient(quarantineId) {
+    window.webhooksManager.claimQuarantinedWebhookForClient(quarantineId);
+}
+
+function discardQuarantinedWebhook(quarantineId) {
+    window.webhooksManager.discardQuarantinedWebhook(quarantineId);
+}
+
+function togglePinWebhook(webhookId) {
+    window.webhooksManager.togglePinWebhook(webhookId);
+}
+
+function saveReactions(event) {
+    window.webhooksManager.saveReactions(event);
+}
+
+function saveRetention(event) {
+    window.webhooksManager.saveRetention(event);
+}
+
 function copyWebhookUrl() {
     window.webhooksManager.copyWebhookUrl();
 }
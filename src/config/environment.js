@@ -18,6 +18,45 @@ const getBaseUrl = () => {
 const BASE_URL = getBaseUrl();
 const PORT = process.env.PORT || 3000;
 
+// How incoming webhooks are verified: jwt (Plaid-Verification header), ip (Plaid IP allowlist) or none
+const WEBHOOK_VERIFICATION_MODE = (process.env.WEBHOOK_VERIFICATION_MODE || 'jwt').toLowerCase();
+
+// Client IDs allowed to see and manage every client's webhooks (comma-separated)
+const ADMIN_CLIENT_IDS = (process.env.ADMIN_CLIENT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Hosts webhook forwarding may reach even though they are loopback, link-local or private (comma-separated)
+const WEBHOOK_FORWARD_ALLOWED_HOSTS = (process.env.WEBHOOK_FORWARD_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\.+$/, ''))
+  .filter(Boolean);
+
+// Webhook retention defaults. Clients can set their own retention (up to 30 days, per webhook type too)
+// from the Webhooks page, but can only lower their entry cap. WEBHOOK_STORE_MAX_ENTRIES caps the shared
+// store across all clients, which bounds memory use.
+const WEBHOOK_RETENTION_HOURS = parseFloat(process.env.WEBHOOK_RETENTION_HOURS) || 24;
+const WEBHOOK_MAX_ENTRIES = parseInt(process.env.WEBHOOK_MAX_ENTRIES) || 10000;
+const WEBHOOK_STORE_MAX_ENTRIES = parseInt(process.env.WEBHOOK_STORE_MAX_ENTRIES) || 100000;
+const WEBHOOK_PURGE_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_PURGE_INTERVAL_SECONDS) || 60;
+
+// Plaid fixtures: live (default), record responses to PLAID_FIXTURES_DIR, or replay them offline.
+// In replay, requests without a fixture fail, pass through to Plaid or get the nearest recorded match.
+const PLAID_MODE = (process.env.PLAID_MODE || 'live').toLowerCase();
+const PLAID_FIXTURES_DIR = process.env.PLAID_FIXTURES_DIR || 'fixtures/plaid';
+const PLAID_REPLAY_MISMATCH = (process.env.PLAID_REPLAY_MISMATCH || 'fail').toLowerCase();
+
+// Local Plaid stand-in (src/mock): adds a `local` environment that needs no network or Plaid account.
+// The kit starts it on LOCAL_PLAID_PORT unless LOCAL_PLAID_URL points at one running elsewhere.
+const LOCAL_PLAID_ENABLED = process.env.LOCAL_PLAID_ENABLED === 'true';
+const LOCAL_PLAID_SEED = process.env.LOCAL_PLAID_SEED || 'plaid-test-kit';
+const LOCAL_PLAID_PORT = parseInt(process.env.LOCAL_PLAID_PORT) || 4010;
+const LOCAL_PLAID_URL = process.env.LOCAL_PLAID_URL || `http://localhost:${LOCAL_PLAID_PORT}`;
+
+// Plaid environments users can log in with
+const PLAID_ENVIRONMENTS = ['sandbox', 'development', 'production', ...(LOCAL_PLAID_ENABLED ? ['local'] : [])];
+
 // Check for required environment variables
 function validateEnvironment() {
   if (!process.env.SESSION_SECRET) {
@@ -33,6 +72,21 @@ console.log(`🌍 Base URL configured as: ${BASE_URL}`);
 module.exports = {
   BASE_URL,
   PORT,
+  WEBHOOK_VERIFICATION_MODE,
+  ADMIN_CLIENT_IDS,
+  WEBHOOK_FORWARD_ALLOWED_HOSTS,
+  WEBHOOK_RETENTION_HOURS,
+  WEBHOOK_MAX_ENTRIES,
+  WEBHOOK_STORE_MAX_ENTRIES,
+  WEBHOOK_PURGE_INTERVAL_SECONDS,
+  PLAID_MODE,
+  PLAID_FIXTURES_DIR,
+  PLAID_REPLAY_MISMATCH,
+  LOCAL_PLAID_ENABLED,
+  LOCAL_PLAID_SEED,
+  LOCAL_PLAID_PORT,
+  LOCAL_PLAID_URL,
+  PLAID_ENVIRONMENTS,
   validateEnvironment,
   getBaseUrl
 };
\ No newline at end of file
@@ -1,6 +1,52 @@
 // src/config/plaid.js
+const axios = require('axios');
 const { PlaidApi, PlaidEnvironments, Configuration } = require('plaid');
 const { decryptCredentials } = require('../utils/crypto');
+const { LOCAL_PLAID_ENABLED, LOCAL_PLAID_URL } = require('./environment');
+const apiCallLogService = require('../services/apiCallLogService');
+const plaidFixtureService = require('../services/plaidFixtureService');
+
+// Give the client its own axios instance so every call can be logged for the Inspector
+const createInspectedAxios = (req) => {
+  const instance = axios.create();
+
+  instance.interceptors.request.use((config) => {
+    config.metadata = { startedAt: Date.now() };
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      apiCallLogService.record(req, response.config, response);
+      return response;
+    },
+    (error) => {
+      if (error.config) {
+        apiCallLogService.record(req, error.config, error.response, error);
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  // Record or replay responses when PLAID_MODE asks for it
+  return plaidFixtureService.attach(instance);
+};
+
+// Base path of each environment the kit can reach; `local` is the offline stand-in in src/mock
+const getPlaidBasePaths = () => {
+  const plaidEnvironments = {
+    'sandbox': PlaidEnvironments.sandbox
+  };
+
+  if (LOCAL_PLAID_ENABLED) {
+    plaidEnvironments.local = LOCAL_PLAID_URL;
+  }
+
+  return plaidEnvironments;
+};
+
+// Map environment string to Plaid environment
+const getPlaidBasePath = (environment) => getPlaidBasePaths()[environment];
 
 // Create dynamic Plaid client with user's credentials
 const createPlaidClient = (req) => {
@@ -8,14 +54,9 @@ const createPlaidClient = (req) => {
     throw new Error('User credentials not available');
   }
 
-  // Map environment string to Plaid environment
-  const plaidEnvironments = {
-    'sandbox': PlaidEnvironments.sandbox
-  };
-
-  // Determine environment from stored credentials
+  // Determine environment from stored credentials, falling back to the caller's (e.g. itemStore credentials)
   const encryptedCreds = req.session?.plaidCredentials || req.cookies?.plaidCredentials;
-  let environment = 'sandbox'; // default
+  let environment = req.plaidEnvironment || 'sandbox'; // default
 
   if (encryptedCreds) {
     try {
@@ -27,7 +68,7 @@ const createPlaidClient = (req) => {
   }
 
   const plaidConfig = new Configuration({
-    basePath: plaidEnvironments[environment],
+    basePath: getPlaidBasePath(environment),
     baseOptions: {
       headers: {
         'PLAID-CLIENT-ID': req.plaidClientId,
@@ -36,11 +77,13 @@ const createPlaidClient = (req) => {
     },
   });
 
-  return new PlaidApi(plaidConfig);
+  return new PlaidApi(plaidConfig, undefined, createInspectedAxios(req));
 };
 
 module.exports = {
   createPlaidClient,
+  getPlaidBasePath,
+  getPlaidBasePaths,
   PlaidApi,
   PlaidEnvironments,
   Configuration
@@ -0,0 +1,222 @@
+// src/config/webhookCatalog.js
+// Plaid webhook types and codes with JSON schemas for their payloads and a summary for each
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer', minimum: 0 };
+const boolean = { type: 'boolean' };
+const stringArray = { type: 'array', items: string };
+const accountMap = { type: 'object', additionalProperties: stringArray };
+
+const plaidError = {
+  type: ['object', 'null'],
+  required: ['error_type', 'error_code'],
+  properties: {
+    error_type: string,
+    error_code: string,
+    error_message: string,
+    display_message: nullableString
+  }
+};
+
+const environment = { type: 'string', enum: ['sandbox', 'development', 'production', 'local'] };
+
+// Suggested next steps for the Item error codes Plaid sends in webhooks
+const ERROR_REMEDIATION = {
+  ITEM_LOGIN_REQUIRED: 'Send the user through Link in update mode to re-authenticate.',
+  PENDING_EXPIRATION: 'Send the user through Link in update mode before consent expires.',
+  INVALID_CREDENTIALS: 'The user must re-enter their credentials in Link update mode.',
+  INVALID_MFA: 'The user must retry MFA in Link update mode.',
+  INSUFFICIENT_CREDENTIALS: 'The user must finish an OAuth or MFA step in Link update mode.',
+  ITEM_LOCKED: 'The user must unlock the account at their bank, then use Link update mode.',
+  USER_SETUP_REQUIRED: 'The user must finish account setup on their bank\'s website.',
+  MFA_NOT_SUPPORTED: 'The institution\'s MFA type is not supported; ask the user to change their MFA settings.',
+  NO_ACCOUNTS: 'No supported accounts were found; have the user link a different account.',
+  ACCESS_NOT_GRANTED: 'The user did not share the required data; send them through Link update mode.',
+  INSTITUTION_DOWN: 'The institution is unavailable; retry later.',
+  INSTITUTION_NOT_RESPONDING: 'The institution is not responding; retry later.',
+  PRODUCT_NOT_READY: 'The product is still being prepared; wait for the next webhook.'
+};
+
+const count = (value, noun) => `${value ?? 0} ${noun}${value === 1 ? '' : 's'}`;
+
+const errorSummary = (payload) => payload.error ? {
+  tone: 'error',
+  details: [`${payload.error.error_code}: ${payload.error.error_message || payload.error.display_message || 'No message'}`],
+  remediation: ERROR_REMEDIATION[payload.error.error_code] || null
+} : {};
+
+/**
+ * Build a catalog entry; webhook_type and webhook_code are always required and fixed
+ */
+function entry(webhookType, webhookCode, description, properties = {}, required = [], summarize = () => ({})) {
+  return {
+    webhook_type: webhookType,
+    webhook_code: webhookCode,
+    description,
+    schema: {
+      type: 'object',
+      required: ['webhook_type', 'webhook_code', ...required],
+      properties: {
+        webhook_type: { const: webhookType },
+        webhook_code: { const: webhookCode },
+        environment,
+        ...properties
+      }
+    },
+    summarize
+  };
+}
+
+const itemProps = { item_id: string, error: plaidError };
+
+const WEBHOOK_CATALOG = [
+  // Transactions
+  entry('TRANSACTIONS', 'SYNC_UPDATES_AVAILABLE', 'New data is ready for /transactions/sync',
+    { item_id: string, initial_update_complete: boolean, historical_update_complete: boolean },
+    ['item_id', 'initial_update_complete', 'historical_update_complete'],
+    (p) => ({
+      title: 'Transactions ready to sync',
+      details: [
+        `Initial update ${p.initial_update_complete ? 'complete' : 'pending'}`,
+        `Historical update ${p.historical_update_complete ? 'complete' : 'pending'}`
+      ],
+      next_step: 'Call /transactions/sync with the stored cursor'
+    })),
+  entry('TRANSACTIONS', 'INITIAL_UPDATE', 'The first 30 days of transactions are available',
+    { ...itemProps, new_transactions: integer }, ['item_id', 'new_transactions'],
+    (p) => ({ title: count(p.new_transactions, 'new transaction'), details: ['Initial 30-day pull finished'], ...errorSummary(p) })),
+  entry('TRANSACTIONS', 'HISTORICAL_UPDATE', 'All available transaction history is available',
+    { ...itemProps, new_transactions: integer }, ['item_id', 'new_transactions'],
+    (p) => ({ title: count(p.new_transactions, 'new transaction'), details: ['Historical pull finished'], ...errorSummary(p) })),
+  entry('TRANSACTIONS', 'DEFAULT_UPDATE', 'New transactions are available',
+    { ...itemProps, new_transactions: integer }, ['item_id', 'new_transactions'],
+    (p) => ({ title: count(p.new_transactions, 'new transaction'), ...errorSummary(p) })),
+  entry('TRANSACTIONS', 'TRANSACTIONS_REMOVED', 'Transactions were removed',
+    { ...itemProps, removed_transactions: stringArray }, ['item_id', 'removed_transactions'],
+    (p) => ({ title: count(p.removed_transactions?.length, 'transaction') + ' removed', ...errorSummary(p) })),
+  entry('TRANSACTIONS', 'RECURRING_TRANSACTIONS_UPDATE', 'Recurring transaction streams were updated',
+    { item_id: string, account_ids: stringArray }, ['item_id', 'account_ids'],
+    (p) => ({ title: 'Recurring streams updated', details: [count(p.account_ids?.length, 'account')], next_step: 'Call /transactions/recurring/get' })),
+
+  // Item
+  entry('ITEM', 'ERROR', 'The item entered an error state',
+    { item_id: string, error: { ...plaidError, type: 'object' } }, ['item_id', 'error'],
+    (p) => ({ title: `Item error: ${p.error?.error_code || 'unknown'}`, ...errorSummary(p) })),
+  entry('ITEM', 'PENDING_EXPIRATION', 'The item\'s consent is about to expire',
+    { ...itemProps, consent_expiration_time: string }, ['item_id', 'consent_expiration_time'],
+    (p) => ({
+      title: 'Consent expiring',
+      tone: 'warning',
+      details: [`Expires ${p.consent_expiration_time}`],
+      remediation: ERROR_REMEDIATION.PENDING_EXPIRATION
+    })),
+  entry('ITEM', 'PENDING_DISCONNECT', 'The item will soon stop working',
+    { ...itemProps, reason: string }, ['item_id'],
+    (p) => ({ title: 'Item will disconnect', tone: 'warning', details: [p.reason || 'No reason given'], remediation: ERROR_REMEDIATION.PENDING_EXPIRATION })),
+  entry('ITEM', 'USER_PERMISSION_REVOKED', 'The user revoked access to the item',
+    itemProps, ['item_id'],
+    () => ({ title: 'Access revoked', tone: 'error', details: ['The access token no longer works'], remediation: 'Remove the item; the user must link it again to restore access.' })),
+  entry('ITEM', 'USER_ACCOUNT_REVOKED', 'The user revoked access to an account',
+    { ...itemProps, account_id: string }, ['item_id', 'account_id'],
+    (p) => ({ title: 'Account access revoked', tone: 'warning', details: [`Account ${p.account_id}`] })),
+  entry('ITEM', 'WEBHOOK_UPDATE_ACKNOWLEDGED', 'The item\'s webhook URL was updated',
+    { ...itemProps, new_webhook_url: string }, ['item_id', 'new_webhook_url'],
+    (p) => ({ title: 'Webhook URL updated', details: [p.new_webhook_url] })),
+  entry('ITEM', 'NEW_ACCOUNTS_AVAILABLE', 'New accounts were detected at the institution',
+    itemProps, ['item_id'],
+    () => ({ title: 'New accounts available', next_step: 'Send the user through Link update mode with account selection enabled' })),
+  entry('ITEM', 'LOGIN_REPAIRED', 'The item recovered from ITEM_LOGIN_REQUIRED',
+    itemProps, ['item_id'],
+    () => ({ title: 'Login repaired', tone: 'success', details: ['No update mode needed'] })),
+
+  // Auth
+  entry('AUTH', 'AUTOMATICALLY_VERIFIED', 'Automated micro-deposits were verified',
+    { item_id: string, account_id: string }, ['item_id', 'account_id'],
+    (p) => ({ title: 'Account verified', tone: 'success', details: [`Account ${p.account_id}`], next_step: 'Call /auth/get' })),
+  entry('AUTH', 'VERIFICATION_EXPIRED', 'Micro-deposit verification expired',
+    { item_id: string, account_id: string }, ['item_id', 'account_id'],
+    (p) => ({ title: 'Verification expired', tone: 'error', details: [`Account ${p.account_id}`], remediation: 'Have the user link the account again.' })),
+  entry('AUTH', 'SMS_MICRODEPOSITS_VERIFICATION', 'Micro-deposits were verified by text message',
+    { item_id: string, account_id: string, status: string }, ['item_id', 'account_id', 'status'],
+    (p) => ({ title: `SMS verification ${String(p.status || '').toLowerCase()}`, details: [`Account ${p.account_id}`] })),
+  entry('AUTH', 'DEFAULT_UPDATE', 'Account or routing numbers changed',
+    { ...itemProps, account_ids_with_new_numbers: stringArray, account_ids_with_updated_numbers: accountMap }, ['item_id'],
+    (p) => ({
+      title: 'Account numbers changed',
+      details: [
+        count(p.account_ids_with_new_numbers?.length, 'account') + ' with new numbers',
+        count(Object.keys(p.account_ids_with_updated_numbers || {}).length, 'account') + ' with updated numbers'
+      ],
+      next_step: 'Call /auth/get'
+    })),
+
+  // Identity
+  entry('IDENTITY', 'DEFAULT_UPDATE', 'Identity data changed',
+    { ...itemProps, account_ids_with_updated_identity: accountMap }, ['item_id', 'account_ids_with_updated_identity'],
+    (p) => ({ title: 'Identity updated', details: [count(Object.keys(p.account_ids_with_updated_identity || {}).length, 'account')], next_step: 'Call /identity/get' })),
+
+  // Assets
+  entry('ASSETS', 'PRODUCT_READY', 'An Asset Report finished generating',
+    { asset_report_id: string, report_type: string, user_id: nullableString }, ['asset_report_id'],
+    (p) => ({ title: 'Asset Report ready', tone: 'success', details: [p.asset_report_id], next_step: 'Call /asset_report/get' })),
+  entry('ASSETS', 'ERROR', 'Asset Report generation failed',
+    { asset_report_id: string, error: { ...plaidError, type: 'object' }, user_id: nullableString }, ['asset_report_id', 'error'],
+    (p) => ({ title: `Asset Report failed: ${p.error?.error_code || 'unknown'}`, ...errorSummary(p) })),
+
+  // Investments and liabilities
+  entry('HOLDINGS', 'DEFAULT_UPDATE', 'Investment holdings were updated',
+    { ...itemProps, new_holdings: integer, updated_holdings: integer }, ['item_id', 'new_holdings', 'updated_holdings'],
+    (p) => ({ title: `${count(p.new_holdings, 'new holding')}, ${p.updated_holdings ?? 0} updated`, next_step: 'Call /investments/holdings/get', ...errorSummary(p) })),
+  entry('INVESTMENTS_TRANSACTIONS', 'DEFAULT_UPDATE', 'New investment transactions are available',
+    { ...itemProps, new_investments_transactions: integer, canceled_investments_transactions: integer },
+    ['item_id', 'new_investments_transactions', 'canceled_investments_transactions'],
+    (p) => ({ title: `${count(p.new_investments_transactions, 'new investment transaction')}, ${p.canceled_investments_transactions ?? 0} canceled`, ...errorSummary(p) })),
+  entry('INVESTMENTS_TRANSACTIONS', 'HISTORICAL_UPDATE', 'Historical investment transactions are available',
+    { ...itemProps, new_investments_transactions: integer, canceled_investments_transactions: integer },
+    ['item_id', 'new_investments_transactions', 'canceled_investments_transactions'],
+    (p) => ({ title: count(p.new_investments_transactions, 'new investment transaction'), details: ['Historical pull finished'], ...errorSummary(p) })),
+  entry('LIABILITIES', 'DEFAULT_UPDATE', 'Liabilities data was updated',
+    { ...itemProps, account_ids_with_new_liabilities: stringArray, account_ids_with_updated_liabilities: accountMap },
+    ['item_id', 'account_ids_with_new_liabilities', 'account_ids_with_updated_liabilities'],
+    (p) => ({
+      title: 'Liabilities updated',
+      details: [
+        count(p.account_ids_with_new_liabilities?.length, 'account') + ' with new liabilities',
+        count(Object.keys(p.account_ids_with_updated_liabilities || {}).length, 'account') + ' updated'
+      ],
+      ...errorSummary(p)
+    })),
+
+  // Transfer
+  entry('TRANSFER', 'TRANSFER_EVENTS_UPDATE', 'New transfer events are available',
+    {}, [],
+    () => ({ title: 'Transfer events available', next_step: 'Call /transfer/event/sync' })),
+
+  // Link
+  entry('LINK', 'SESSION_FINISHED', 'A Link session finished',
+    { link_session_id: string, link_token: string, status: string, public_tokens: stringArray }, ['link_session_id', 'link_token', 'status'],
+    (p) => ({ title: `Link session ${String(p.status || '').toLowerCase()}`, tone: p.status === 'SUCCESS' ? 'success' : 'warning', details: [count(p.public_tokens?.length, 'public token')] })),
+  entry('LINK', 'ITEM_ADD_RESULT', 'An item was added in a Link session',
+    { link_session_id: string, link_token: string, public_token: string }, ['link_session_id', 'link_token', 'public_token'],
+    () => ({ title: 'Item added in Link', next_step: 'Exchange the public token' })),
+  entry('LINK', 'EVENTS', 'Link events from a Hosted Link or multi-item session',
+    { link_session_id: string, link_token: string, events: { type: 'array' } }, ['link_session_id', 'events'],
+    (p) => ({ title: count(p.events?.length, 'Link event') })),
+
+  // Identity Verification
+  entry('IDENTITY_VERIFICATION', 'STATUS_UPDATED', 'An identity verification changed status',
+    { identity_verification_id: string }, ['identity_verification_id'],
+    (p) => ({ title: 'Verification status changed', details: [p.identity_verification_id], next_step: 'Call /identity_verification/get' })),
+  entry('IDENTITY_VERIFICATION', 'STEP_UPDATED', 'An identity verification step changed',
+    { identity_verification_id: string }, ['identity_verification_id'],
+    (p) => ({ title: 'Verification step changed', details: [p.identity_verification_id] })),
+  entry('IDENTITY_VERIFICATION', 'RETRIED', 'An identity verification was retried',
+    { identity_verification_id: string }, ['identity_verification_id'],
+    (p) => ({ title: 'Verification retried', details: [p.identity_verification_id] }))
+];
+
+module.exports = {
+  WEBHOOK_CATALOG,
+  ERROR_REMEDIATION
+};
@@ -1,5 +1,7 @@
 // src/middleware/auth.js
 const { decryptCredentials } = require('../utils/crypto');
+const { ADMIN_CLIENT_IDS } = require('../config/environment');
+const apiCallLogService = require('../services/apiCallLogService');
 
 // Enhanced validateApiKey middleware with debugging
 const validateApiKey = (req, res, next) => {
@@ -41,6 +43,7 @@ const validateApiKey = (req, res, next) => {
     req.plaidClientId = credentials.clientId;
     req.plaidSecret = credentials.secret;
     req.plaidEnvironment = credentials.environment || 'sandbox';
+    req.isAdmin = ADMIN_CLIENT_IDS.includes(credentials.clientId);
 
     // If credentials came from cookie but not session, restore to session
     if (!req.session?.plaidCredentials && req.cookies?.plaidCredentials) {
@@ -65,6 +68,7 @@ const validateApiKey = (req, res, next) => {
 
     // Clean up corrupted data
     if (req.session) {
+      apiCallLogService.clearSession(req.sessionID);
       req.session.destroy((err) => {
         if (err) console.error('Session destruction error:', err);
       });
@@ -78,6 +82,17 @@ const validateApiKey = (req, res, next) => {
   }
 };
 
+// Restrict a route to the client IDs listed in ADMIN_CLIENT_IDS (use after validateApiKey)
+const requireAdmin = (req, res, next) => {
+  if (!req.isAdmin) {
+    console.log(`❌ Admin access denied to ${req.path} for client ${req.plaidClientId}`);
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  next();
+};
+
 module.exports = {
-  validateApiKey
+  validateApiKey,
+  requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,467 @@
+// src/mock/localPlaidData.js
+// Deterministic fake data for the local Plaid server: the same seed always produces the same items
+
+const crypto = require('crypto');
+
+// Sandbox institutions the kit offers; any other ID gets a generic name
+const INSTITUTIONS = {
+  ins_109508: 'First Platypus Bank',
+  ins_109509: 'First Gingham Credit Union',
+  ins_109510: 'Tattersall Federal Credit Union',
+  ins_109511: 'Tartan Bank',
+  ins_109512: 'Houndstooth Bank',
+  ins_116834: 'Flexible Platypus Open Banking',
+  ins_127287: 'Platypus OAuth Bank'
+};
+
+const FIRST_NAMES = ['Alberta', 'Benedict', 'Clementine', 'Desmond', 'Eloise', 'Fitzgerald', 'Georgina', 'Horace'];
+const LAST_NAMES = ['Charleson', 'Whitfield', 'Okonkwo', 'Lindqvist', 'Moreno', 'Tanaka', 'Fairbanks', 'Delacroix'];
+const STREETS = ['Main St', 'Market St', 'Ocean Ave', 'Elm St', 'Lakeview Dr', 'Harbor Blvd'];
+const CITIES = [
+  { city: 'Malakoff', region: 'NY', postal_code: '14236' },
+  { city: 'San Francisco', region: 'CA', postal_code: '94103' },
+  { city: 'Austin', region: 'TX', postal_code: '78701' },
+  { city: 'Denver', region: 'CO', postal_code: '80202' }
+];
+
+// Accounts every local item has, in the order Plaid Sandbox returns them
+const ACCOUNT_TEMPLATES = [
+  { name: 'Plaid Checking', official_name: 'Plaid Gold Standard 0% Interest Checking', type: 'depository', subtype: 'checking', min: 100, max: 5000 },
+  { name: 'Plaid Saving', official_name: 'Plaid Silver Standard 0.1% Interest Saving', type: 'depository', subtype: 'savings', min: 200, max: 20000 },
+  { name: 'Plaid Credit Card', official_name: 'Plaid Diamond 12.5% APR Interest Credit Card', type: 'credit', subtype: 'credit card', min: 50, max: 2000 },
+  { name: 'Plaid IRA', official_name: null, type: 'investment', subtype: 'ira', min: 5000, max: 50000 },
+  { name: 'Plaid Student Loan', official_name: null, type: 'loan', subtype: 'student', min: 5000, max: 60000 },
+  { name: 'Plaid Mortgage', official_name: null, type: 'loan', subtype: 'mortgage', min: 50000, max: 400000 }
+];
+
+// Merchants transactions are drawn from; negative amounts are money coming in
+const MERCHANTS = [
+  { name: 'Starbucks', category: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_COFFEE', channel: 'in store', min: 3, max: 12 },
+  { name: 'Whole Foods', category: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_GROCERIES', channel: 'in store', min: 20, max: 180 },
+  { name: 'Uber', category: 'TRANSPORTATION', detailed: 'TRANSPORTATION_TAXIS_AND_RIDE_SHARES', channel: 'online', min: 8, max: 60 },
+  { name: 'United Airlines', category: 'TRAVEL', detailed: 'TRAVEL_FLIGHTS', channel: 'online', min: 150, max: 900 },
+  { name: 'Netflix', category: 'ENTERTAINMENT', detailed: 'ENTERTAINMENT_TV_AND_MOVIES', channel: 'online', min: 15, max: 23 },
+  { name: 'Payroll Deposit', category: 'INCOME', detailed: 'INCOME_WAGES', channel: 'other', min: -4000, max: -1500 }
+];
+
+const SECURITIES = [
+  { ticker_symbol: 'VTI', name: 'Vanguard Total Stock Market ETF', type: 'etf', close_price: 245.5 },
+  { ticker_symbol: 'AAPL', name: 'Apple Inc.', type: 'equity', close_price: 190.2 },
+  { ticker_symbol: 'BND', name: 'Vanguard Total Bond Market ETF', type: 'etf', close_price: 72.3 },
+  { ticker_symbol: 'VFIAX', name: 'Vanguard 500 Index Fund Admiral Shares', type: 'mutual fund', close_price: 450.1 }
+];
+
+/**
+ * Stable hex ID from any number of parts
+ */
+function hashId(...parts) {
+  return crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 24);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) with a few helpers
+ */
+function createRng(...seedParts) {
+  let state = parseInt(hashId(...seedParts).slice(0, 8), 16);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    amount: (min, max) => Math.round((min + next() * (max - min)) * 100) / 100,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    digits: (length) => Array.from({ length }, () => Math.floor(next() * 10)).join('')
+  };
+}
+
+/**
+ * YYYY-MM-DD for a day relative to today (negative is in the past)
+ */
+function dateFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function institutionName(institutionId) {
+  return INSTITUTIONS[institutionId] || `Local Bank ${institutionId}`;
+}
+
+/**
+ * Accounts with balances for an item
+ */
+function buildAccounts(seed, item) {
+  const rng = createRng(seed, item.item_id, 'accounts');
+
+  return ACCOUNT_TEMPLATES.map(template => {
+    const current = rng.amount(template.min, template.max);
+    const isCredit = template.type === 'credit';
+    const limit = isCredit ? rng.int(20, 100) * 100 : null;
+    const available = {
+      depository: () => Math.round((current - rng.amount(0, 100)) * 100) / 100,
+      credit: () => Math.round((limit - current) * 100) / 100
+    }[template.type];
+
+    return {
+      account_id: hashId(seed, item.item_id, template.subtype),
+      balances: {
+        available: available ? available() : null,
+        current,
+        iso_currency_code: 'USD',
+        limit,
+        unofficial_currency_code: null
+      },
+      mask: rng.digits(4),
+      name: template.name,
+      official_name: template.official_name,
+      subtype: template.subtype,
+      type: template.type
+    };
+  });
+}
+
+/**
+ * ACH numbers for an item's depository accounts
+ */
+function buildNumbers(seed, item, accounts) {
+  const rng = createRng(seed, item.item_id, 'numbers');
+
+  return {
+    ach: accounts
+      .filter(account => account.type === 'depository')
+      .map(account => ({
+        account_id: account.account_id,
+        account: `${rng.digits(6)}${account.mask}`,
+        routing: '011401533',
+        wire_routing: '021000021'
+      })),
+    eft: [],
+    international: [],
+    bacs: []
+  };
+}
+
+/**
+ * The account holder: the same owner is listed on every account of an item
+ */
+function buildOwner(seed, item) {
+  const rng = createRng(seed, item.item_id, 'owner');
+  const first = rng.pick(FIRST_NAMES);
+  const last = rng.pick(LAST_NAMES);
+  const place = rng.pick(CITIES);
+
+  return {
+    names: [`${first} ${last}`],
+    emails: [{ data: `${first}.${last}@example.com`.toLowerCase(), primary: true, type: 'primary' }],
+    phone_numbers: [{ data: `1${rng.int(200, 989)}${rng.digits(7)}`, primary: true, type: 'mobile' }],
+    addresses: [{
+      data: {
+        street: `${rng.int(1, 9999)} ${rng.pick(STREETS)}`,
+        city: place.city,
+        region: place.region,
+        postal_code: place.postal_code,
+        country: 'US'
+      },
+      primary: true
+    }]
+  };
+}
+
+/**
+ * Transactions for an item's depository and credit accounts, oldest index first.
+ * The first ones span the last 90 days; later ones (added by webhooks) are dated today.
+ */
+function buildTransactions(seed, item, accounts, count, historyCount = count) {
+  const spending = accounts.filter(account => ['depository', 'credit'].includes(account.type));
+
+  return Array.from({ length: count }, (_, index) => {
+    const rng = createRng(seed, item.item_id, 'transaction', index);
+    const account = rng.pick(spending);
+    const merchant = rng.pick(MERCHANTS);
+    const date = dateFromToday(index < historyCount ? -rng.int(1, 90) : 0);
+
+    return {
+      transaction_id: hashId(seed, item.item_id, 'transaction', index),
+      account_id: account.account_id,
+      amount: rng.amount(merchant.min, merchant.max),
+      iso_currency_code: 'USD',
+      unofficial_currency_code: null,
+      date,
+      authorized_date: date,
+      name: merchant.name,
+      merchant_name: merchant.name === 'Payroll Deposit' ? null : merchant.name,
+      payment_channel: merchant.channel,
+      pending: false,
+      personal_finance_category: { primary: merchant.category, detailed: merchant.detailed, confidence_level: 'HIGH' }
+    };
+  });
+}
+
+function buildSecurities(seed) {
+  return SECURITIES.map(security => ({
+    security_id: hashId(seed, 'security', security.ticker_symbol),
+    ...security,
+    close_price_as_of: dateFromToday(-1),
+    iso_currency_code: 'USD',
+    unofficial_currency_code: null,
+    isin: null,
+    cusip: null,
+    is_cash_equivalent: false
+  }));
+}
+
+/**
+ * One holding of every security in each investment account
+ */
+function buildHoldings(seed, item, accounts) {
+  const securities = buildSecurities(seed);
+
+  return accounts
+    .filter(account => account.type === 'investment')
+    .flatMap(account => securities.map(security => {
+      const rng = createRng(seed, item.item_id, 'holding', account.account_id, security.security_id);
+      const quantity = rng.amount(1, 100);
+
+      return {
+        account_id: account.account_id,
+        security_id: security.security_id,
+        quantity,
+        institution_price: security.close_price,
+        institution_price_as_of: security.close_price_as_of,
+        institution_value: Math.round(quantity * security.close_price * 100) / 100,
+        cost_basis: Math.round(quantity * security.close_price * rng.amount(0.7, 1.1) * 100) / 100,
+        iso_currency_code: 'USD',
+        unofficial_currency_code: null
+      };
+    }));
+}
+
+/**
+ * Buys, sells and dividends over the last year, newest first
+ */
+function buildInvestmentTransactions(seed, item, accounts) {
+  const securities = buildSecurities(seed);
+  const investmentAccounts = accounts.filter(account => account.type === 'investment');
+
+  return investmentAccounts
+    .flatMap(account => Array.from({ length: 12 }, (_, index) => {
+      const rng = createRng(seed, item.item_id, 'investment_transaction', account.account_id, index);
+      const security = rng.pick(securities);
+      const type = rng.pick(['buy', 'buy', 'sell', 'dividend']);
+      const quantity = type === 'dividend' ? 0 : rng.amount(1, 20);
+      const amount = type === 'dividend' ? -rng.amount(5, 80) : Math.round(quantity * security.close_price * (type === 'sell' ? -100 : 100)) / 100;
+
+      return {
+        investment_transaction_id: hashId(seed, item.item_id, 'investment_transaction', account.account_id, index),
+        account_id: account.account_id,
+        security_id: security.security_id,
+        date: dateFromToday(-rng.int(1, 365)),
+        name: `${type.toUpperCase()} ${security.ticker_symbol}`,
+        type: type === 'dividend' ? 'cash' : type,
+        subtype: type,
+        quantity: type === 'sell' ? -quantity : quantity,
+        price: type === 'dividend' ? 0 : security.close_price,
+        amount,
+        fees: 0,
+        iso_currency_code: 'USD',
+        unofficial_currency_code: null
+      };
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Credit card, student loan and mortgage details for an item's credit and loan accounts
+ */
+function buildLiabilities(seed, item, accounts) {
+  const rng = createRng(seed, item.item_id, 'liabilities');
+  const place = rng.pick(CITIES);
+  const byType = (type, subtype) => accounts.filter(account => account.type === type && (!subtype || account.subtype === subtype));
+
+  return {
+    credit: byType('credit').map(account => ({
+      account_id: account.account_id,
+      aprs: [{
+        apr_type: 'purchase_apr',
+        apr_percentage: rng.amount(12, 25),
+        balance_subject_to_apr: account.balances.current,
+        interest_charge_amount: rng.amount(5, 50)
+      }],
+      is_overdue: false,
+      last_payment_amount: rng.amount(50, 500),
+      last_payment_date: dateFromToday(-rng.int(5, 25)),
+      last_statement_balance: account.balances.current,
+      last_statement_issue_date: dateFromToday(-rng.int(5, 25)),
+      minimum_payment_amount: rng.amount(25, 80),
+      next_payment_due_date: dateFromToday(rng.int(5, 25))
+    })),
+    student: byType('loan', 'student').map(account => ({
+      account_id: account.account_id,
+      account_number: rng.digits(10),
+      disbursement_dates: [dateFromToday(-rng.int(2000, 3000))],
+      expected_payoff_date: dateFromToday(rng.int(1000, 3000)),
+      guarantor: 'DEPT OF ED',
+      interest_rate_percentage: rng.amount(3, 7),
+      is_overdue: false,
+      last_payment_amount: rng.amount(150, 400),
+      last_payment_date: dateFromToday(-rng.int(5, 25)),
+      last_statement_balance: account.balances.current,
+      last_statement_issue_date: dateFromToday(-rng.int(5, 25)),
+      loan_name: 'Consolidation',
+      loan_status: { type: 'repayment', end_date: dateFromToday(rng.int(1000, 3000)) },
+      minimum_payment_amount: rng.amount(150, 400),
+      next_payment_due_date: dateFromToday(rng.int(5, 25)),
+      origination_date: dateFromToday(-rng.int(2000, 3000)),
+      origination_principal_amount: Math.round(account.balances.current * 1.4),
+      outstanding_interest_amount: rng.amount(50, 900),
+      payment_reference_number: rng.digits(12),
+      pslf_status: { estimated_eligibility_date: null, payments_made: rng.int(0, 60), payments_remaining: 120 },
+      repayment_plan: { type: 'standard', description: 'Standard Repayment' },
+      sequence_number: '1',
+      ytd_interest_paid: rng.amount(100, 1500),
+      ytd_principal_paid: rng.amount(500, 3000)
+    })),
+    mortgage: byType('loan', 'mortgage').map(account => ({
+      account_id: account.account_id,
+      account_number: rng.digits(10),
+      current_late_fee: 0,
+      escrow_balance: rng.amount(1000, 5000),
+      has_pmi: false,
+      has_prepayment_penalty: false,
+      interest_rate: { percentage: rng.amount(2.5, 7.5), type: 'fixed' },
+      last_payment_amount: rng.amount(1200, 3500),
+      last_payment_date: dateFromToday(-rng.int(5, 25)),
+      loan_term: '30 year',
+      loan_type_description: 'conventional',
+      maturity_date: dateFromToday(rng.int(5000, 10000)),
+      next_monthly_payment: rng.amount(1200, 3500),
+      next_payment_due_date: dateFromToday(rng.int(5, 25)),
+      origination_date: dateFromToday(-rng.int(1000, 5000)),
+      origination_principal_amount: Math.round(account.balances.current * 1.25),
+      past_due_amount: 0,
+      property_address: {
+        street: `${rng.int(1, 9999)} ${rng.pick(STREETS)}`,
+        city: place.city,
+        region: place.region,
+        postal_code: place.postal_code,
+        country: 'US'
+      },
+      ytd_interest_paid: rng.amount(1000, 9000),
+      ytd_principal_paid: rng.amount(1000, 9000)
+    }))
+  };
+}
+
+/**
+ * A one-page PDF listing a report's items and account balances
+ */
+function buildAssetReportPdf(report) {
+  const escape = (text) => String(text).replace(/[\\()]/g, match => `\\${match}`);
+  const lines = [
+    `Asset Report ${report.asset_report_id}`,
+    `Generated ${report.date_generated} for ${report.days_requested} days`,
+    ...report.items.flatMap(item => [
+      `${item.institution_name} (${item.item_id})`,
+      ...item.accounts.map(account => `  ${account.name} ${account.mask}: ${account.balances.current} USD`)
+    ])
+  ];
+  const text = lines.map((line, index) => `BT /F1 11 Tf 50 ${760 - index * 16} Td (${escape(line)}) Tj ET`).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+}
+
+/**
+ * Word overlap between two strings as a 0-100 score
+ */
+function similarity(a, b) {
+  const words = (value) => new Set(String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+  const left = words(a);
+  const right = words(b);
+  const union = new Set([...left, ...right]);
+  if (union.size === 0) return 0;
+
+  return Math.round(100 * [...left].filter(word => right.has(word)).length / union.size);
+}
+
+/**
+ * /identity/match scores for the user fields that were supplied
+ */
+function matchIdentity(owner, user = {}) {
+  const scores = {};
+  const address = owner.addresses[0].data;
+
+  if (user.legal_name) {
+    const ownerName = owner.names[0];
+    const nameWords = ownerName.toLowerCase().split(' ');
+    scores.legal_name = {
+      score: similarity(user.legal_name, ownerName),
+      is_first_name_or_last_name_match: String(user.legal_name).toLowerCase().split(/\s+/).some(word => nameWords.includes(word)),
+      is_nickname_match: false,
+      is_business_name_detected: false
+    };
+  }
+
+  if (user.phone_number) {
+    const lastTen = (value) => String(value).replace(/\D/g, '').slice(-10);
+    scores.phone_number = { score: lastTen(user.phone_number) === lastTen(owner.phone_numbers[0].data) ? 100 : 0 };
+  }
+
+  if (user.email_address) {
+    const email = String(user.email_address).toLowerCase();
+    const ownerEmail = owner.emails[0].data;
+    scores.email_address = {
+      score: email === ownerEmail ? 100 : (email.split('@')[0] === ownerEmail.split('@')[0] ? 50 : 0)
+    };
+  }
+
+  if (user.address) {
+    scores.address = {
+      score: similarity(
+        [user.address.street, user.address.city, user.address.region].join(' '),
+        [address.street, address.city, address.region].join(' ')
+      ),
+      is_postal_code_match: String(user.address.postal_code || '').slice(0, 5) === address.postal_code
+    };
+  }
+
+  return scores;
+}
+
+module.exports = {
+  hashId,
+  createRng,
+  institutionName,
+  buildAccounts,
+  buildNumbers,
+  buildOwner,
+  buildTransactions,
+  buildSecurities,
+  buildHoldings,
+  buildInvestmentTransactions,
+  buildLiabilities,
+  buildAssetReportPdf,
+  matchIdentity
+};
@@ -0,0 +1,807 @@
+// src/mock/localPlaidServer.js
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { LOCAL_PLAID_SEED, LOCAL_PLAID_PORT } = require('../config/environment');
+const {
+  hashId,
+  createRng,
+  institutionName,
+  buildAccounts,
+  buildNumbers,
+  buildOwner,
+  buildTransactions,
+  buildHoldings,
+  buildSecurities,
+  buildInvestmentTransactions,
+  buildLiabilities,
+  buildAssetReportPdf,
+  matchIdentity
+} = require('./localPlaidData');
+
+const LINK_TOKEN_TTL_MS = 4 * 60 * 60 * 1000;
+
+// Transactions an item starts with; transaction webhooks add more
+const HISTORY_TRANSACTIONS = 30;
+
+// Payload fields for each webhook /sandbox/item/fire_webhook can send.
+// Without a webhook_type the first entry with the code wins, so DEFAULT_UPDATE means TRANSACTIONS.
+const FIREABLE_WEBHOOKS = {
+  'TRANSACTIONS:SYNC_UPDATES_AVAILABLE': (rng) => ({ initial_update_complete: true, historical_update_complete: true, new_transactions: rng.int(1, 5) }),
+  'TRANSACTIONS:DEFAULT_UPDATE': (rng) => ({ new_transactions: rng.int(1, 10) }),
+  'TRANSACTIONS:RECURRING_TRANSACTIONS_UPDATE': (rng, accounts) => ({ account_ids: accounts.map(a => a.account_id) }),
+  'HOLDINGS:DEFAULT_UPDATE': (rng) => ({ new_holdings: rng.int(0, 3), updated_holdings: rng.int(0, 5) }),
+  'INVESTMENTS_TRANSACTIONS:DEFAULT_UPDATE': (rng) => ({ new_investments_transactions: rng.int(0, 5), canceled_investments_transactions: 0 }),
+  'LIABILITIES:DEFAULT_UPDATE': (rng, accounts) => ({
+    account_ids_with_new_liabilities: [],
+    account_ids_with_updated_liabilities: Object.fromEntries(accounts.filter(a => a.type === 'credit').map(a => [a.account_id, ['balances']]))
+  }),
+  'AUTH:SMS_MICRODEPOSITS_VERIFICATION': (rng, accounts) => ({ account_id: accounts[0].account_id, status: 'MANUALLY_VERIFIED' }),
+  'ITEM:NEW_ACCOUNTS_AVAILABLE': () => ({}),
+  'ITEM:PENDING_DISCONNECT': () => ({ reason: 'INSTITUTION_MIGRATION' }),
+  'ITEM:USER_PERMISSION_REVOKED': () => ({}),
+  'ITEM:USER_ACCOUNT_REVOKED': (rng, accounts) => ({ account_id: accounts[0].account_id }),
+  'ITEM:LOGIN_REPAIRED': () => ({})
+};
+
+/**
+ * Build an Error carrying a Plaid-style error response
+ */
+function plaidError(status, errorType, errorCode, errorMessage) {
+  const error = new Error(errorMessage);
+  error.status = status;
+  error.plaid = { error_type: errorType, error_code: errorCode, error_message: errorMessage, display_message: null };
+  return error;
+}
+
+/**
+ * Error for a request the local server cannot answer without a real Plaid backend
+ */
+function unsupportedError(path) {
+  return plaidError(400, 'INVALID_REQUEST', 'UNSUPPORTED_IN_LOCAL_MODE',
+    `${path} is not supported by the local Plaid server; use the sandbox environment for it`);
+}
+
+/**
+ * Integer count/offset option with a default and an upper bound
+ */
+function pageOption(value, field, fallback, min, max) {
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw plaidError(400, 'INVALID_REQUEST', 'INVALID_FIELD', `${field} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * A stand-in for the Plaid API that runs on a laptop with no network or Plaid account.
+ *
+ * Items, tokens and IDs come from a seeded generator, so the same seed and the same
+ * sequence of calls always return the same data. State lives in memory and is lost on restart.
+ * Webhooks go to each item's webhook URL, signed like Plaid's so JWT verification passes.
+ */
+class LocalPlaidServer {
+  constructor(seed = LOCAL_PLAID_SEED) {
+    this.signingKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.keyCreatedAt = Math.floor(Date.now() / 1000);
+    this.reset(seed);
+  }
+
+  /**
+   * Forget every item and token and start again from a seed
+   */
+  reset(seed = this.seed) {
+    this.seed = String(seed);
+    this.counters = {};
+    this.linkTokens = new Map(); // link_token -> { client_id, created_at, expiration, metadata }
+    this.publicTokens = new Map(); // public_token -> { client_id, institution_id, products, webhook }
+    this.items = new Map(); // access_token -> item
+    this.assetReports = new Map(); // asset_report_token -> report
+    this.keyId = hashId(this.seed, 'webhook-key');
+  }
+
+  /**
+   * Next deterministic ID of a kind: the nth ID is the same for the same seed
+   */
+  nextId(kind) {
+    this.counters[kind] = (this.counters[kind] || 0) + 1;
+    return hashId(this.seed, kind, this.counters[kind]);
+  }
+
+  uuid(kind) {
+    const hex = hashId(this.nextId(kind), 'uuid') + hashId(this.nextId(kind), 'uuid-tail');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  requireFields(body, fields) {
+    const missing = fields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+    if (missing.length > 0) {
+      throw plaidError(400, 'INVALID_REQUEST', 'MISSING_FIELDS', `the following required fields are missing: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Look up the item for an access token, which must belong to the calling client
+   */
+  requireItem(body, clientId, { allowError = false } = {}) {
+    this.requireFields(body, ['access_token']);
+
+    const item = this.items.get(body.access_token);
+    if (!item || item.client_id !== clientId) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_ACCESS_TOKEN', 'provided access token is in an invalid format. expected format: access-<environment>-<identifier>');
+    }
+    if (item.error && !allowError) {
+      throw plaidError(400, item.error.error_type, item.error.error_code, item.error.error_message);
+    }
+    return item;
+  }
+
+  /**
+   * Accounts for an item, narrowed by options.account_ids
+   */
+  accountsFor(item, options = {}) {
+    const accounts = buildAccounts(this.seed, item);
+    if (!Array.isArray(options?.account_ids)) return accounts;
+
+    const selected = accounts.filter(account => options.account_ids.includes(account.account_id));
+    if (selected.length !== options.account_ids.length) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_ACCOUNT_ID', 'one or more of the account IDs is invalid');
+    }
+    return selected;
+  }
+
+  /**
+   * Products are added to an item the first time they are used, as in Sandbox
+   */
+  useProduct(item, product) {
+    if (!item.billed_products.includes(product)) {
+      item.billed_products.push(product);
+    }
+  }
+
+  itemResponse(item) {
+    return {
+      item_id: item.item_id,
+      institution_id: item.institution_id,
+      institution_name: institutionName(item.institution_id),
+      webhook: item.webhook,
+      error: item.error,
+      available_products: ['assets', 'auth', 'balance', 'identity', 'investments', 'liabilities', 'transactions']
+        .filter(product => !item.billed_products.includes(product)),
+      billed_products: item.billed_products,
+      products: item.billed_products,
+      consented_products: item.billed_products,
+      consent_expiration_time: null,
+      update_type: 'background'
+    };
+  }
+
+  /**
+   * Issue a link token and remember it for /link/token/get
+   */
+  issueLinkToken(clientId, metadata) {
+    const linkToken = {
+      client_id: clientId,
+      link_token: `link-local-${this.uuid('link_token')}`,
+      created_at: new Date().toISOString(),
+      expiration: new Date(Date.now() + LINK_TOKEN_TTL_MS).toISOString(),
+      metadata
+    };
+    this.linkTokens.set(linkToken.link_token, linkToken);
+    return linkToken;
+  }
+
+  /**
+   * Cursor for /transactions/sync: which item it belongs to and how many transactions were already sent
+   */
+  encodeCursor(item, offset) {
+    return Buffer.from(JSON.stringify({ item_id: item.item_id, offset })).toString('base64url');
+  }
+
+  decodeCursor(item, cursor) {
+    if (!cursor) return 0;
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (decoded.item_id === item.item_id && Number.isInteger(decoded.offset) && decoded.offset >= 0) {
+        return decoded.offset;
+      }
+    } catch (error) {
+      // Fall through to the Plaid error below
+    }
+    throw plaidError(400, 'INVALID_INPUT', 'INVALID_FIELD', 'cursor is not valid for this item');
+  }
+
+  /**
+   * The report for an asset report token, which must belong to the calling client
+   */
+  requireAssetReport(body, clientId) {
+    this.requireFields(body, ['asset_report_token']);
+
+    const report = this.assetReports.get(body.asset_report_token);
+    if (!report || report.client_id !== clientId) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_ASSET_REPORT_TOKEN', 'provided asset report token is invalid or has been removed');
+    }
+    return report;
+  }
+
+  /**
+   * Generate an Asset Report for a set of items and announce it with ASSETS PRODUCT_READY
+   */
+  createAssetReport(clientId, items, daysRequested, options = {}) {
+    const report = {
+      client_id: clientId,
+      asset_report_id: this.uuid('asset_report'),
+      asset_report_token: `assets-local-${this.uuid('asset_report_token')}`,
+      client_report_id: options.client_report_id || null,
+      date_generated: new Date().toISOString(),
+      days_requested: daysRequested,
+      items: items.map(item => ({ item_id: item.item_id, institution_id: item.institution_id, access_token: item.access_token })),
+      webhook: options.webhook || null,
+      options
+    };
+    this.assetReports.set(report.asset_report_token, report);
+
+    if (report.webhook) {
+      this.postWebhook(report.webhook, 'ASSETS', 'PRODUCT_READY', { asset_report_id: report.asset_report_id, report_type: 'FULL' });
+    }
+
+    return { asset_report_token: report.asset_report_token, asset_report_id: report.asset_report_id };
+  }
+
+  // --- Endpoints ---
+
+  linkTokenCreate(body, clientId) {
+    this.requireFields(body, ['client_name', 'language', 'country_codes', 'user']);
+    if (!body.user.client_user_id) {
+      throw plaidError(400, 'INVALID_REQUEST', 'MISSING_FIELDS', 'the following required fields are missing: user.client_user_id');
+    }
+
+    const { link_token: linkToken, expiration } = this.issueLinkToken(clientId, {
+      initial_products: body.products || [],
+      webhook: body.webhook || null,
+      country_codes: body.country_codes,
+      language: body.language,
+      redirect_uri: body.redirect_uri || null,
+      client_name: body.client_name
+    });
+
+    return { link_token: linkToken, expiration };
+  }
+
+  /**
+   * Link never runs against the local server, so tokens have no sessions
+   */
+  linkTokenGet(body, clientId) {
+    this.requireFields(body, ['link_token']);
+
+    const linkToken = this.linkTokens.get(body.link_token);
+    if (!linkToken || linkToken.client_id !== clientId) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_LINK_TOKEN', 'provided link token is in an invalid format. expected format: link-<environment>-<identifier>');
+    }
+
+    return {
+      link_token: linkToken.link_token,
+      created_at: linkToken.created_at,
+      expiration: linkToken.expiration,
+      metadata: linkToken.metadata,
+      link_sessions: []
+    };
+  }
+
+  /**
+   * Layer session token; the Layer flow itself needs Plaid's UI and cannot complete offline
+   */
+  sessionTokenCreate(body, clientId) {
+    this.requireFields(body, ['template_id', 'user']);
+
+    const { link_token: linkToken, expiration } = this.issueLinkToken(clientId, {
+      template_id: body.template_id,
+      webhook: body.webhook || null,
+      redirect_uri: body.redirect_uri || null
+    });
+
+    return { link: { link_token: linkToken, expiration } };
+  }
+
+  itemPublicTokenExchange(body, clientId) {
+    this.requireFields(body, ['public_token']);
+
+    const pending = this.publicTokens.get(body.public_token);
+    if (!pending || pending.client_id !== clientId) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_PUBLIC_TOKEN', 'provided public token is in an invalid format. expected format: public-<environment>-<identifier>');
+    }
+    this.publicTokens.delete(body.public_token);
+
+    const item = {
+      item_id: this.nextId('item'),
+      access_token: `access-local-${this.uuid('access_token')}`,
+      client_id: clientId,
+      institution_id: pending.institution_id,
+      billed_products: [...pending.products],
+      webhook: pending.webhook,
+      error: null,
+      last_webhook: null,
+      transaction_count: HISTORY_TRANSACTIONS
+    };
+    this.items.set(item.access_token, item);
+
+    return { access_token: item.access_token, item_id: item.item_id };
+  }
+
+  accountsGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    return { accounts: this.accountsFor(item, body.options), item: this.itemResponse(item) };
+  }
+
+  accountsBalanceGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'balance');
+    return { accounts: this.accountsFor(item, body.options), item: this.itemResponse(item) };
+  }
+
+  authGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'auth');
+
+    const accounts = this.accountsFor(item, body.options);
+    const numbers = buildNumbers(this.seed, item, buildAccounts(this.seed, item));
+    const selected = (list) => list.filter(entry => accounts.some(account => account.account_id === entry.account_id));
+
+    return {
+      accounts,
+      numbers: Object.fromEntries(Object.entries(numbers).map(([type, list]) => [type, selected(list)])),
+      item: this.itemResponse(item)
+    };
+  }
+
+  identityGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'identity');
+
+    const owner = buildOwner(this.seed, item);
+    return {
+      accounts: this.accountsFor(item, body.options).map(account => ({ ...account, owners: [owner] })),
+      item: this.itemResponse(item)
+    };
+  }
+
+  identityMatch(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'identity');
+
+    const scores = matchIdentity(buildOwner(this.seed, item), body.user);
+    return {
+      accounts: this.accountsFor(item, body.options).map(account => ({ ...account, ...scores })),
+      item: this.itemResponse(item)
+    };
+  }
+
+  /**
+   * Every transaction on first sync, then only the ones added since the cursor
+   */
+  transactionsSync(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'transactions');
+
+    const offset = this.decodeCursor(item, body.cursor);
+    const count = pageOption(body.count, 'count', 100, 1, 500);
+    const accounts = buildAccounts(this.seed, item);
+    const transactions = buildTransactions(this.seed, item, accounts, item.transaction_count, HISTORY_TRANSACTIONS);
+    const added = transactions.slice(offset, offset + count);
+
+    return {
+      added,
+      modified: [],
+      removed: [],
+      next_cursor: this.encodeCursor(item, offset + added.length),
+      has_more: offset + added.length < transactions.length,
+      transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE',
+      accounts
+    };
+  }
+
+  investmentsHoldingsGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'investments');
+
+    const accounts = this.accountsFor(item, body.options);
+    return {
+      accounts,
+      holdings: buildHoldings(this.seed, item, accounts),
+      securities: buildSecurities(this.seed),
+      item: this.itemResponse(item)
+    };
+  }
+
+  investmentsTransactionsGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.requireFields(body, ['start_date', 'end_date']);
+    this.useProduct(item, 'investments');
+
+    const accounts = this.accountsFor(item, body.options);
+    const count = pageOption(body.options?.count, 'options.count', 100, 1, 500);
+    const offset = pageOption(body.options?.offset, 'options.offset', 0, 0, Number.MAX_SAFE_INTEGER);
+    const matching = buildInvestmentTransactions(this.seed, item, accounts)
+      .filter(transaction => transaction.date >= body.start_date && transaction.date <= body.end_date);
+
+    return {
+      accounts,
+      investment_transactions: matching.slice(offset, offset + count),
+      securities: buildSecurities(this.seed),
+      total_investment_transactions: matching.length,
+      item: this.itemResponse(item)
+    };
+  }
+
+  liabilitiesGet(body, clientId) {
+    const item = this.requireItem(body, clientId);
+    this.useProduct(item, 'liabilities');
+
+    const accounts = this.accountsFor(item, body.options);
+    return {
+      accounts,
+      liabilities: buildLiabilities(this.seed, item, accounts),
+      item: this.itemResponse(item)
+    };
+  }
+
+  assetReportCreate(body, clientId) {
+    this.requireFields(body, ['access_tokens', 'days_requested']);
+    if (!Array.isArray(body.access_tokens) || body.access_tokens.length === 0) {
+      throw plaidError(400, 'INVALID_REQUEST', 'INVALID_FIELD', 'access_tokens must be a non-empty array');
+    }
+    if (!Number.isInteger(body.days_requested) || body.days_requested < 0 || body.days_requested > 731) {
+      throw plaidError(400, 'INVALID_REQUEST', 'INVALID_FIELD', 'days_requested must be an integer between 0 and 731');
+    }
+
+    const items = body.access_tokens.map(accessToken => this.requireItem({ access_token: accessToken }, clientId));
+    items.forEach(item => this.useProduct(item, 'assets'));
+
+    return this.createAssetReport(clientId, items, body.days_requested, body.options);
+  }
+
+  /**
+   * The report's items as they are now; items removed since creation are left out
+   */
+  assetReportGet(body, clientId) {
+    const report = this.requireAssetReport(body, clientId);
+    const since = new Date(Date.now() - report.days_requested * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const items = report.items
+      .filter(reportItem => this.items.has(reportItem.access_token))
+      .map(reportItem => {
+        const item = this.items.get(reportItem.access_token);
+        const owner = buildOwner(this.seed, item);
+        const accounts = buildAccounts(this.seed, item);
+        const transactions = buildTransactions(this.seed, item, accounts, item.transaction_count, HISTORY_TRANSACTIONS)
+          .filter(transaction => transaction.date >= since);
+
+        return {
+          item_id: item.item_id,
+          institution_id: item.institution_id,
+          institution_name: institutionName(item.institution_id),
+          date_last_updated: report.date_generated,
+          accounts: accounts
+            .filter(account => ['depository', 'investment'].includes(account.type))
+            .map(account => ({
+              ...account,
+              days_available: report.days_requested,
+              transactions: transactions
+                .filter(transaction => transaction.account_id === account.account_id)
+                .map(({ personal_finance_category, merchant_name, payment_channel, authorized_date, name, ...transaction }) => ({
+                  ...transaction,
+                  original_description: name
+                })),
+              historical_balances: [{
+                date: report.date_generated.slice(0, 10),
+                current: account.balances.current,
+                iso_currency_code: 'USD',
+                unofficial_currency_code: null
+              }],
+              owners: [owner]
+            }))
+        };
+      });
+
+    return {
+      report: {
+        asset_report_id: report.asset_report_id,
+        client_report_id: report.client_report_id,
+        date_generated: report.date_generated,
+        days_requested: report.days_requested,
+        user: report.options.user || {},
+        items
+      },
+      warnings: items.length < report.items.length
+        ? [{ warning_type: 'ASSET_REPORT_WARNING', warning_code: 'OWNERS_UNAVAILABLE', cause: { error_message: 'one or more items were removed after the report was created' } }]
+        : []
+    };
+  }
+
+  assetReportPdfGet(body, clientId) {
+    return buildAssetReportPdf(this.assetReportGet(body, clientId).report);
+  }
+
+  /**
+   * A new report for the same items, with the original options unless overridden
+   */
+  assetReportRefresh(body, clientId) {
+    const report = this.requireAssetReport(body, clientId);
+    const items = report.items
+      .map(reportItem => this.items.get(reportItem.access_token))
+      .filter(Boolean);
+    if (items.length === 0) {
+      throw plaidError(400, 'ASSET_REPORT_ERROR', 'PRODUCT_NOT_ENABLED', 'every item in this asset report has been removed');
+    }
+
+    return this.createAssetReport(clientId, items, body.days_requested ?? report.days_requested, { ...report.options, ...body.options });
+  }
+
+  assetReportAuditCopyCreate(body, clientId) {
+    const report = this.requireAssetReport(body, clientId);
+    this.requireFields(body, ['auditor_id']);
+    return { audit_copy_token: `a-local-${hashId(report.asset_report_id, body.auditor_id)}` };
+  }
+
+  assetReportRemove(body, clientId) {
+    const report = this.requireAssetReport(body, clientId);
+    this.assetReports.delete(report.asset_report_token);
+    return { removed: true };
+  }
+
+  itemGet(body, clientId) {
+    const item = this.requireItem(body, clientId, { allowError: true });
+    return {
+      item: this.itemResponse(item),
+      status: { last_webhook: item.last_webhook }
+    };
+  }
+
+  itemWebhookUpdate(body, clientId) {
+    const item = this.requireItem(body, clientId, { allowError: true });
+    this.requireFields(body, ['webhook']);
+
+    item.webhook = body.webhook;
+    this.sendWebhook(item, 'ITEM', 'WEBHOOK_UPDATE_ACKNOWLEDGED', { new_webhook_url: body.webhook, error: null });
+
+    return { item: this.itemResponse(item) };
+  }
+
+  itemRemove(body, clientId) {
+    const item = this.requireItem(body, clientId, { allowError: true });
+    this.items.delete(item.access_token);
+    return {};
+  }
+
+  webhookVerificationKeyGet(body) {
+    this.requireFields(body, ['key_id']);
+    if (body.key_id !== this.keyId) {
+      throw plaidError(400, 'INVALID_INPUT', 'INVALID_WEBHOOK_VERIFICATION_KEY_ID', 'invalid key_id provided');
+    }
+
+    const jwk = this.signingKey.publicKey.export({ format: 'jwk' });
+    return {
+      key: {
+        alg: 'ES256',
+        created_at: this.keyCreatedAt,
+        crv: jwk.crv,
+        expired_at: null,
+        kid: this.keyId,
+        kty: jwk.kty,
+        use: 'sig',
+        x: jwk.x,
+        y: jwk.y
+      }
+    };
+  }
+
+  sandboxPublicTokenCreate(body, clientId) {
+    this.requireFields(body, ['institution_id', 'initial_products']);
+    if (!Array.isArray(body.initial_products) || body.initial_products.length === 0) {
+      throw plaidError(400, 'INVALID_REQUEST', 'INVALID_FIELD', 'initial_products must be a non-empty array');
+    }
+
+    const publicToken = `public-local-${this.uuid('public_token')}`;
+    this.publicTokens.set(publicToken, {
+      client_id: clientId,
+      institution_id: body.institution_id,
+      products: body.initial_products,
+      webhook: body.options?.webhook || null
+    });
+
+    return { public_token: publicToken };
+  }
+
+  sandboxItemFireWebhook(body, clientId) {
+    const item = this.requireItem(body, clientId, { allowError: true });
+    this.requireFields(body, ['webhook_code']);
+
+    const webhookType = body.webhook_type ||
+      (Object.keys(FIREABLE_WEBHOOKS).find(key => key.endsWith(`:${body.webhook_code}`)) || '').split(':')[0];
+    const payloadFor = FIREABLE_WEBHOOKS[`${webhookType}:${body.webhook_code}`];
+    if (!payloadFor) {
+      throw plaidError(400, 'INVALID_INPUT', 'SANDBOX_WEBHOOK_INVALID',
+        `the local Plaid server cannot fire ${body.webhook_type ? `${body.webhook_type} ` : ''}${body.webhook_code}`);
+    }
+    if (!item.webhook) {
+      throw plaidError(400, 'INVALID_INPUT', 'SANDBOX_WEBHOOK_INVALID', 'the item has no webhook URL; set one with /item/webhook/update');
+    }
+
+    // Stands in for finishing Link update mode, which cannot run offline
+    if (webhookType === 'ITEM' && body.webhook_code === 'LOGIN_REPAIRED') {
+      item.error = null;
+    }
+
+    const rng = createRng(this.seed, item.item_id, 'webhook', this.nextId('webhook'));
+    const fields = payloadFor(rng, buildAccounts(this.seed, item));
+
+    // New transactions show up on the next /transactions/sync
+    if (webhookType === 'TRANSACTIONS' && fields.new_transactions) {
+      item.transaction_count += fields.new_transactions;
+    }
+    if (webhookType === 'TRANSACTIONS' && body.webhook_code === 'SYNC_UPDATES_AVAILABLE') {
+      delete fields.new_transactions;
+    }
+
+    this.sendWebhook(item, webhookType, body.webhook_code, fields);
+
+    return { webhook_fired: true };
+  }
+
+  sandboxItemResetLogin(body, clientId) {
+    const item = this.requireItem(body, clientId, { allowError: true });
+
+    item.error = {
+      error_type: 'ITEM_ERROR',
+      error_code: 'ITEM_LOGIN_REQUIRED',
+      error_message: 'the login details of this item have changed (credentials, MFA, or required user action) and a user login is required to update this information. use Link\'s update mode to restore the item to a good state',
+      display_message: null
+    };
+    this.sendWebhook(item, 'ITEM', 'ERROR', { error: item.error });
+
+    return { reset_login: true };
+  }
+
+  // --- Webhooks ---
+
+  /**
+   * Sign a webhook body the way Plaid does: an ES256 JWT over the body's SHA-256
+   */
+  signWebhook(rawBody) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'ES256', kid: this.keyId, typ: 'JWT' });
+    const claims = encode({
+      iat: Math.floor(Date.now() / 1000),
+      request_body_sha256: crypto.createHash('sha256').update(rawBody, 'utf8').digest('hex')
+    });
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+      key: this.signingKey.privateKey,
+      dsaEncoding: 'ieee-p1363'
+    });
+
+    return `${header}.${claims}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Deliver a webhook to the item's webhook URL
+   */
+  sendWebhook(item, webhookType, webhookCode, fields = {}) {
+    if (!item.webhook) return;
+
+    item.last_webhook = { sent_at: new Date().toISOString(), code_sent: webhookCode };
+    this.postWebhook(item.webhook, webhookType, webhookCode, { item_id: item.item_id, ...fields });
+  }
+
+  /**
+   * POST a signed webhook after the current response has gone out
+   */
+  postWebhook(url, webhookType, webhookCode, fields = {}) {
+    const rawBody = JSON.stringify({
+      webhook_type: webhookType,
+      webhook_code: webhookCode,
+      ...fields,
+      environment: 'local'
+    });
+
+    setImmediate(() => {
+      axios.post(url, rawBody, {
+        headers: { 'Content-Type': 'application/json', 'Plaid-Verification': this.signWebhook(rawBody) },
+        timeout: 10000
+      }).catch(error => {
+        console.warn(`⚠️ Local Plaid could not deliver ${webhookType} ${webhookCode} to ${url}: ${error.message}`);
+      });
+    });
+  }
+
+  // --- Server ---
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    const handlers = {
+      '/link/token/create': this.linkTokenCreate,
+      '/link/token/get': this.linkTokenGet,
+      '/session/token/create': this.sessionTokenCreate,
+      '/item/public_token/exchange': this.itemPublicTokenExchange,
+      '/accounts/get': this.accountsGet,
+      '/accounts/balance/get': this.accountsBalanceGet,
+      '/auth/get': this.authGet,
+      '/identity/get': this.identityGet,
+      '/identity/match': this.identityMatch,
+      '/transactions/sync': this.transactionsSync,
+      '/investments/holdings/get': this.investmentsHoldingsGet,
+      '/investments/transactions/get': this.investmentsTransactionsGet,
+      '/liabilities/get': this.liabilitiesGet,
+      '/asset_report/create': this.assetReportCreate,
+      '/asset_report/get': this.assetReportGet,
+      '/asset_report/pdf/get': this.assetReportPdfGet,
+      '/asset_report/refresh': this.assetReportRefresh,
+      '/asset_report/audit_copy/create': this.assetReportAuditCopyCreate,
+      '/asset_report/remove': this.assetReportRemove,
+      '/item/get': this.itemGet,
+      '/item/webhook/update': this.itemWebhookUpdate,
+      '/item/remove': this.itemRemove,
+      '/webhook_verification_key/get': this.webhookVerificationKeyGet,
+      '/sandbox/public_token/create': this.sandboxPublicTokenCreate,
+      '/sandbox/item/fire_webhook': this.sandboxItemFireWebhook,
+      '/sandbox/item/reset_login': this.sandboxItemResetLogin
+    };
+
+    // Not a Plaid endpoint: start over, optionally with a new seed, without restarting the server
+    app.post('/local/reset', (req, res) => {
+      this.reset(req.body?.seed ?? this.seed);
+      res.json({ seed: this.seed, request_id: this.nextId('request') });
+    });
+
+    app.post('*', (req, res) => {
+      const requestId = this.nextId('request').slice(0, 15);
+
+      try {
+        const handler = handlers[req.path];
+        if (!handler) {
+          throw unsupportedError(req.path);
+        }
+
+        const clientId = req.get('PLAID-CLIENT-ID') || req.body.client_id;
+        const secret = req.get('PLAID-SECRET') || req.body.secret;
+        if (!clientId || !secret) {
+          throw plaidError(400, 'INVALID_REQUEST', 'MISSING_FIELDS', 'the following required fields are missing: client_id, secret');
+        }
+
+        const result = handler.call(this, req.body, clientId);
+        if (Buffer.isBuffer(result)) {
+          res.set('Plaid-Request-Id', requestId).type('application/pdf').send(result);
+          return;
+        }
+        res.json({ ...result, request_id: requestId });
+      } catch (error) {
+        if (!error.plaid) {
+          console.error('Local Plaid error:', error);
+        }
+        res.status(error.plaid ? error.status : 500).json({
+          ...(error.plaid || { error_type: 'API_ERROR', error_code: 'INTERNAL_SERVER_ERROR', error_message: error.message, display_message: null }),
+          request_id: requestId
+        });
+      }
+    });
+
+    return app;
+  }
+
+  start(port = LOCAL_PLAID_PORT) {
+    return this.createApp().listen(port, () => {
+      console.log(`🏝️ Local Plaid server running on http://localhost:${port} (seed "${this.seed}")`);
+    });
+  }
+}
+
+// Create singleton instance
+const localPlaidServer = new LocalPlaidServer();
+
+// `npm run local-plaid` runs the server on its own
+if (require.main === module) {
+  localPlaidServer.start();
+}
+
+module.exports = localPlaidServer;
@@ -0,0 +1,270 @@
+// src/routes/api/assets-v2.js - Asset Report lifecycle routes
+const express = require('express');
+const router = express.Router();
+const PlaidService = require('../../services/plaidService');
+const webhookService = require('../../services/webhookService');
+const { ErrorService } = require('../../services/errorService');
+const ResponseUtils = require('../../utils/response');
+const ValidationUtils = require('../../utils/validation');
+const { plaid: plaidLogger } = require('../../utils/logger');
+const ItemVault = require('../../storage/itemVault');
+const AssetReportStore = require('../../storage/assetReportStore');
+
+const MAX_DAYS_REQUESTED = 731;
+
+/**
+ * Parse days_requested, falling back to a default when omitted
+ */
+function parseDaysRequested(value, defaultDays) {
+  if (value === undefined || value === null || value === '') {
+    return defaultDays;
+  }
+
+  const days = parseInt(value);
+  if (isNaN(days) || days < 0 || days > MAX_DAYS_REQUESTED) {
+    throw ErrorService.createValidationError(`days_requested must be between 0 and ${MAX_DAYS_REQUESTED}`, 'days_requested');
+  }
+  return days;
+}
+
+/**
+ * Update a report's status from the newest Asset Report webhook received for it
+ */
+function syncStatusFromWebhooks(store, report) {
+  const [latest] = webhookService.getWebhooksForAssetReport(report.asset_report_id);
+
+  if (latest && latest.timestamp !== report.status_webhook?.timestamp) {
+    const status = latest.data.webhook_code === 'PRODUCT_READY' ? 'ready' : 'error';
+    store.setStatus(report.asset_report_id, status, latest);
+  }
+
+  return report;
+}
+
+// List Asset Reports created in this session
+router.get('/api/asset-reports', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const reports = store.list().map(report => syncStatusFromWebhooks(store, report));
+
+  ResponseUtils.success(res, { asset_reports: reports });
+}));
+
+// Create an Asset Report for the selected item (or a list of vault items)
+router.post('/api/asset-reports/create', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const { item_ids, days_requested, client_report_id } = req.body;
+
+  const items = Array.isArray(item_ids) && item_ids.length > 0
+    ? item_ids.map(itemId => vault.require(itemId))
+    : [vault.requireSelected()];
+
+  const daysRequested = parseDaysRequested(days_requested, 60);
+  const clientReportId = client_report_id ? ValidationUtils.sanitizeString(client_report_id).slice(0, 100) : null;
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.createAssetReport(
+      items.map(item => item.access_token),
+      daysRequested,
+      { clientReportId }
+    );
+
+    const store = new AssetReportStore(req);
+    const report = store.add({
+      asset_report_token: result.asset_report_token,
+      asset_report_id: result.asset_report_id,
+      item_ids: items.map(item => item.item_id),
+      days_requested: daysRequested,
+      client_report_id: clientReportId
+    });
+
+    plaidLogger.plaidCall('assetReportCreate', true, {
+      assetReportId: report.asset_report_id,
+      itemCount: items.length,
+      daysRequested
+    });
+
+    ResponseUtils.success(res, {
+      asset_report: report,
+      request_id: result.request_id,
+      request: result.request
+    }, 'Asset Report creation started');
+
+  } catch (error) {
+    plaidLogger.plaidCall('assetReportCreate', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to create Asset Report');
+  }
+}));
+
+// Poll a report's status from the webhooks received so far
+router.get('/api/asset-reports/:asset_report_id/status', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const report = syncStatusFromWebhooks(store, store.require(req.params.asset_report_id));
+
+  ResponseUtils.success(res, {
+    asset_report_id: report.asset_report_id,
+    status: report.status,
+    status_webhook: report.status_webhook,
+    webhooks: webhookService.getWebhooksForAssetReport(report.asset_report_id)
+  });
+}));
+
+// Get a report's contents
+router.post('/api/asset-reports/:asset_report_id/get', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const report = store.require(req.params.asset_report_id);
+  const includeInsights = req.body.include_insights === true;
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.getAssetReport(report.asset_report_token, { includeInsights });
+
+    store.setStatus(report.asset_report_id, 'ready');
+
+    plaidLogger.plaidCall('assetReportGet', true, {
+      assetReportId: report.asset_report_id,
+      includeInsights
+    });
+
+    ResponseUtils.success(res, { ready: true, asset_report: report, ...result });
+
+  } catch (error) {
+    // A report that is still generating is an expected state, not a failure
+    if (error.response?.data?.error_code === 'PRODUCT_NOT_READY') {
+      return ResponseUtils.success(res, {
+        ready: false,
+        asset_report: report,
+        raw_response: error.response.data
+      }, 'Asset Report is not ready yet');
+    }
+
+    plaidLogger.plaidCall('assetReportGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to get Asset Report');
+  }
+}));
+
+// Download a report as a PDF
+router.get('/api/asset-reports/:asset_report_id/pdf', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const report = store.require(req.params.asset_report_id);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const pdf = await plaidService.getAssetReportPdf(report.asset_report_token);
+
+    plaidLogger.plaidCall('assetReportPdfGet', true, {
+      assetReportId: report.asset_report_id,
+      bytes: pdf.length
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="asset-report-${report.asset_report_id}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    plaidLogger.plaidCall('assetReportPdfGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to download Asset Report PDF');
+  }
+}));
+
+// Refresh a report, tracking the new report alongside the original
+router.post('/api/asset-reports/:asset_report_id/refresh', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const report = store.require(req.params.asset_report_id);
+  const daysRequested = parseDaysRequested(req.body.days_requested, null);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.refreshAssetReport(report.asset_report_token, daysRequested);
+
+    const refreshed = store.add({
+      asset_report_token: result.asset_report_token,
+      asset_report_id: result.asset_report_id,
+      item_ids: report.item_ids,
+      days_requested: daysRequested ?? report.days_requested,
+      client_report_id: report.client_report_id,
+      refreshed_from: report.asset_report_id
+    });
+
+    plaidLogger.plaidCall('assetReportRefresh', true, {
+      assetReportId: report.asset_report_id,
+      refreshedAssetReportId: refreshed.asset_report_id
+    });
+
+    ResponseUtils.success(res, {
+      asset_report: refreshed,
+      request_id: result.request_id
+    }, 'Asset Report refresh started');
+
+  } catch (error) {
+    plaidLogger.plaidCall('assetReportRefresh', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to refresh Asset Report');
+  }
+}));
+
+// Create an audit copy of a report for a third-party auditor
+router.post('/api/asset-reports/:asset_report_id/audit-copy', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['auditor_id']);
+
+  const store = new AssetReportStore(req);
+  const report = store.require(req.params.asset_report_id);
+  const auditorId = ValidationUtils.sanitizeString(req.body.auditor_id);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.createAssetReportAuditCopy(report.asset_report_token, auditorId);
+    const auditCopy = store.addAuditCopy(report.asset_report_id, {
+      audit_copy_token: result.audit_copy_token,
+      auditor_id: auditorId
+    });
+
+    plaidLogger.plaidCall('assetReportAuditCopyCreate', true, {
+      assetReportId: report.asset_report_id,
+      auditorId
+    });
+
+    ResponseUtils.success(res, {
+      audit_copy: auditCopy,
+      asset_report: report,
+      request_id: result.request_id
+    }, 'Audit copy created');
+
+  } catch (error) {
+    plaidLogger.plaidCall('assetReportAuditCopyCreate', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to create Asset Report audit copy');
+  }
+}));
+
+// Remove a report from Plaid and stop tracking it
+router.delete('/api/asset-reports/:asset_report_id', ErrorService.asyncHandler(async (req, res) => {
+  const store = new AssetReportStore(req);
+  const report = store.require(req.params.asset_report_id);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.removeAssetReport(report.asset_report_token);
+    store.remove(report.asset_report_id);
+
+    plaidLogger.plaidCall('assetReportRemove', true, {
+      assetReportId: report.asset_report_id
+    });
+
+    ResponseUtils.success(res, {
+      asset_report_id: report.asset_report_id,
+      removed: result.removed,
+      asset_reports: store.list()
+    }, 'Asset Report removed');
+
+  } catch (error) {
+    plaidLogger.plaidCall('assetReportRemove', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to remove Asset Report');
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// src/routes/api/inspector-v2.js - Outgoing Plaid API call inspector routes
+const express = require('express');
+const router = express.Router();
+const apiCallLogService = require('../../services/apiCallLogService');
+const apiCallExportService = require('../../services/apiCallExportService');
+const { ErrorService } = require('../../services/errorService');
+const ResponseUtils = require('../../utils/response');
+const { api: apiLogger } = require('../../utils/logger');
+
+// List this session's Plaid calls, newest first (filters: endpoint, status, item_id, source)
+router.get('/api/inspector/calls', ErrorService.asyncHandler(async (req, res) => {
+  const { endpoint, status, item_id, source } = req.query;
+
+  const calls = apiCallLogService.listCalls(req.sessionID, req.plaidClientId, { endpoint, status, item_id, source });
+  const all = apiCallLogService.getCalls(req.sessionID, req.plaidClientId);
+
+  ResponseUtils.success(res, {
+    calls,
+    total: all.length,
+    endpoints: [...new Set(all.map(call => call.endpoint))].sort(),
+    item_ids: [...new Set(all.map(call => call.item_id).filter(Boolean))]
+  });
+}));
+
+// Get one call with its full (redacted) request and response
+router.get('/api/inspector/calls/:call_id', ErrorService.asyncHandler(async (req, res) => {
+  let call;
+  try {
+    call = apiCallLogService.getCall(req.params.call_id, req.sessionID, req.plaidClientId);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'call_id');
+  }
+
+  ResponseUtils.success(res, { call });
+}));
+
+// Export one call, or the session's (filtered) calls, as cURL, a Postman collection or environment, or HAR.
+// Credentials and tokens are placeholders unless include_secrets=true.
+router.get('/api/inspector/export', ErrorService.asyncHandler(async (req, res) => {
+  const { format = 'curl', call_id, include_secrets, endpoint, status, item_id, source } = req.query;
+
+  let calls;
+  try {
+    calls = call_id
+      ? [apiCallLogService.getCall(call_id, req.sessionID, req.plaidClientId)]
+      : apiCallLogService.filterCalls(req.sessionID, req.plaidClientId, { endpoint, status, item_id, source });
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'call_id');
+  }
+
+  // Real values come from this session: its credentials, and the tokens of the item or report a call was about
+  const values = include_secrets === 'true'
+    ? (call) => ({
+      client_id: req.plaidClientId,
+      secret: req.plaidSecret,
+      access_token: req.session.itemVault?.items?.[call.item_id]?.access_token,
+      asset_report_token: req.session.assetReports?.[call.asset_report_id]?.asset_report_token
+    })
+    : {};
+
+  let exported;
+  try {
+    exported = apiCallExportService.exportCalls(format, calls, {
+      name: call_id ? `Plaid Test Kit ${call_id}` : 'Plaid Test Kit session',
+      values
+    });
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'format');
+  }
+
+  apiLogger.info('Inspector calls exported', {
+    format,
+    callCount: calls.length,
+    includeSecrets: include_secrets === 'true',
+    clientId: req.plaidClientId
+  });
+
+  const filename = `plaid-${call_id || 'calls'}-${new Date().toISOString().split('T')[0]}.${exported.extension}`;
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(exported.body);
+}));
+
+// Clear this session's call log
+router.post('/api/inspector/clear', ErrorService.asyncHandler(async (req, res) => {
+  const clearedCount = apiCallLogService.clearCalls(req.sessionID, req.plaidClientId);
+
+  apiLogger.info('Inspector call log cleared', {
+    clearedCount,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { cleared_count: clearedCount }, 'Call log cleared');
+}));
+
+module.exports = router;
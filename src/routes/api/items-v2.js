@@ -0,0 +1,97 @@
+// src/routes/api/items-v2.js - Per-session item vault routes
+const express = require('express');
+const router = express.Router();
+const PlaidService = require('../../services/plaidService');
+const { ErrorService } = require('../../services/errorService');
+const ResponseUtils = require('../../utils/response');
+const ValidationUtils = require('../../utils/validation');
+const { plaid: plaidLogger } = require('../../utils/logger');
+const ItemVault = require('../../storage/itemVault');
+
+// List linked items for this session
+router.get('/api/items', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const selectedItem = vault.getSelected();
+
+  ResponseUtils.success(res, {
+    items: vault.summarizeAll(),
+    selected_item_id: selectedItem?.item_id || null
+  });
+}));
+
+// Select the item used by the testers
+router.post('/api/items/:item_id/select', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const item = vault.select(req.params.item_id);
+
+  plaidLogger.info('Item selected', {
+    itemId: item.item_id,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    item: ItemVault.summarize(item, item.item_id)
+  }, 'Item selected');
+}));
+
+// Rename an item
+router.post('/api/items/:item_id/rename', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['name']);
+
+  const name = ValidationUtils.sanitizeString(req.body.name).slice(0, 100);
+  if (!name) {
+    throw ErrorService.createValidationError('Name cannot be empty', 'name');
+  }
+
+  const vault = new ItemVault(req);
+  const item = vault.rename(req.params.item_id, name);
+
+  ResponseUtils.success(res, {
+    item: ItemVault.summarize(item, vault.getSelected()?.item_id)
+  }, 'Item renamed');
+}));
+
+// Point an item's webhook at this kit's /webhooks endpoint
+router.post('/api/items/:item_id/webhook', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const item = vault.require(req.params.item_id);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.updateItemWebhook(item.access_token);
+
+    plaidLogger.plaidCall('itemWebhookUpdate', true, {
+      itemId: item.item_id,
+      webhook: result.webhook
+    });
+
+    ResponseUtils.success(res, {
+      item_id: result.item_id,
+      webhook: result.webhook,
+      request_id: result.request_id
+    }, 'Item webhook updated');
+
+  } catch (error) {
+    plaidLogger.plaidCall('itemWebhookUpdate', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to update item webhook');
+  }
+}));
+
+// Remove an item from this session
+router.delete('/api/items/:item_id', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const item = vault.remove(req.params.item_id);
+
+  plaidLogger.info('Item removed from vault', {
+    itemId: item.item_id,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    item_id: item.item_id,
+    items: vault.summarizeAll()
+  }, 'Item removed');
+}));
+
+module.exports = router;
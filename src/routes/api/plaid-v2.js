@@ -7,21 +7,26 @@ const ResponseUtils = require('../../utils/response');
 const ValidationUtils = require('../../utils/validation');
 const { plaid: plaidLogger } = require('../../utils/logger');
 const { itemStore } = require('../../storage/itemStore');
-
-// Store access token (in production, use proper database/session storage)
-let accessToken = null;
-let customLinkConfig = null;
+const ItemVault = require('../../storage/itemVault');
+const plaidFixtureService = require('../../services/plaidFixtureService');
 
 // Status endpoint
 router.get('/api/status', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const selectedItem = vault.getSelected();
+  const customLinkConfig = req.session.customLinkConfig;
+
   const status = {
-    hasAccessToken: !!accessToken,
-    access_token: accessToken || null,
+    hasAccessToken: !!selectedItem,
+    access_token: selectedItem?.access_token || null,
+    selected_item: selectedItem ? ItemVault.summarize(selectedItem, selectedItem.item_id) : null,
+    item_count: vault.list().length,
     has_custom_link_config: !!customLinkConfig,
     custom_link_config: customLinkConfig || null,
-    environment: 'sandbox',
+    environment: req.plaidEnvironment || 'sandbox',
     authenticated: !!(req.plaidClientId && req.plaidSecret),
-    user_environment: req.plaidEnvironment || 'unknown'
+    user_environment: req.plaidEnvironment || 'unknown',
+    plaid_mode: plaidFixtureService.getStatus()
   };
 
   ResponseUtils.success(res, status);
@@ -36,8 +41,22 @@ router.post('/api/create-link-token', ErrorService.asyncHandler(async (req, res)
     environment: req.plaidEnvironment 
   });
 
+  // Update mode can name a vaulted item instead of sending its access token
+  const { item_id, ...options } = req.body;
+  if (options.update_mode && item_id) {
+    options.access_token = new ItemVault(req).require(item_id).access_token;
+  }
+
   try {
-    const result = await plaidService.createLinkToken(req.body);
+    const result = await plaidService.createLinkToken(options);
+
+    // Remember the token so the OAuth redirect and Hosted Link completion pages can resume it
+    req.session.linkSession = {
+      link_token: result.link_token,
+      mode: options.hosted_link ? 'hosted' : (options.update_mode ? 'update' : 'standard'),
+      hosted_link_url: result.hosted_link_url,
+      created_at: new Date().toISOString()
+    };
     
     plaidLogger.plaidCall('linkTokenCreate', true, {
       hasHostedLink: !!result.hosted_link_url
@@ -51,26 +70,39 @@ router.post('/api/create-link-token', ErrorService.asyncHandler(async (req, res)
   }
 }));
 
+// Get the most recent link token created in this session
+router.get('/api/link-session', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, {
+    link_session: req.session.linkSession || null
+  });
+}));
+
+// Forget the most recent link token once its flow is finished
+router.post('/api/link-session/clear', ErrorService.asyncHandler(async (req, res) => {
+  req.session.linkSession = null;
+
+  ResponseUtils.success(res, {}, 'Link session cleared');
+}));
+
 // Exchange public token for access token
 router.post('/api/exchange-token', ErrorService.asyncHandler(async (req, res) => {
-  const { public_token } = req.body;
+  const { public_token, institution } = req.body;
 
   ValidationUtils.validateRequired(req.body, ['public_token']);
 
   const plaidService = new PlaidService(req);
+  const vault = new ItemVault(req);
 
   try {
     const result = await plaidService.exchangePublicToken(public_token);
-    
-    // Store access token
-    accessToken = result.access_token;
 
-    // Store item info for webhook organization
-    itemStore.set(result.item_id, {
-      clientId: req.plaidClientId,
-      secret: req.plaidSecret,
-      environment: req.plaidEnvironment
+    // Store item in the session vault and select it
+    const item = await vault.register(plaidService, {
+      access_token: result.access_token,
+      item_id: result.item_id,
+      institution
     });
+    vault.markExchanged(public_token, item.item_id);
 
     plaidLogger.plaidCall('itemPublicTokenExchange', true, {
       itemId: result.item_id
@@ -79,7 +111,8 @@ router.post('/api/exchange-token', ErrorService.asyncHandler(async (req, res) =>
     ResponseUtils.success(res, {
       message: 'Token exchanged successfully',
       item_id: result.item_id,
-      access_token: result.access_token
+      access_token: result.access_token,
+      item: ItemVault.summarize(item, item.item_id)
     });
 
   } catch (error) {
@@ -88,6 +121,57 @@ router.post('/api/exchange-token', ErrorService.asyncHandler(async (req, res) =>
   }
 }));
 
+// Inspect a link token's sessions, optionally exchanging new public tokens into items
+router.post('/api/get-link-token', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['link_token']);
+
+  const { link_token, auto_exchange = false } = req.body;
+
+  const plaidService = new PlaidService(req);
+  const vault = new ItemVault(req);
+
+  try {
+    const result = await plaidService.getLinkToken(link_token);
+
+    const exchangedItems = [];
+    if (auto_exchange === true) {
+      for (const session of result.link_sessions) {
+        for (const publicToken of session.public_tokens) {
+          if (vault.getExchangedItemId(publicToken)) continue;
+
+          const itemResult = session.item_add_results.find(r => r.public_token === publicToken);
+          const exchange = await plaidService.exchangePublicToken(publicToken);
+          const item = await vault.register(plaidService, {
+            access_token: exchange.access_token,
+            item_id: exchange.item_id,
+            institution: itemResult?.institution || session.success_metadata?.institution || null
+          });
+          vault.markExchanged(publicToken, item.item_id);
+          exchangedItems.push(item);
+        }
+      }
+    }
+
+    plaidLogger.plaidCall('linkTokenGet', true, {
+      sessionCount: result.link_sessions.length,
+      completed: result.has_completed_session,
+      exchangedCount: exchangedItems.length
+    });
+
+    const selectedItemId = vault.getSelected()?.item_id;
+
+    ResponseUtils.success(res, {
+      ...result,
+      exchanged_items: exchangedItems.map(item => ItemVault.summarize(item, selectedItemId)),
+      exchanged_public_tokens: result.public_tokens.filter(token => vault.getExchangedItemId(token))
+    });
+
+  } catch (error) {
+    plaidLogger.plaidCall('linkTokenGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to get link token');
+  }
+}));
+
 // Set access token directly
 router.post('/api/set-token', ErrorService.asyncHandler(async (req, res) => {
   const { access_token } = req.body;
@@ -95,20 +179,24 @@ router.post('/api/set-token', ErrorService.asyncHandler(async (req, res) => {
   ValidationUtils.validateRequired(req.body, ['access_token']);
 
   const plaidService = new PlaidService(req);
+  const vault = new ItemVault(req);
 
   try {
     // Validate the token
     await plaidService.validateAccessToken(access_token);
-    
-    accessToken = access_token;
+
+    const item = await vault.register(plaidService, { access_token });
 
     plaidLogger.info('Access token set successfully', { 
-      clientId: req.plaidClientId 
+      clientId: req.plaidClientId,
+      itemId: item.item_id
     });
 
     ResponseUtils.success(res, {
       message: 'Access token set successfully',
-      access_token: accessToken
+      access_token: item.access_token,
+      item_id: item.item_id,
+      item: ItemVault.summarize(item, item.item_id)
     });
 
   } catch (error) {
@@ -117,11 +205,87 @@ router.post('/api/set-token', ErrorService.asyncHandler(async (req, res) => {
   }
 }));
 
+// Create Layer session token
+router.post('/api/session/token/create', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['template_id', 'client_user_id']);
+
+  // Both validators reject non-strings, so trimming afterwards is safe
+  if (!ValidationUtils.validateTemplateId(req.body.template_id)) {
+    throw ErrorService.createValidationError('Invalid template_id. Layer template IDs look like "template_abc123".', 'template_id');
+  }
+
+  if (!ValidationUtils.validateClientUserId(req.body.client_user_id)) {
+    throw ErrorService.createValidationError('Invalid client_user_id. Use up to 128 characters with no spaces.', 'client_user_id');
+  }
+
+  const templateId = req.body.template_id.trim();
+  const clientUserId = req.body.client_user_id.trim();
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.createSessionToken(templateId, clientUserId);
+
+    // Remember the token so the OAuth redirect page can resume the Layer flow
+    req.session.linkSession = {
+      link_token: result.link?.link_token || null,
+      mode: 'layer',
+      created_at: new Date().toISOString()
+    };
+
+    plaidLogger.plaidCall('sessionTokenCreate', true, { templateId });
+
+    ResponseUtils.success(res, result, 'Layer session token created');
+
+  } catch (error) {
+    plaidLogger.plaidCall('sessionTokenCreate', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to create Layer session token');
+  }
+}));
+
+// Get Layer session results and store the returned items like exchanged tokens
+router.post('/api/user_account/session/get', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['public_token']);
+
+  const plaidService = new PlaidService(req);
+  const vault = new ItemVault(req);
+
+  try {
+    const result = await plaidService.getUserAccountSession(req.body.public_token);
+
+    const storedItems = [];
+    for (const layerItem of result.items.filter(item => item.access_token)) {
+      storedItems.push(await vault.register(plaidService, {
+        access_token: layerItem.access_token,
+        item_id: layerItem.item_id || null
+      }));
+    }
+
+    // Test against the first Layer item, as with a single exchanged token
+    if (storedItems.length > 0) {
+      vault.select(storedItems[0].item_id);
+      vault.markExchanged(req.body.public_token, storedItems[0].item_id);
+    }
+
+    plaidLogger.plaidCall('userAccountSessionGet', true, {
+      itemCount: result.items.length,
+      storedItemCount: storedItems.length
+    });
+
+    ResponseUtils.success(res, {
+      ...result,
+      stored_items: storedItems.map(item => ItemVault.summarize(item, vault.getSelected()?.item_id))
+    }, 'Layer session results retrieved');
+
+  } catch (error) {
+    plaidLogger.plaidCall('userAccountSessionGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to get Layer session results');
+  }
+}));
+
 // Get available accounts
 router.post('/api/get-accounts', ErrorService.asyncHandler(async (req, res) => {
-  if (!accessToken) {
-    throw ErrorService.createValidationError('No access token available. Please exchange a public token first.');
-  }
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
 
   const plaidService = new PlaidService(req);
 
@@ -142,9 +306,7 @@ router.post('/api/get-accounts', ErrorService.asyncHandler(async (req, res) => {
 
 // Test Identity endpoints
 router.post('/api/test-identity', ErrorService.asyncHandler(async (req, res) => {
-  if (!accessToken) {
-    throw ErrorService.createValidationError('No access token available. Please exchange a public token first.');
-  }
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
 
   const { name, email, phone, address, account_index } = req.body;
   
@@ -186,9 +348,7 @@ router.post('/api/test-identity', ErrorService.asyncHandler(async (req, res) =>
 
 // Test Auth endpoints
 router.post('/api/test-auth', ErrorService.asyncHandler(async (req, res) => {
-  if (!accessToken) {
-    throw ErrorService.createValidationError('No access token available. Please exchange a public token first.');
-  }
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
 
   const { account_index } = req.body;
   const accountIndex = parseInt(account_index) || 0;
@@ -210,9 +370,7 @@ router.post('/api/test-auth', ErrorService.asyncHandler(async (req, res) => {
 
 // Test Balance endpoints
 router.post('/api/test-balance', ErrorService.asyncHandler(async (req, res) => {
-  if (!accessToken) {
-    throw ErrorService.createValidationError('No access token available. Please exchange a public token first.');
-  }
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
 
   const { account_index } = req.body;
   const accountIndex = parseInt(account_index) || 0;
@@ -232,10 +390,148 @@ router.post('/api/test-balance', ErrorService.asyncHandler(async (req, res) => {
   }
 }));
 
+// Test Investments holdings endpoint
+router.post('/api/test-investments/holdings', ErrorService.asyncHandler(async (req, res) => {
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
+
+  const { account_index } = req.body;
+  const accountIndex = account_index === undefined || account_index === null || account_index === ''
+    ? null : parseInt(account_index) || 0;
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.testInvestmentsHoldings(accessToken, accountIndex);
+
+    plaidLogger.plaidCall('investmentsHoldingsGet', true, {
+      accountIndex,
+      holdingCount: result.holdings.length
+    });
+
+    ResponseUtils.success(res, result);
+
+  } catch (error) {
+    plaidLogger.plaidCall('investmentsHoldingsGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to test investments holdings endpoint');
+  }
+}));
+
+// Test Investments transactions endpoint
+router.post('/api/test-investments/transactions', ErrorService.asyncHandler(async (req, res) => {
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
+
+  ValidationUtils.validateRequired(req.body, ['start_date', 'end_date']);
+
+  const { start_date, end_date, account_index } = req.body;
+
+  try {
+    ValidationUtils.validateDateRange(start_date, end_date);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'start_date');
+  }
+
+  const accountIndex = account_index === undefined || account_index === null || account_index === ''
+    ? null : parseInt(account_index) || 0;
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.testInvestmentsTransactions(accessToken, start_date, end_date, accountIndex);
+
+    plaidLogger.plaidCall('investmentsTransactionsGet', true, {
+      accountIndex,
+      transactionCount: result.investment_transactions.length
+    });
+
+    ResponseUtils.success(res, result);
+
+  } catch (error) {
+    plaidLogger.plaidCall('investmentsTransactionsGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to test investments transactions endpoint');
+  }
+}));
+
+// Test Liabilities endpoint
+router.post('/api/test-liabilities', ErrorService.asyncHandler(async (req, res) => {
+  const { access_token: accessToken } = new ItemVault(req).requireSelected();
+
+  const { account_index } = req.body;
+  const accountIndex = account_index === undefined || account_index === null || account_index === ''
+    ? null : parseInt(account_index) || 0;
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.testLiabilities(accessToken, accountIndex);
+
+    plaidLogger.plaidCall('liabilitiesGet', true, {
+      accountIndex,
+      liabilityCount: result.liability_count
+    });
+
+    ResponseUtils.success(res, result);
+
+  } catch (error) {
+    plaidLogger.plaidCall('liabilitiesGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to test liabilities endpoint');
+  }
+}));
+
+// Test Transactions sync endpoint
+router.post('/api/test-transactions', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const item = vault.requireSelected();
+
+  const { count } = req.body;
+  const pageSize = Math.min(500, Math.max(1, parseInt(count) || 100));
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const result = await plaidService.syncTransactions(item.access_token, item.transactions_cursor, {
+      count: pageSize
+    });
+
+    // Persist the cursor so the next sync only returns new changes
+    vault.setTransactionsCursor(item.item_id, result.next_cursor);
+
+    plaidLogger.plaidCall('transactionsSync', true, {
+      itemId: item.item_id,
+      added: result.added.length,
+      modified: result.modified.length,
+      removed: result.removed.length,
+      pages: result.page_count,
+      restarts: result.restarts
+    });
+
+    ResponseUtils.success(res, { item_id: item.item_id, ...result });
+
+  } catch (error) {
+    plaidLogger.plaidCall('transactionsSync', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to sync transactions');
+  }
+}));
+
+// Reset the Transactions sync cursor for the selected item
+router.post('/api/test-transactions/reset-cursor', ErrorService.asyncHandler(async (req, res) => {
+  const vault = new ItemVault(req);
+  const item = vault.requireSelected();
+
+  vault.setTransactionsCursor(item.item_id, null);
+
+  plaidLogger.info('Transactions cursor reset', {
+    itemId: item.item_id,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { item_id: item.item_id, cursor: null }, 'Transactions cursor reset');
+}));
+
 // Clear access token
 router.post('/api/clear-token', ErrorService.asyncHandler(async (req, res) => {
-  accessToken = null;
-  
+  // Linked items stay in the vault; only the selection is cleared
+  new ItemVault(req).clearSelection();
+
   plaidLogger.info('Access token cleared', { 
     clientId: req.plaidClientId 
   });
@@ -275,7 +571,7 @@ router.post('/api/set-link-config', ErrorService.asyncHandler(async (req, res) =
     throw ErrorService.createValidationError('Country codes must be a non-empty array');
   }
 
-  customLinkConfig = config;
+  req.session.customLinkConfig = config;
 
   plaidLogger.info('Link configuration saved', { 
     clientId: req.plaidClientId,
@@ -283,11 +579,13 @@ router.post('/api/set-link-config', ErrorService.asyncHandler(async (req, res) =
     countryCodes: config.country_codes
   });
 
-  ResponseUtils.success(res, { config: customLinkConfig }, 'Link token configuration saved successfully');
+  ResponseUtils.success(res, { config }, 'Link token configuration saved successfully');
 }));
 
 // Get current link configuration
 router.get('/api/get-link-config', ErrorService.asyncHandler(async (req, res) => {
+  const customLinkConfig = req.session.customLinkConfig;
+
   ResponseUtils.success(res, {
     config: customLinkConfig || null,
     has_custom_config: !!customLinkConfig
@@ -296,7 +594,7 @@ router.get('/api/get-link-config', ErrorService.asyncHandler(async (req, res) =>
 
 // Clear custom link configuration
 router.post('/api/clear-link-config', ErrorService.asyncHandler(async (req, res) => {
-  customLinkConfig = null;
+  delete req.session.customLinkConfig;
 
   plaidLogger.info('Link configuration cleared', { 
     clientId: req.plaidClientId 
@@ -0,0 +1,321 @@
+// src/routes/api/sandbox-v2.js - Sandbox-only helpers that skip the Link UI
+const express = require('express');
+const router = express.Router();
+const PlaidService = require('../../services/plaidService');
+const webhookService = require('../../services/webhookService');
+const { ErrorService } = require('../../services/errorService');
+const ResponseUtils = require('../../utils/response');
+const ValidationUtils = require('../../utils/validation');
+const { plaid: plaidLogger } = require('../../utils/logger');
+const ItemVault = require('../../storage/itemVault');
+
+const DEFAULT_INSTITUTION_ID = 'ins_109508'; // First Platypus Bank
+const DEFAULT_PRODUCTS = ['auth'];
+
+// Webhook codes /sandbox/item/fire_webhook can fire, with the webhook_type each is sent as
+const SANDBOX_WEBHOOKS = [
+  { webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', description: 'New data is ready for /transactions/sync' },
+  { webhook_type: 'TRANSACTIONS', webhook_code: 'DEFAULT_UPDATE', description: 'New transactions are available' },
+  { webhook_type: 'TRANSACTIONS', webhook_code: 'RECURRING_TRANSACTIONS_UPDATE', description: 'Recurring transaction streams were updated' },
+  { webhook_type: 'HOLDINGS', webhook_code: 'DEFAULT_UPDATE', description: 'Investment holdings were updated' },
+  { webhook_type: 'INVESTMENTS_TRANSACTIONS', webhook_code: 'DEFAULT_UPDATE', description: 'New investment transactions are available' },
+  { webhook_type: 'LIABILITIES', webhook_code: 'DEFAULT_UPDATE', description: 'Liabilities data was updated' },
+  { webhook_type: 'AUTH', webhook_code: 'SMS_MICRODEPOSITS_VERIFICATION', description: 'Micro-deposits were verified by text message' },
+  { webhook_type: 'ITEM', webhook_code: 'NEW_ACCOUNTS_AVAILABLE', description: 'New accounts were detected at the institution' },
+  { webhook_type: 'ITEM', webhook_code: 'PENDING_DISCONNECT', description: 'The item will soon stop working' },
+  { webhook_type: 'ITEM', webhook_code: 'USER_PERMISSION_REVOKED', description: 'The user revoked access to the item' },
+  { webhook_type: 'ITEM', webhook_code: 'USER_ACCOUNT_REVOKED', description: 'The user revoked access to an account' },
+  { webhook_type: 'ITEM', webhook_code: 'LOGIN_REPAIRED', description: 'The item recovered from ITEM_LOGIN_REQUIRED' },
+  { webhook_type: 'ASSETS', webhook_code: 'PRODUCT_READY', description: 'An Asset Report finished generating' },
+  { webhook_type: 'ASSETS', webhook_code: 'ERROR', description: 'Asset Report generation failed' },
+  { webhook_type: null, webhook_code: 'AUTHORIZATION_GRANTED', description: 'The user granted a data authorization (type chosen by Plaid)' }
+];
+
+/**
+ * Sandbox endpoints reject production and development credentials, so fail early with a clear message.
+ * The local Plaid server implements them too.
+ */
+function requireSandbox(req) {
+  if (!['sandbox', 'local'].includes(req.plaidEnvironment)) {
+    throw ErrorService.createValidationError('Sandbox endpoints are only available with sandbox or local credentials', 'environment');
+  }
+}
+
+/**
+ * Append a step to a reset_login flow's timeline
+ */
+function addTimelineStep(flow, step, status, detail = null) {
+  flow.timeline.push({ step, status, detail, at: new Date().toISOString() });
+}
+
+/**
+ * Advance a flow that is waiting for its ITEM ERROR / PENDING_EXPIRATION webhook
+ */
+function checkResetLoginWebhook(flow) {
+  if (flow.status !== 'waiting_for_webhook') return flow;
+
+  const webhook = webhookService.getWebhooksForItem(flow.item_id).find(w =>
+    w.data.webhook_type === 'ITEM' &&
+    ['ERROR', 'PENDING_EXPIRATION'].includes(w.data.webhook_code) &&
+    new Date(w.timestamp) >= new Date(flow.started_at)
+  );
+
+  if (webhook) {
+    addTimelineStep(flow, 'webhook_received', 'done', {
+      webhook_code: webhook.data.webhook_code,
+      error_code: webhook.data.error?.error_code || null,
+      received_at: webhook.timestamp
+    });
+    flow.status = 'awaiting_update_mode';
+  }
+
+  return flow;
+}
+
+/**
+ * Get the session's reset_login flow or throw a validation error
+ */
+function requireResetLoginFlow(req) {
+  if (!req.session.resetLoginFlow) {
+    throw ErrorService.createValidationError('No reset_login flow in progress');
+  }
+  return req.session.resetLoginFlow;
+}
+
+/**
+ * Parse custom-user JSON (object or string) into the override_password Plaid expects for user_custom
+ */
+function parseCustomUser(customUser) {
+  if (customUser === undefined || customUser === null || customUser === '') {
+    return null;
+  }
+
+  let config = customUser;
+  if (typeof customUser === 'string') {
+    try {
+      config = JSON.parse(customUser);
+    } catch (error) {
+      throw ErrorService.createValidationError('custom_user must be valid JSON', 'custom_user');
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw ErrorService.createValidationError('custom_user must be a JSON object', 'custom_user');
+  }
+
+  return JSON.stringify(config);
+}
+
+// Create an item with /sandbox/public_token/create, exchange it and add it to the vault
+router.post('/api/sandbox/create-item', ErrorService.asyncHandler(async (req, res) => {
+  requireSandbox(req);
+
+  const {
+    institution_id = DEFAULT_INSTITUTION_ID,
+    institution_name = null,
+    initial_products = DEFAULT_PRODUCTS,
+    override_username = null,
+    override_password = null,
+    custom_user = null
+  } = req.body;
+
+  if (!Array.isArray(initial_products) || initial_products.length === 0) {
+    throw ErrorService.createValidationError('initial_products must be a non-empty array', 'initial_products');
+  }
+
+  const customUserPassword = parseCustomUser(custom_user);
+
+  const plaidService = new PlaidService(req);
+  const vault = new ItemVault(req);
+
+  try {
+    const tokenResult = await plaidService.createSandboxPublicToken(institution_id, initial_products, {
+      overrideUsername: customUserPassword ? 'user_custom' : override_username,
+      overridePassword: customUserPassword || override_password
+    });
+
+    const result = await plaidService.exchangePublicToken(tokenResult.public_token);
+
+    // Store item in the session vault and select it, exactly like a Link exchange
+    const item = await vault.register(plaidService, {
+      access_token: result.access_token,
+      item_id: result.item_id,
+      institution: { institution_id, name: institution_name }
+    });
+    vault.markExchanged(tokenResult.public_token, item.item_id);
+
+    const accounts = await plaidService.getAccounts(result.access_token);
+
+    plaidLogger.plaidCall('sandboxPublicTokenCreate', true, {
+      itemId: result.item_id,
+      institutionId: institution_id,
+      products: initial_products
+    });
+
+    ResponseUtils.success(res, {
+      item_id: result.item_id,
+      access_token: result.access_token,
+      public_token: tokenResult.public_token,
+      accounts,
+      item: ItemVault.summarize(item, item.item_id),
+      request_id: tokenResult.request_id
+    }, 'Sandbox item created');
+
+  } catch (error) {
+    plaidLogger.plaidCall('sandboxPublicTokenCreate', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to create sandbox item');
+  }
+}));
+
+// List the webhooks that can be fired in Sandbox
+router.get('/api/sandbox/webhook-codes', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, { webhook_codes: SANDBOX_WEBHOOKS });
+}));
+
+// Fire a sandbox webhook for the selected (or given) item
+router.post('/api/sandbox/fire-webhook', ErrorService.asyncHandler(async (req, res) => {
+  requireSandbox(req);
+  ValidationUtils.validateRequired(req.body, ['webhook_code']);
+
+  const { item_id, webhook_code, webhook_type = null } = req.body;
+
+  const definition = SANDBOX_WEBHOOKS.find(w =>
+    w.webhook_code === webhook_code && (!webhook_type || w.webhook_type === webhook_type)
+  );
+  if (!definition) {
+    throw ErrorService.createValidationError(
+      `Unsupported sandbox webhook: ${webhook_type ? `${webhook_type} ` : ''}${webhook_code}`,
+      'webhook_code'
+    );
+  }
+
+  const vault = new ItemVault(req);
+  const item = item_id ? vault.require(item_id) : vault.requireSelected();
+
+  const plaidService = new PlaidService(req);
+
+  // Register before firing: Sandbox can deliver the webhook before the fire call returns
+  const fire = webhookService.registerFiredWebhook({
+    item_id: item.item_id,
+    webhook_type: definition.webhook_type,
+    webhook_code: definition.webhook_code
+  });
+
+  try {
+    const result = await plaidService.fireSandboxWebhook(item.access_token, definition.webhook_code, definition.webhook_type);
+
+    plaidLogger.plaidCall('sandboxItemFireWebhook', true, {
+      itemId: item.item_id,
+      webhookType: definition.webhook_type,
+      webhookCode: definition.webhook_code
+    });
+
+    ResponseUtils.success(res, {
+      ...fire,
+      webhook_fired: result.webhook_fired,
+      request_id: result.request_id
+    }, 'Sandbox webhook fired');
+
+  } catch (error) {
+    webhookService.cancelFiredWebhook(fire.fire_id);
+    plaidLogger.plaidCall('sandboxItemFireWebhook', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to fire sandbox webhook');
+  }
+}));
+
+// Put the selected (or given) item into ITEM_LOGIN_REQUIRED and start a reset_login flow
+router.post('/api/sandbox/reset-login', ErrorService.asyncHandler(async (req, res) => {
+  requireSandbox(req);
+
+  const vault = new ItemVault(req);
+  const item = req.body.item_id ? vault.require(req.body.item_id) : vault.requireSelected();
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const startedAt = new Date().toISOString();
+    const result = await plaidService.resetSandboxLogin(item.access_token);
+
+    const flow = {
+      item_id: item.item_id,
+      started_at: startedAt,
+      status: 'waiting_for_webhook',
+      timeline: []
+    };
+    addTimelineStep(flow, 'reset_login', 'done', { request_id: result.request_id });
+    req.session.resetLoginFlow = flow;
+
+    plaidLogger.plaidCall('sandboxItemResetLogin', true, {
+      itemId: item.item_id
+    });
+
+    ResponseUtils.success(res, { flow: checkResetLoginWebhook(flow) }, 'Item login reset');
+
+  } catch (error) {
+    plaidLogger.plaidCall('sandboxItemResetLogin', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to reset item login');
+  }
+}));
+
+// Get the reset_login flow, checking whether its webhook has arrived
+router.get('/api/sandbox/reset-login', ErrorService.asyncHandler(async (req, res) => {
+  const flow = req.session.resetLoginFlow ? checkResetLoginWebhook(req.session.resetLoginFlow) : null;
+
+  ResponseUtils.success(res, { flow });
+}));
+
+// Record how the update mode Link session ended
+router.post('/api/sandbox/reset-login/update-mode', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['status']);
+
+  const { status, link_session_id = null, error_code = null } = req.body;
+  if (!['success', 'exited'].includes(status)) {
+    throw ErrorService.createValidationError('status must be "success" or "exited"', 'status');
+  }
+
+  const flow = checkResetLoginWebhook(requireResetLoginFlow(req));
+
+  if (flow.status === 'waiting_for_webhook') {
+    addTimelineStep(flow, 'webhook_received', 'skipped', {
+      reason: 'No ERROR or PENDING_EXPIRATION webhook arrived; check that the item points at this kit'
+    });
+  }
+
+  addTimelineStep(flow, 'update_mode', status === 'success' ? 'done' : 'failed', { link_session_id, error_code });
+  flow.status = status === 'success' ? 'verifying' : 'update_mode_exited';
+
+  ResponseUtils.success(res, { flow });
+}));
+
+// Confirm with /item/get that the item no longer has an error
+router.post('/api/sandbox/reset-login/verify', ErrorService.asyncHandler(async (req, res) => {
+  const flow = requireResetLoginFlow(req);
+
+  const vault = new ItemVault(req);
+  const item = vault.require(flow.item_id);
+
+  const plaidService = new PlaidService(req);
+
+  try {
+    const details = await plaidService.getItem(item.access_token);
+    const healthy = !details.error;
+
+    addTimelineStep(flow, 'item_health', healthy ? 'done' : 'failed', {
+      error_code: details.error?.error_code || null
+    });
+    flow.status = healthy ? 'healthy' : 'unhealthy';
+
+    plaidLogger.plaidCall('itemGet', true, {
+      itemId: item.item_id,
+      healthy
+    });
+
+    ResponseUtils.success(res, { flow, item: details });
+
+  } catch (error) {
+    plaidLogger.plaidCall('itemGet', false, { error: error.message });
+    throw ErrorService.createPlaidError('Failed to verify item health');
+  }
+}));
+
+module.exports = router;
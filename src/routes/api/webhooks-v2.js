@@ -2,16 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const webhookService = require('../../services/webhookService');
+const webhookVerificationService = require('../../services/webhookVerificationService');
+const webhookForwardingService = require('../../services/webhookForwardingService');
+const webhookSchemaService = require('../../services/webhookSchemaService');
+const webhookRetentionService = require('../../services/webhookRetentionService');
+const webhookReactionService = require('../../services/webhookReactionService');
 const { ErrorService } = require('../../services/errorService');
 const ResponseUtils = require('../../utils/response');
 const ValidationUtils = require('../../utils/validation');
 const { rateLimiter } = require('../../middleware/rateLimiter');
+const { requireAdmin } = require('../../middleware/auth');
+const { itemStore } = require('../../storage/itemStore');
+const ItemVault = require('../../storage/itemVault');
+const AssetReportStore = require('../../storage/assetReportStore');
 const { webhook: webhookLogger } = require('../../utils/logger');
 
 // Webhook ingestion endpoint (public)
 router.post('/webhooks', rateLimiter, express.text({ type: '*/*' }), ErrorService.asyncHandler(async (req, res) => {
   const senderIP = req.ip;
-  const rawBody = req.body;
+  // JSON bodies are parsed app-wide, so prefer the raw bytes kept by the json parser
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : req.body;
 
   webhookLogger.info('Webhook received', { 
     ip: senderIP, 
@@ -19,7 +29,16 @@ router.post('/webhooks', rateLimiter, express.text({ type: '*/*' }), ErrorServic
   });
 
   try {
-    const webhookData = webhookService.processWebhook(senderIP, rawBody);
+    const webhookData = await webhookService.processWebhook(senderIP, rawBody, req.headers);
+
+    // Accept quarantined webhooks so Plaid does not keep retrying them
+    if (webhookData.quarantined) {
+      webhookLogger.info('Webhook quarantined', {
+        quarantineId: webhookData.quarantine_id,
+        reason: webhookData.reason
+      });
+      return ResponseUtils.success(res, {}, 'Webhook quarantined');
+    }
     
     webhookLogger.webhook(
       webhookData.webhook_type,
@@ -38,16 +57,17 @@ router.post('/webhooks', rateLimiter, express.text({ type: '*/*' }), ErrorServic
   }
 }));
 
-// Get webhooks (auth-protected)
-router.get('/api/webhooks', ErrorService.asyncHandler(async (req, res) => {
+/**
+ * Search or paginate webhooks; clientId limits the results to one client (null = every client)
+ */
+const listWebhooks = (req, res, clientId) => {
   const { 
     webhook_type, 
     item_id, 
     client_id,
     after, 
     before, 
-    limit,
-    page 
+    limit
   } = req.query;
 
   // If query parameters provided, use search functionality
@@ -56,7 +76,7 @@ router.get('/api/webhooks', ErrorService.asyncHandler(async (req, res) => {
     
     if (webhook_type) criteria.webhook_type = webhook_type;
     if (item_id) criteria.item_id = item_id;
-    if (client_id) criteria.clientId = client_id;
+    if (clientId || client_id) criteria.clientId = clientId || client_id;
     if (after) criteria.after = after;
     if (before) criteria.before = before;
     if (limit) criteria.limit = parseInt(limit) || 50;
@@ -73,7 +93,7 @@ router.get('/api/webhooks', ErrorService.asyncHandler(async (req, res) => {
 
   // Pagination support
   const { page: currentPage, limit: pageLimit } = ValidationUtils.validatePagination(req.query);
-  const webhooks = webhookService.getWebhooks();
+  const webhooks = webhookService.getWebhooks(clientId);
   
   // Paginate results
   const startIndex = (currentPage - 1) * pageLimit;
@@ -81,27 +101,532 @@ router.get('/api/webhooks', ErrorService.asyncHandler(async (req, res) => {
   const paginatedWebhooks = webhooks.slice(startIndex, endIndex);
 
   return ResponseUtils.paginated(res, paginatedWebhooks, webhooks.length, currentPage, pageLimit);
+};
+
+/**
+ * Send webhooks as a JSON or CSV download; clientId limits the export to one client (null = every client)
+ */
+const sendExport = (req, res, clientId) => {
+  const { format = 'json' } = req.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    throw ErrorService.createValidationError('Format must be either "json" or "csv"');
+  }
+
+  try {
+    const exportData = webhookService.exportWebhooks(format, clientId);
+    
+    webhookLogger.info('Webhook export requested', { 
+      format,
+      clientId: req.plaidClientId,
+      scope: clientId ? 'client' : 'all'
+    });
+
+    const contentType = format === 'json' ? 'application/json' : 'text/csv';
+    const filename = `webhooks-${clientId ? '' : 'all-'}${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    res.send(exportData);
+
+  } catch (error) {
+    throw ErrorService.createError('Failed to export webhooks', 'EXPORT_ERROR');
+  }
+};
+
+// Get the current client's webhooks (auth-protected)
+router.get('/api/webhooks', ErrorService.asyncHandler(async (req, res) => {
+  listWebhooks(req, res, req.plaidClientId);
 }));
 
-// Clear webhooks (auth-protected)
+// Stream webhooks as Server-Sent Events (auth-protected)
+router.get('/api/webhooks/stream', (req, res) => {
+  const types = req.query.webhook_type ? req.query.webhook_type.split(',').map(t => t.trim().toUpperCase()) : null;
+  const itemId = req.query.item_id || null;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id) || 0;
+
+  const matches = (webhook) =>
+    webhook.clientId === req.plaidClientId &&
+    (!types || types.includes(webhook.webhook_type)) &&
+    (!itemId || webhook.item_id === itemId);
+
+  const send = (webhook) => {
+    res.write(`id: ${webhook.id}\nevent: webhook\ndata: ${JSON.stringify(webhook)}\n\n`);
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Railway)
+  });
+  res.write('retry: 5000\n\n');
+
+  // Replay anything the client missed since its last event
+  if (lastEventId > 0) {
+    webhookService.getWebhooksSince(lastEventId).filter(matches).forEach(send);
+  }
+
+  const onWebhook = (webhook) => {
+    if (matches(webhook)) send(webhook);
+  };
+  webhookService.on('webhook', onWebhook);
+
+  // Forwarding attempts update the delivery log of webhooks already sent
+  const onDelivery = (webhook, delivery) => {
+    if (matches(webhook)) {
+      res.write(`event: delivery\ndata: ${JSON.stringify({ webhook_id: webhook.id, delivery })}\n\n`);
+    }
+  };
+  webhookService.on('delivery', onDelivery);
+
+  // Follow-up calls finish after their webhook was sent
+  const onReaction = (webhook, reaction) => {
+    if (matches(webhook)) {
+      res.write(`event: reaction\ndata: ${JSON.stringify({ webhook_id: webhook.id, reaction })}\n\n`);
+    }
+  };
+  webhookService.on('reaction', onReaction);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  webhookLogger.debug('Webhook stream opened', {
+    clientId: req.plaidClientId,
+    lastEventId,
+    types,
+    itemId
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    webhookService.off('webhook', onWebhook);
+    webhookService.off('delivery', onDelivery);
+    webhookService.off('reaction', onReaction);
+    webhookLogger.debug('Webhook stream closed', { clientId: req.plaidClientId });
+  });
+});
+
+// Clear the current client's unpinned webhooks (auth-protected)
 router.post('/api/webhooks/clear', ErrorService.asyncHandler(async (req, res) => {
-  const beforeClear = webhookService.getWebhooks().length;
-  
-  webhookService.clearWebhooks();
+  const clearedCount = webhookService.clearWebhooks(req.plaidClientId);
   
   webhookLogger.info('Webhooks cleared', { 
-    clearedCount: beforeClear,
+    clearedCount,
     clientId: req.plaidClientId 
   });
 
-  ResponseUtils.success(res, { cleared_count: beforeClear }, 'Webhook logs cleared');
+  ResponseUtils.success(res, { cleared_count: clearedCount }, 'Webhook logs cleared');
+}));
+
+// Get the current client's retention settings and purge statistics (auth-protected)
+router.get('/api/webhooks/retention', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, {
+    retention: webhookRetentionService.getSettings(req.plaidClientId),
+    stats: webhookRetentionService.getStats(),
+    stored: webhookService.getWebhooks(req.plaidClientId).length,
+    pinned: webhookService.getWebhooks(req.plaidClientId).filter(w => w.pinned).length
+  });
+}));
+
+// Update the current client's retention hours, per-type overrides and max entries (auth-protected)
+router.post('/api/webhooks/retention', ErrorService.asyncHandler(async (req, res) => {
+  let retention;
+  try {
+    retention = webhookRetentionService.setSettings(req.plaidClientId, req.body);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message);
+  }
+
+  // Apply a lower cap right away rather than on the next webhook
+  const evicted = webhookService.enforceMaxEntries(req.plaidClientId);
+
+  webhookLogger.info('Webhook retention updated', {
+    retention,
+    evicted,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    retention,
+    stats: webhookRetentionService.getStats(),
+    evicted
+  }, 'Retention settings updated');
+}));
+
+// Pin or unpin a webhook so retention never removes it (auth-protected)
+router.post('/api/webhooks/:webhook_id/pin', ErrorService.asyncHandler(async (req, res) => {
+  const pinned = req.body.pinned !== false;
+
+  let webhook;
+  try {
+    webhook = webhookService.setPinned(req.params.webhook_id, req.plaidClientId, pinned);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'webhook_id');
+  }
+
+  ResponseUtils.success(res, { webhook_id: webhook.id, pinned: webhook.pinned }, pinned ? 'Webhook pinned' : 'Webhook unpinned');
+}));
+
+// Get webhook verification mode and cached keys (auth-protected)
+router.get('/api/webhooks/verification', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, {
+    verification: webhookVerificationService.getStatus(),
+    can_change: req.isAdmin
+  });
+}));
+
+// Change webhook verification mode - applies to every client (admin only)
+router.post('/api/webhooks/verification', requireAdmin, ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['mode']);
+
+  try {
+    webhookVerificationService.setMode(req.body.mode);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'mode');
+  }
+
+  webhookLogger.info('Webhook verification mode changed', {
+    mode: req.body.mode,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    verification: webhookVerificationService.getStatus(),
+    can_change: req.isAdmin
+  }, 'Verification mode updated');
+}));
+
+// List the follow-up calls that can run automatically when webhooks arrive (auth-protected)
+router.get('/api/webhooks/reactions', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, { reactions: webhookReactionService.getSettings(req.plaidClientId) });
+}));
+
+// Opt in to (or out of) webhook reactions (auth-protected)
+router.post('/api/webhooks/reactions', ErrorService.asyncHandler(async (req, res) => {
+  let reactions;
+  try {
+    reactions = webhookReactionService.setEnabled(req.plaidClientId, req.body.reactions);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'reactions');
+  }
+
+  // Share this session's tokens so reactions can call Plaid when the webhook arrives
+  const items = new ItemVault(req).list();
+  const reports = new AssetReportStore(req).list();
+  items.forEach(item => {
+    itemStore.set(item.item_id, webhookReactionService.itemStoreEntry(req, { accessToken: item.access_token }));
+  });
+  reports.forEach(report => {
+    itemStore.set(report.asset_report_id, webhookReactionService.itemStoreEntry(req, { assetReportToken: report.asset_report_token }));
+  });
+
+  const enabled = reactions.filter(r => r.enabled).map(r => r.reaction);
+
+  webhookLogger.info('Webhook reactions updated', {
+    enabled,
+    itemCount: items.length,
+    reportCount: reports.length,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    reactions,
+    shared_items: enabled.length > 0 ? items.length : 0,
+    shared_asset_reports: enabled.length > 0 ? reports.length : 0
+  }, enabled.length > 0 ? 'Webhook reactions enabled' : 'Webhook reactions turned off');
+}));
+
+// Get the catalog of known webhook types and codes with their payload schemas (auth-protected)
+router.get('/api/webhooks/catalog', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, { catalog: webhookSchemaService.getCatalog() });
+}));
+
+// Long-poll for the first matching webhook, including ones that arrived shortly before the call (auth-protected)
+router.post('/api/webhooks/await', ErrorService.asyncHandler(async (req, res) => {
+  const { webhook_type, code, webhook_code, item_id, since, timeout_ms = 30000 } = req.body;
+  let { predicate } = req.body;
+
+  if (typeof predicate === 'string') {
+    predicate = { path: predicate };
+  }
+  if (predicate && typeof predicate.path !== 'string') {
+    throw ErrorService.createValidationError('predicate must be a JSON path or { path, equals }', 'predicate');
+  }
+
+  const timeoutMs = parseInt(timeout_ms);
+  if (isNaN(timeoutMs) || timeoutMs < 0) {
+    throw ErrorService.createValidationError('timeout_ms must be a positive number of milliseconds', 'timeout_ms');
+  }
+
+  if (since && isNaN(new Date(since).getTime())) {
+    throw ErrorService.createValidationError('since must be an ISO timestamp', 'since');
+  }
+
+  const criteria = {
+    webhook_type: webhook_type ? String(webhook_type).toUpperCase() : null,
+    webhook_code: code || webhook_code || null,
+    item_id: item_id || null,
+    predicate: predicate || null
+  };
+
+  let waiter;
+  try {
+    waiter = webhookService.awaitWebhook(req.plaidClientId, criteria, { timeoutMs, since });
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'predicate');
+  }
+
+  // Stop waiting if the caller gives up first
+  res.on('close', waiter.cancel);
+
+  const { webhook, received } = await waiter.result;
+  res.off('close', waiter.cancel);
+
+  webhookLogger.debug('Webhook await finished', {
+    criteria,
+    matched: !!webhook,
+    clientId: req.plaidClientId
+  });
+
+  if (!webhook) {
+    return res.status(408).json({
+      success: false,
+      error: 'Timed out waiting for a matching webhook',
+      criteria,
+      received,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  ResponseUtils.success(res, { webhook, criteria, received }, 'Matching webhook received');
 }));
 
-// Get webhook statistics (auth-protected)
+// Replay one stored webhook, optionally with an edited payload or to a forwarding rule's target (auth-protected)
+router.post('/api/webhooks/:webhook_id/replay', ErrorService.asyncHandler(async (req, res) => {
+  const { payload, rule_id } = req.body;
+
+  let result;
+  try {
+    result = await webhookService.replayWebhook(req.params.webhook_id, req.plaidClientId, {
+      payload,
+      ruleId: rule_id
+    });
+  } catch (error) {
+    // Payload problems (bad JSON, unknown item_id) are the caller's to fix
+    throw ErrorService.createValidationError(error.message, 'payload');
+  }
+
+  webhookLogger.info('Webhook replayed', {
+    webhookId: req.params.webhook_id,
+    mode: result.mode,
+    edited: payload !== undefined,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, result, 'Webhook replayed');
+}));
+
+// Replay a filtered batch (webhook_type, item_id, after, before, webhook_ids) oldest first (auth-protected)
+router.post('/api/webhooks/replay', ErrorService.asyncHandler(async (req, res) => {
+  const { webhook_type, item_id, after, before, webhook_ids, rule_id } = req.body;
+
+  if (webhook_ids !== undefined && !Array.isArray(webhook_ids)) {
+    throw ErrorService.createValidationError('webhook_ids must be an array', 'webhook_ids');
+  }
+
+  if (rule_id) {
+    try {
+      webhookForwardingService.getRule(rule_id, req.plaidClientId);
+    } catch (error) {
+      throw ErrorService.createValidationError(error.message, 'rule_id');
+    }
+  }
+
+  const results = await webhookService.replayWebhooks(
+    req.plaidClientId,
+    { webhook_type, item_id, after, before, webhook_ids },
+    { ruleId: rule_id }
+  );
+  const failed = results.filter(r => r.error).length;
+
+  webhookLogger.info('Webhook batch replayed', {
+    count: results.length,
+    failed,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, {
+    replayed_count: results.length - failed,
+    failed_count: failed,
+    results
+  }, `Replayed ${results.length - failed} of ${results.length} webhooks`);
+}));
+
+/**
+ * Item and asset report IDs in the caller's session, which quarantined webhooks are matched against
+ */
+const sessionWebhookIds = (req) => [
+  ...new ItemVault(req).list().map(item => item.item_id),
+  ...new AssetReportStore(req).list().map(report => report.asset_report_id)
+];
+
+// List quarantined webhooks: admins see all, others only those for items and asset reports in their session (auth-protected)
+router.get('/api/webhooks/quarantine', ErrorService.asyncHandler(async (req, res) => {
+  const ownedIds = sessionWebhookIds(req);
+  const quarantine = webhookService.getQuarantine(req.isAdmin ? null : ownedIds);
+
+  ResponseUtils.success(res, {
+    quarantine: quarantine.map(entry => ({
+      ...entry,
+      claimable: ownedIds.includes(entry.item_id) || ownedIds.includes(entry.asset_report_id)
+    })),
+    total_quarantined: quarantine.length,
+    can_claim_for_client: req.isAdmin
+  });
+}));
+
+// Claim a quarantined webhook for one of your items, or (admins) for any client_id (auth-protected)
+router.post('/api/webhooks/quarantine/:quarantine_id/claim', ErrorService.asyncHandler(async (req, res) => {
+  const { item_id, client_id } = req.body;
+  let entry;
+  try {
+    entry = webhookService.getQuarantined(req.params.quarantine_id);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'quarantine_id');
+  }
+
+  // The claimant's own credentials verify the webhook; admins claiming for another client use theirs too
+  let claim;
+  if (client_id) {
+    if (!req.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    claim = () => webhookService.claimQuarantined(entry.quarantine_id, { clientId: client_id }, {
+      itemId: item_id || null,
+      credentials: webhookReactionService.itemStoreEntry(req)
+    });
+  } else if (!item_id && !entry.item_id && entry.asset_report_id) {
+    // Asset Report webhooks name the report, not an item
+    const report = new AssetReportStore(req).require(entry.asset_report_id);
+
+    itemStore.set(report.asset_report_id, webhookReactionService.itemStoreEntry(req, { assetReportToken: report.asset_report_token }));
+    claim = () => webhookService.claimQuarantined(entry.quarantine_id, itemStore.get(report.asset_report_id));
+  } else {
+    const item = new ItemVault(req).require(item_id || entry.item_id);
+
+    // Only admins may attach a webhook to an item other than the one it names
+    if (!req.isAdmin && item.item_id !== entry.item_id) {
+      return res.status(403).json({ error: 'Admin access required to claim a webhook for a different item' });
+    }
+
+    // Re-index the item (itemStore is lost on restart) so its future webhooks are accepted
+    itemStore.set(item.item_id, webhookReactionService.itemStoreEntry(req, { accessToken: item.access_token }));
+
+    claim = () => webhookService.claimQuarantined(entry.quarantine_id, itemStore.get(item.item_id), { itemId: item.item_id });
+  }
+
+  let webhook;
+  try {
+    webhook = await claim();
+  } catch (error) {
+    // A webhook that does not verify with the claimant's credentials stays in quarantine
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  webhookLogger.info('Quarantined webhook claimed', {
+    quarantineId: entry.quarantine_id,
+    webhookId: webhook.id,
+    forClient: webhook.clientId,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { webhook }, 'Webhook claimed');
+}));
+
+// Discard a quarantined webhook (auth-protected)
+router.delete('/api/webhooks/quarantine/:quarantine_id', ErrorService.asyncHandler(async (req, res) => {
+  let entry;
+  try {
+    entry = webhookService.getQuarantined(req.params.quarantine_id);
+  } catch (error) {
+    throw ErrorService.createValidationError(error.message, 'quarantine_id');
+  }
+
+  const ownedIds = sessionWebhookIds(req);
+  if (!req.isAdmin && !ownedIds.includes(entry.item_id) && !ownedIds.includes(entry.asset_report_id)) {
+    return res.status(403).json({ error: 'Only admins can discard webhooks for items outside your session' });
+  }
+
+  webhookService.discardQuarantined(entry.quarantine_id);
+
+  ResponseUtils.success(res, { quarantine_id: entry.quarantine_id }, 'Quarantined webhook discarded');
+}));
+
+// Get the current client's forwarding rules, delivery log and dead letters (auth-protected)
+router.get('/api/webhooks/forwarding', ErrorService.asyncHandler(async (req, res) => {
+  ResponseUtils.success(res, {
+    rules: webhookForwardingService.getRules(req.plaidClientId),
+    deliveries: webhookForwardingService.getDeliveryLog(req.plaidClientId),
+    dead_letters: webhookForwardingService.getDeadLetters(req.plaidClientId)
+  });
+}));
+
+// Add a forwarding rule: target_url plus optional webhook_types / item_ids filters (auth-protected)
+router.post('/api/webhooks/forwarding/rules', ErrorService.asyncHandler(async (req, res) => {
+  ValidationUtils.validateRequired(req.body, ['target_url']);
+
+  const rule = webhookForwardingService.addRule(req.plaidClientId, req.body);
+
+  webhookLogger.info('Forwarding rule added', {
+    ruleId: rule.rule_id,
+    targetUrl: rule.target_url,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { rule }, 'Forwarding rule added');
+}));
+
+// Update a forwarding rule's target, filters or enabled flag (auth-protected)
+router.post('/api/webhooks/forwarding/rules/:rule_id', ErrorService.asyncHandler(async (req, res) => {
+  const rule = webhookForwardingService.updateRule(req.params.rule_id, req.plaidClientId, req.body);
+
+  ResponseUtils.success(res, { rule }, 'Forwarding rule updated');
+}));
+
+// Delete a forwarding rule (auth-protected)
+router.delete('/api/webhooks/forwarding/rules/:rule_id', ErrorService.asyncHandler(async (req, res) => {
+  const rule = webhookForwardingService.deleteRule(req.params.rule_id, req.plaidClientId);
+
+  webhookLogger.info('Forwarding rule deleted', {
+    ruleId: rule.rule_id,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { rule_id: rule.rule_id }, 'Forwarding rule deleted');
+}));
+
+// Retry a dead-lettered delivery (auth-protected)
+router.post('/api/webhooks/forwarding/dead-letters/:delivery_id/retry', ErrorService.asyncHandler(async (req, res) => {
+  const delivery = webhookService.retryDeadLetter(req.params.delivery_id, req.plaidClientId);
+
+  ResponseUtils.success(res, { delivery }, 'Delivery retry started');
+}));
+
+// Clear the current client's dead letters (auth-protected)
+router.post('/api/webhooks/forwarding/dead-letters/clear', ErrorService.asyncHandler(async (req, res) => {
+  const clearedCount = webhookForwardingService.clearDeadLetters(req.plaidClientId);
+
+  ResponseUtils.success(res, { cleared_count: clearedCount }, 'Dead letters cleared');
+}));
+
+// Get the current client's webhook statistics (auth-protected)
 router.get('/api/webhooks/stats', ErrorService.asyncHandler(async (req, res) => {
-  const stats = webhookService.getWebhookStats();
+  const stats = webhookService.getWebhookStats(req.plaidClientId);
   
   webhookLogger.debug('Webhook stats requested', { 
+    clientId: req.plaidClientId,
     totalWebhooks: stats.total 
   });
 
@@ -116,7 +641,7 @@ router.get('/api/webhooks/item/:item_id', ErrorService.asyncHandler(async (req,
     throw ErrorService.createValidationError('Item ID is required');
   }
 
-  const webhooks = webhookService.getWebhooksForItem(item_id);
+  const webhooks = webhookService.getWebhooksForItem(item_id, req.plaidClientId);
   
   webhookLogger.debug('Item webhooks requested', { 
     itemId: item_id,
@@ -152,7 +677,7 @@ router.get('/api/webhooks/type/:webhook_type', ErrorService.asyncHandler(async (
     throw ErrorService.createValidationError('Webhook type is required');
   }
 
-  const webhooks = webhookService.getWebhooksByType(webhook_type);
+  const webhooks = webhookService.getWebhooksByType(webhook_type, req.plaidClientId);
   
   webhookLogger.debug('Webhook type filter requested', { 
     webhookType: webhook_type,
@@ -162,42 +687,18 @@ router.get('/api/webhooks/type/:webhook_type', ErrorService.asyncHandler(async (
   ResponseUtils.success(res, { webhooks, webhook_type });
 }));
 
-// Export webhooks (auth-protected)
+// Export the current client's webhooks (auth-protected)
 router.get('/api/webhooks/export', ErrorService.asyncHandler(async (req, res) => {
-  const { format = 'json' } = req.query;
-
-  if (!['json', 'csv'].includes(format)) {
-    throw ErrorService.createValidationError('Format must be either "json" or "csv"');
-  }
-
-  try {
-    const exportData = webhookService.exportWebhooks(format);
-    
-    webhookLogger.info('Webhook export requested', { 
-      format,
-      clientId: req.plaidClientId 
-    });
-
-    const contentType = format === 'json' ? 'application/json' : 'text/csv';
-    const filename = `webhooks-${new Date().toISOString().split('T')[0]}.${format}`;
-
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    
-    res.send(exportData);
-
-  } catch (error) {
-    throw ErrorService.createError('Failed to export webhooks', 'EXPORT_ERROR');
-  }
+  sendExport(req, res, req.plaidClientId);
 }));
 
 // Manual webhook cleanup (auth-protected)
 router.post('/api/webhooks/cleanup', ErrorService.asyncHandler(async (req, res) => {
-  const beforeCleanup = webhookService.getWebhooks().length;
+  const beforeCleanup = webhookService.getWebhooks(req.plaidClientId).length;
   
   webhookService.purgeOldWebhooks();
   
-  const afterCleanup = webhookService.getWebhooks().length;
+  const afterCleanup = webhookService.getWebhooks(req.plaidClientId).length;
   const cleanedCount = beforeCleanup - afterCleanup;
 
   webhookLogger.info('Manual webhook cleanup performed', { 
@@ -211,9 +712,41 @@ router.post('/api/webhooks/cleanup', ErrorService.asyncHandler(async (req, res)
   }, 'Webhook cleanup completed');
 }));
 
-// Get webhook health status (public)
-router.get('/api/webhooks/health', ErrorService.asyncHandler(async (req, res) => {
+// Get every client's webhooks (admin only)
+router.get('/api/admin/webhooks', requireAdmin, ErrorService.asyncHandler(async (req, res) => {
+  listWebhooks(req, res, null);
+}));
+
+// Get webhook statistics across every client (admin only)
+router.get('/api/admin/webhooks/stats', requireAdmin, ErrorService.asyncHandler(async (req, res) => {
   const stats = webhookService.getWebhookStats();
+  const clients = new Set(webhookService.getWebhooks().map(w => w.clientId));
+
+  ResponseUtils.success(res, { stats: { ...stats, uniqueClients: clients.size } });
+}));
+
+// Export every client's webhooks (admin only)
+router.get('/api/admin/webhooks/export', requireAdmin, ErrorService.asyncHandler(async (req, res) => {
+  sendExport(req, res, null);
+}));
+
+// Clear every client's webhooks (admin only)
+router.post('/api/admin/webhooks/clear', requireAdmin, ErrorService.asyncHandler(async (req, res) => {
+  const clearedCount = webhookService.clearWebhooks();
+
+  webhookLogger.info('All webhooks cleared by admin', {
+    clearedCount,
+    clientId: req.plaidClientId
+  });
+
+  ResponseUtils.success(res, { cleared_count: clearedCount }, 'All webhook logs cleared');
+}));
+
+// Get webhook health status for the current client, or every client for admins (auth-protected)
+router.get('/api/webhooks/health', ErrorService.asyncHandler(async (req, res) => {
+  const stats = webhookService.getWebhookStats(req.isAdmin ? null : req.plaidClientId);
+  const maxEntries = webhookRetentionService.defaults.max_entries;
+  const capacityUsed = stats.total / maxEntries;
   
   const health = {
     status: 'healthy',
@@ -221,14 +754,17 @@ router.get('/api/webhooks/health', ErrorService.asyncHandler(async (req, res) =>
     recent_webhooks: stats.lastHour,
     unique_types: stats.uniqueTypes,
     last_webhook: stats.newestWebhook,
-    storage_health: stats.total < 10000 ? 'good' : 'warning', // Example threshold
+    max_entries: maxEntries,
+    capacity_used_percent: Math.round(capacityUsed * 1000) / 10,
+    storage_health: capacityUsed < 0.8 ? 'good' : 'warning',
+    retention: webhookRetentionService.getStats(),
     timestamp: new Date().toISOString()
   };
 
-  // Determine overall health
-  if (stats.total > 50000) {
+  // At the cap every new webhook evicts the oldest unpinned one
+  if (capacityUsed >= 1) {
     health.status = 'degraded';
-    health.warning = 'High webhook volume detected';
+    health.warning = 'Webhook store is full; oldest webhooks are being evicted';
   }
 
   ResponseUtils.health(res, health);
@@ -2,14 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const { rateLimiter } = require('../middleware/rateLimiter');
+const { getPlaidBasePaths } = require('../config/plaid');
 
-// Health check endpoint (public for Railway health checks)
+// Health check endpoint (public for Railway health checks, so it reports the default and reachable environments rather than a session's)
 router.get('/health', rateLimiter, (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: Math.floor(process.uptime()),
     environment: 'sandbox',
+    environments: Object.keys(getPlaidBasePaths()),
     version: require('../../package.json').version || '2.0.0',
     node_version: process.version
   });
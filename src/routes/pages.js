@@ -13,6 +13,24 @@ router.get('/', (req, res) => {
   });
 });
 
+// OAuth redirect page (redirect_uri for link tokens)
+router.get('/oauth-redirect', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'oauth-redirect.html'), {
+    title: 'OAuth Redirect',
+    subtitle: 'Finishing your OAuth connection',
+    activeItem: 'home'
+  });
+});
+
+// Hosted Link completion page (completion_redirect_uri for Hosted Link)
+router.get('/hosted-link-complete', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'hosted-link-complete.html'), {
+    title: 'Hosted Link',
+    subtitle: 'Finishing your Hosted Link session',
+    activeItem: 'home'
+  });
+});
+
 // Identity tester page
 router.get('/identity-tester.html', (req, res) => {
   sendPageWithNavbar(res, path.join(__dirname, '../../public', 'identity-tester.html'), {
@@ -40,6 +58,51 @@ router.get('/balance-tester.html', (req, res) => {
   });
 });
 
+// Transactions tester page
+router.get('/transactions-tester.html', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'transactions-tester.html'), {
+    title: 'Transactions',
+    subtitle: 'Test the /transactions/sync endpoint',
+    activeItem: 'transactions'
+  });
+});
+
+// Investments tester page
+router.get('/investments-tester.html', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'investments-tester.html'), {
+    title: 'Investments',
+    subtitle: 'Test the /investments/holdings/get and /investments/transactions/get endpoints',
+    activeItem: 'investments'
+  });
+});
+
+// Liabilities tester page
+router.get('/liabilities-tester.html', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'liabilities-tester.html'), {
+    title: 'Liabilities',
+    subtitle: 'Test the /liabilities/get endpoint for credit cards, mortgages and student loans',
+    activeItem: 'liabilities'
+  });
+});
+
+// Asset Report workbench page
+router.get('/asset-reports.html', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'asset-reports.html'), {
+    title: 'Asset Reports',
+    subtitle: 'Create, poll, fetch, refresh, audit and remove Asset Reports',
+    activeItem: 'assets'
+  });
+});
+
+// Outgoing API call inspector page
+router.get('/inspector.html', (req, res) => {
+  sendPageWithNavbar(res, path.join(__dirname, '../../public', 'inspector.html'), {
+    title: 'Inspector',
+    subtitle: 'Every Plaid API call made in this session, with the webhooks it caused',
+    activeItem: 'inspector'
+  });
+});
+
 // Link configuration page
 router.get('/link-config.html', (req, res) => {
   sendPageWithNavbar(res, path.join(__dirname, '../../public', 'link-config.html'), {
@@ -0,0 +1,268 @@
+// src/services/apiCallExportService.js
+const { version } = require('../../package.json');
+
+const EXPORT_FORMATS = ['curl', 'postman', 'postman_environment', 'har'];
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const REDACTED = '[REDACTED]';
+
+// Request headers worth replaying; the rest (user agent, content length, ...) are set by the client
+const EXPORTED_HEADERS = {
+  'content-type': 'Content-Type',
+  'plaid-version': 'Plaid-Version',
+  'plaid-client-id': 'PLAID-CLIENT-ID',
+  'plaid-secret': 'PLAID-SECRET'
+};
+
+/**
+ * Turns logged Plaid calls into cURL commands, a Postman v2.1 collection (plus an
+ * environment holding client_id and secret) or a HAR file.
+ *
+ * Credentials and tokens become {{placeholders}} unless real values are supplied:
+ * values maps placeholder names (client_id, secret, access_token, asset_report_token)
+ * to what should be filled in instead, or is a function returning that map for a call.
+ */
+class ApiCallExportService {
+  validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  getFormats() {
+    return EXPORT_FORMATS;
+  }
+
+  valuesFor(values, call) {
+    return typeof values === 'function' ? values(call) : values;
+  }
+
+  /**
+   * Value for a placeholder: the supplied secret, or {{name}}
+   */
+  fill(name, values) {
+    return values[name] !== undefined && values[name] !== null ? values[name] : `{{${name}}}`;
+  }
+
+  /**
+   * Swap redacted body fields for placeholders named after the field
+   */
+  fillBody(value, values, key = null) {
+    if (value === REDACTED && key) {
+      return this.fill(key, values);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.fillBody(item, values, key ? key.replace(/s$/, '') : key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, this.fillBody(fieldValue, values, field)]));
+    }
+    return value;
+  }
+
+  /**
+   * The request of a logged call with placeholders (or real values) in place of redactions
+   */
+  buildRequest(call, values = {}) {
+    values = this.valuesFor(values, call);
+    const headers = [];
+    Object.entries(call.request.headers).forEach(([name, value]) => {
+      const exportedName = EXPORTED_HEADERS[name.toLowerCase()];
+      if (!exportedName) return;
+
+      if (exportedName === 'PLAID-CLIENT-ID') {
+        headers.push({ name: exportedName, value: this.fill('client_id', values) });
+      } else if (exportedName === 'PLAID-SECRET') {
+        headers.push({ name: exportedName, value: this.fill('secret', values) });
+      } else {
+        headers.push({ name: exportedName, value: String(value) });
+      }
+    });
+
+    const body = call.request.body && !call.request.body.truncated
+      ? JSON.stringify(this.fillBody(call.request.body, values), null, 2)
+      : '';
+
+    return {
+      method: call.method,
+      url: `${call.base_url}${call.endpoint}`,
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Placeholder names used across a set of calls
+   */
+  placeholders(calls) {
+    const names = new Set();
+    calls.forEach(call => {
+      const request = JSON.stringify(this.buildRequest(call));
+      (request.match(/\{\{(\w+)\}\}/g) || []).forEach(match => names.add(match.slice(2, -2)));
+    });
+    return [...names];
+  }
+
+  shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  toCurl(calls, values = {}) {
+    const commands = calls.map(call => {
+      const request = this.buildRequest(call, values);
+      const lines = [`curl -X ${request.method} ${this.shellQuote(request.url)}`]
+        .concat(request.headers.map(header => `  -H ${this.shellQuote(`${header.name}: ${header.value}`)}`));
+
+      if (request.body) {
+        lines.push(`  -d ${this.shellQuote(request.body)}`);
+      }
+
+      return `# ${call.call_id} · ${call.started_at} · HTTP ${call.status || 'no response'} · request_id ${call.request_id || '-'}\n${lines.join(' \\\n')}`;
+    });
+
+    const script = commands.join('\n\n');
+    const missing = [...new Set(script.match(/\{\{\w+\}\}/g) || [])];
+    const header = missing.length > 0
+      ? `# Replace ${missing.join(', ')} before running\n\n`
+      : '';
+
+    return `${header}${script}\n`;
+  }
+
+  toPostmanCollection(calls, name) {
+    // Postman fills {{variables}} from the environment, so secrets are never written into the collection
+    const item = calls.map(call => {
+      const request = this.buildRequest(call);
+      const path = call.endpoint.split('/').filter(Boolean);
+      const postmanRequest = {
+        method: request.method,
+        header: request.headers.map(header => ({ key: header.name, value: header.value })),
+        body: {
+          mode: 'raw',
+          raw: request.body,
+          options: { raw: { language: 'json' } }
+        },
+        url: {
+          raw: `{{base_url}}${call.endpoint}`,
+          host: ['{{base_url}}'],
+          path
+        }
+      };
+
+      return {
+        name: `${call.endpoint} (${call.call_id})`,
+        request: postmanRequest,
+        response: call.response ? [{
+          name: `HTTP ${call.status} · request_id ${call.request_id || '-'}`,
+          originalRequest: postmanRequest,
+          code: call.status,
+          header: Object.entries(call.response.headers).map(([key, value]) => ({ key, value: String(value) })),
+          body: JSON.stringify(call.response.body, null, 2),
+          _postman_previewlanguage: 'json'
+        }] : []
+      };
+    });
+
+    return {
+      info: {
+        name,
+        description: 'Plaid API calls captured by Plaid Test Kit. Select the matching environment to fill in client_id and secret.',
+        schema: POSTMAN_SCHEMA
+      },
+      item
+    };
+  }
+
+  toPostmanEnvironment(calls, name, values = {}) {
+    const baseUrl = calls[0]?.base_url || 'https://sandbox.plaid.com';
+    const names = ['base_url', ...this.placeholders(calls)];
+
+    // One environment serves every request, so the first call's value for each variable wins
+    values = calls.reduce((merged, call) => ({ ...this.valuesFor(values, call), ...merged }), {});
+
+    return {
+      name,
+      values: names.map(key => ({
+        key,
+        value: key === 'base_url' ? baseUrl : (values[key] || ''),
+        type: key === 'base_url' ? 'default' : 'secret',
+        enabled: true
+      })),
+      _postman_variable_scope: 'environment'
+    };
+  }
+
+  toHar(calls, values = {}) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'Plaid Test Kit', version },
+        entries: calls.map(call => {
+          const request = this.buildRequest(call, values);
+          const responseText = call.response ? JSON.stringify(call.response.body) : '';
+
+          return {
+            startedDateTime: call.started_at,
+            time: call.duration_ms,
+            request: {
+              method: request.method,
+              url: request.url,
+              httpVersion: 'HTTP/1.1',
+              headers: request.headers,
+              queryString: [],
+              cookies: [],
+              headersSize: -1,
+              bodySize: Buffer.byteLength(request.body),
+              postData: { mimeType: 'application/json', text: request.body }
+            },
+            response: {
+              status: call.status || 0,
+              statusText: call.error?.error_code || '',
+              httpVersion: 'HTTP/1.1',
+              headers: Object.entries(call.response?.headers || {}).map(([headerName, value]) => ({ name: headerName, value: String(value) })),
+              cookies: [],
+              content: {
+                size: Buffer.byteLength(responseText),
+                mimeType: 'application/json',
+                text: responseText
+              },
+              redirectURL: '',
+              headersSize: -1,
+              bodySize: -1
+            },
+            cache: {},
+            timings: { send: 0, wait: call.duration_ms, receive: 0 },
+            comment: `${call.call_id} · request_id ${call.request_id || '-'}`
+          };
+        })
+      }
+    };
+  }
+
+  /**
+   * Export calls in one of EXPORT_FORMATS, returning the file body, content type and extension
+   */
+  exportCalls(format, calls, { name = 'Plaid Test Kit', values = {} } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw this.validationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if (calls.length === 0) {
+      throw this.validationError('No calls to export');
+    }
+
+    switch (format) {
+      case 'curl':
+        return { body: this.toCurl(calls, values), contentType: 'text/plain', extension: 'sh' };
+      case 'postman':
+        return { body: JSON.stringify(this.toPostmanCollection(calls, name), null, 2), contentType: 'application/json', extension: 'postman_collection.json' };
+      case 'postman_environment':
+        return { body: JSON.stringify(this.toPostmanEnvironment(calls, name, values), null, 2), contentType: 'application/json', extension: 'postman_environment.json' };
+      default:
+        return { body: JSON.stringify(this.toHar(calls, values), null, 2), contentType: 'application/json', extension: 'har' };
+    }
+  }
+}
+
+// Create singleton instance
+const apiCallExportService = new ApiCallExportService();
+
+module.exports = apiCallExportService;
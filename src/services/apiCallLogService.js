@@ -0,0 +1,299 @@
+// src/services/apiCallLogService.js
+const MAX_CALLS_PER_SESSION = 200;
+const MAX_CALLS = 2000; // Across all sessions, so abandoned sessions cannot grow the log without bound
+const CALL_TTL_MS = 24 * 60 * 60 * 1000; // Matches the session lifetime
+const MAX_STORED_BODY_CHARS = 256 * 1024;
+const WEBHOOK_LINK_WINDOW_MS = 15 * 60 * 1000;
+const REDACTED = '[REDACTED]';
+
+// Body fields holding credentials or tokens: secret, access_token, public_token, access_tokens, ...
+const SENSITIVE_FIELD = /(secret|password|tokens?)$/i;
+const SENSITIVE_HEADERS = ['plaid-secret', 'authorization', 'cookie'];
+
+// Calls after which Plaid sends webhooks for the item or Asset Report they touch
+const WEBHOOK_TRIGGERING_ENDPOINTS = [
+  '/item/public_token/exchange',
+  '/item/webhook/update',
+  '/sandbox/item/fire_webhook',
+  '/sandbox/item/reset_login',
+  '/sandbox/item/set_verification_status',
+  '/sandbox/transactions/create',
+  '/transactions/refresh',
+  '/transactions/sync',
+  '/investments/refresh',
+  '/asset_report/create',
+  '/asset_report/refresh',
+  '/user_account/session/get'
+];
+
+/**
+ * Log of outgoing Plaid API calls, kept per browser session.
+ * Calls made outside a request (webhook verification, reactions) are logged
+ * against their client ID with no session and shown to every session of that client.
+ */
+class ApiCallLogService {
+  constructor() {
+    this.calls = [];
+    this.nextCallId = 1;
+  }
+
+  /**
+   * Replace sensitive fields anywhere in a JSON value
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        SENSITIVE_FIELD.test(key) && field !== null ? REDACTED : this.redact(field)
+      ]));
+    }
+    return value;
+  }
+
+  redactHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers)
+        .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+        .map(([name, value]) => [name, SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value])
+    );
+  }
+
+  /**
+   * Parse and redact an axios request or response body, summarizing binary and oversized ones
+   */
+  storedBody(data) {
+    if (data === undefined || data === null || data === '') return null;
+
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      return { binary: true, bytes: data.byteLength };
+    }
+
+    let body = data;
+    if (typeof data === 'string') {
+      try {
+        body = JSON.parse(data);
+      } catch (error) {
+        body = data;
+      }
+    }
+
+    const redacted = this.redact(body);
+    const serialized = JSON.stringify(redacted);
+    if (serialized.length > MAX_STORED_BODY_CHARS) {
+      return { truncated: true, chars: serialized.length, preview: serialized.slice(0, 2000) };
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Work out which item or Asset Report a call was about, using the session's vault for access tokens
+   */
+  resolveSubject(req, requestBody, responseBody) {
+    const items = Object.values(req.session?.itemVault?.items || {});
+    const reports = Object.values(req.session?.assetReports || {});
+
+    const item = requestBody?.access_token && items.find(i => i.access_token === requestBody.access_token);
+    const report = requestBody?.asset_report_token && reports.find(r => r.asset_report_token === requestBody.asset_report_token);
+
+    return {
+      item_id: responseBody?.item_id || responseBody?.item?.item_id || requestBody?.item_id || item?.item_id || null,
+      asset_report_id: responseBody?.asset_report_id || report?.asset_report_id || null
+    };
+  }
+
+  /**
+   * Record one finished call from the axios request config and its response or error
+   */
+  record(req, config, response, error = null) {
+    const startedAt = config.metadata?.startedAt || Date.now();
+    const url = new URL(config.url, config.baseURL || undefined);
+
+    let requestBody = config.data;
+    if (typeof requestBody === 'string') {
+      try {
+        requestBody = JSON.parse(requestBody);
+      } catch (parseError) {
+        // Keep the raw string
+      }
+    }
+    const responseBody = response?.data;
+    const plaidError = responseBody && typeof responseBody === 'object' && responseBody.error_code ? responseBody : null;
+
+    if (req.session && !req.session.apiCallLogStarted) {
+      // Touch the session so its id, which keys the log, outlives this response
+      req.session.apiCallLogStarted = new Date(startedAt).toISOString();
+    }
+
+    const call = {
+      call_id: `call_${this.nextCallId++}`,
+      session_id: req.sessionID || null,
+      clientId: req.plaidClientId,
+      source: req.sessionID ? 'session' : 'background',
+      method: (config.method || 'post').toUpperCase(),
+      endpoint: url.pathname,
+      base_url: url.origin,
+      host: url.host,
+      started_at: new Date(startedAt).toISOString(),
+      duration_ms: Date.now() - startedAt,
+      status: response?.status || null,
+      ok: !error,
+      request_id: (responseBody && typeof responseBody === 'object' && responseBody.request_id) || null,
+      error: error
+        ? (plaidError
+          ? { error_type: plaidError.error_type, error_code: plaidError.error_code, error_message: plaidError.error_message }
+          : { error_message: error.message })
+        : null,
+      ...this.resolveSubject(req, requestBody, responseBody),
+      request: {
+        headers: this.redactHeaders(config.headers),
+        body: this.storedBody(requestBody)
+      },
+      response: response
+        ? { headers: this.redactHeaders(response.headers), body: this.storedBody(responseBody) }
+        : null,
+      webhooks: []
+    };
+
+    this.calls.push(call);
+    this.trim(call.session_id, call.clientId);
+    this.prune();
+
+    return call;
+  }
+
+  /**
+   * Keep only the newest calls for a session (or a client's background calls)
+   */
+  trim(sessionId, clientId) {
+    const owned = this.calls.filter(c => c.session_id === sessionId && c.clientId === clientId);
+    if (owned.length > MAX_CALLS_PER_SESSION) {
+      const dropped = new Set(owned.slice(0, owned.length - MAX_CALLS_PER_SESSION));
+      this.calls = this.calls.filter(c => !dropped.has(c));
+    }
+  }
+
+  /**
+   * Drop calls older than the session lifetime, then the oldest calls over the global cap
+   */
+  prune(now = Date.now()) {
+    const expired = this.calls.findIndex(c => now - new Date(c.started_at).getTime() <= CALL_TTL_MS);
+    this.calls.splice(0, expired === -1 ? this.calls.length : expired);
+
+    if (this.calls.length > MAX_CALLS) {
+      this.calls.splice(0, this.calls.length - MAX_CALLS);
+    }
+  }
+
+  /**
+   * Calls visible to a session: its own plus its client's background calls
+   */
+  getCalls(sessionId, clientId) {
+    return this.calls.filter(c =>
+      c.clientId === clientId && (c.session_id === sessionId || c.session_id === null)
+    );
+  }
+
+  /**
+   * A session's calls, oldest first, narrowed by
+   * endpoint (substring), status (ok, error or an HTTP code), item_id and source
+   */
+  filterCalls(sessionId, clientId, filters = {}) {
+    const { endpoint, status, item_id, source } = filters;
+
+    return this.getCalls(sessionId, clientId)
+      .filter(call => {
+        if (endpoint && !call.endpoint.includes(endpoint)) return false;
+        if (status === 'ok' && !call.ok) return false;
+        if (status === 'error' && call.ok) return false;
+        if (status && !['ok', 'error'].includes(status) && String(call.status) !== String(status)) return false;
+        if (item_id && call.item_id !== item_id) return false;
+        if (source && call.source !== source) return false;
+        return true;
+      });
+  }
+
+  /**
+   * List a session's filtered calls newest first, without bodies
+   */
+  listCalls(sessionId, clientId, filters = {}) {
+    return this.filterCalls(sessionId, clientId, filters)
+      .reverse()
+      .map(({ request, response, ...summary }) => summary);
+  }
+
+  /**
+   * Get one call with its full request and response
+   */
+  getCall(callId, sessionId, clientId) {
+    const call = this.getCalls(sessionId, clientId).find(c => c.call_id === callId);
+    if (!call) {
+      const error = new Error(`Unknown call_id: ${callId}`);
+      error.status = 400;
+      throw error;
+    }
+    return call;
+  }
+
+  /**
+   * Forget a session's calls
+   */
+  clearCalls(sessionId, clientId) {
+    const before = this.calls.length;
+    this.calls = this.calls.filter(c => !(c.clientId === clientId && c.session_id === sessionId));
+    return before - this.calls.length;
+  }
+
+  /**
+   * Forget every call of a session that is being destroyed (logout, invalid credentials)
+   */
+  clearSession(sessionId) {
+    if (!sessionId) return 0;
+
+    const before = this.calls.length;
+    this.calls = this.calls.filter(c => c.session_id !== sessionId);
+    return before - this.calls.length;
+  }
+
+  /**
+   * Link an incoming webhook to the latest call that could have caused it:
+   * a webhook-triggering call for the same item or Asset Report shortly before it arrived
+   */
+  linkWebhook(webhook) {
+    const receivedAt = new Date(webhook.timestamp).getTime();
+    const assetReportId = webhook.data?.asset_report_id || null;
+
+    const cause = this.calls
+      .filter(call =>
+        call.ok &&
+        call.clientId === webhook.clientId &&
+        WEBHOOK_TRIGGERING_ENDPOINTS.includes(call.endpoint) &&
+        ((webhook.item_id && call.item_id === webhook.item_id) || (assetReportId && call.asset_report_id === assetReportId))
+      )
+      .filter(call => {
+        const startedAt = new Date(call.started_at).getTime();
+        return startedAt <= receivedAt && receivedAt - startedAt <= WEBHOOK_LINK_WINDOW_MS;
+      })
+      .pop();
+
+    if (!cause) return null;
+
+    cause.webhooks.push({
+      webhook_id: webhook.id,
+      webhook_type: webhook.webhook_type,
+      webhook_code: webhook.data?.webhook_code || null,
+      received_at: webhook.timestamp
+    });
+    webhook.caused_by = { call_id: cause.call_id, endpoint: cause.endpoint };
+
+    return cause;
+  }
+}
+
+// Create singleton instance
+const apiCallLogService = new ApiCallLogService();
+
+module.exports = apiCallLogService;
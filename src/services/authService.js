@@ -1,6 +1,8 @@
 // src/services/authService.js
 const { encryptCredentials, decryptCredentials } = require('../utils/crypto');
 const PlaidService = require('./plaidService');
+const { LOCAL_PLAID_ENABLED } = require('../config/environment');
+const apiCallLogService = require('./apiCallLogService');
 
 class AuthService {
   /**
@@ -89,6 +91,7 @@ class AuthService {
   static logout(req, res) {
     // Complete cleanup
     if (req.session) {
+      apiCallLogService.clearSession(req.sessionID);
       req.session.destroy((err) => {
         if (err) {
           console.error('Session destruction error:', err);
@@ -226,6 +229,7 @@ class AuthService {
             <label>Environment:</label>
             <select name="environment" required style="width: 100%; padding: 12px; border: 1px solid #e2e8f0; border-radius: 8px;">
               <option value="sandbox">Sandbox</option>
+              ${LOCAL_PLAID_ENABLED ? '<option value="local">Local (offline, any Client ID and Secret)</option>' : ''}
             </select>
             <small style="color: #666; font-size: 12px;">Choose your Plaid environment</small>
           </div>
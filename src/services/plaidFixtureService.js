@@ -0,0 +1,347 @@
+// src/services/plaidFixtureService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  PLAID_MODE,
+  PLAID_FIXTURES_DIR,
+  PLAID_REPLAY_MISMATCH
+} = require('../config/environment');
+
+const PLAID_MODES = ['live', 'record', 'replay'];
+const MISMATCH_POLICIES = ['fail', 'passthrough', 'nearest'];
+
+// Body fields left out of fixture keys: credentials, and values that change on every run or host
+const IGNORED_FIELDS = ['client_id', 'secret', 'client_user_id', 'redirect_uri', 'completion_redirect_uri', 'webhook'];
+
+// Fields holding tokens (access_token, public_token, asset_report_token, access_tokens, ...), never written to disk as-is
+const TOKEN_FIELD = /(^|_)tokens?$/;
+const PLACEHOLDER_TOKEN = /-fixture-[0-9a-f]{16}$/;
+
+/**
+ * Records Plaid request/response pairs to fixture files and serves them back,
+ * so the UI can be demoed and tested without reaching Plaid.
+ *
+ * Fixtures live at <PLAID_FIXTURES_DIR>/<endpoint>/<key>.json, where the key is a hash of
+ * the request body with IGNORED_FIELDS removed and object keys sorted.
+ *
+ * Tokens in requests and responses are swapped for stable placeholders derived from their value,
+ * so fixtures hold no working credentials and replayed tokens still match the recorded requests.
+ */
+class PlaidFixtureService {
+  constructor() {
+    this.mode = PLAID_MODES.includes(PLAID_MODE) ? PLAID_MODE : 'live';
+    this.mismatchPolicy = MISMATCH_POLICIES.includes(PLAID_REPLAY_MISMATCH) ? PLAID_REPLAY_MISMATCH : 'fail';
+    this.dir = path.resolve(PLAID_FIXTURES_DIR);
+    this.fixtureCount = null;
+    this.stats = {
+      recorded: 0,
+      replayed: 0,
+      nearest: 0,
+      passthrough: 0,
+      missed: 0,
+      last_mismatch: null
+    };
+
+    if (this.mode !== PLAID_MODE) {
+      console.warn(`⚠️ Unknown PLAID_MODE "${PLAID_MODE}", using live. Use one of: ${PLAID_MODES.join(', ')}`);
+    }
+    if (this.mismatchPolicy !== PLAID_REPLAY_MISMATCH) {
+      console.warn(`⚠️ Unknown PLAID_REPLAY_MISMATCH "${PLAID_REPLAY_MISMATCH}", using fail. Use one of: ${MISMATCH_POLICIES.join(', ')}`);
+    }
+    if (this.mode !== 'live') {
+      console.log(`🎞️ Plaid ${this.mode} mode: fixtures in ${this.dir}${this.mode === 'replay' ? `, mismatches ${this.mismatchPolicy}` : ''}`);
+    }
+  }
+
+  /**
+   * Drop ignored fields and sort object keys so equivalent bodies serialize the same way
+   */
+  normalizeBody(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeBody(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value)
+        .filter(key => !IGNORED_FIELDS.includes(key) && value[key] !== undefined)
+        .sort()
+        .reduce((normalized, key) => ({ ...normalized, [key]: this.normalizeBody(this.maskTokens(value[key], key)) }), {});
+    }
+    return value;
+  }
+
+  /**
+   * Stable stand-in for a token: access-sandbox-1234... becomes access-fixture-<hash>.
+   * Placeholders are kept as they are, so tokens served in replay key the same way as the recorded ones.
+   */
+  placeholderToken(token) {
+    if (PLACEHOLDER_TOKEN.test(token)) return token;
+
+    const prefix = token.split('-')[0] || 'token';
+    return `${prefix}-fixture-${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Replace token values in a field (or anywhere inside an object) with placeholders
+   */
+  maskTokens(value, key = null) {
+    if (typeof value === 'string') {
+      return key && TOKEN_FIELD.test(key) ? this.placeholderToken(value) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.maskTokens(item, key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, this.maskTokens(fieldValue, field)]));
+    }
+    return value;
+  }
+
+  /**
+   * Fixture form of a response body: binary bodies (e.g. /asset_report/pdf/get) are base64-encoded
+   */
+  storedData(data) {
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      return { encoding: 'base64', data: Buffer.from(data).toString('base64') };
+    }
+    return { data: this.maskTokens(data) };
+  }
+
+  /**
+   * Endpoint path and normalized body of an axios request
+   */
+  describeRequest(config) {
+    let body = config.data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Keep the raw string
+      }
+    }
+
+    const endpoint = new URL(config.url, config.baseURL || undefined).pathname;
+    const normalized = this.normalizeBody(body ?? null);
+    const key = crypto.createHash('sha256').update(`${endpoint} ${JSON.stringify(normalized)}`).digest('hex').slice(0, 16);
+
+    return { endpoint, body: normalized, key };
+  }
+
+  endpointDir(endpoint) {
+    return path.join(this.dir, endpoint.replace(/^\/+/, '').replace(/\//g, '_'));
+  }
+
+  fixturePath(endpoint, key) {
+    return path.join(this.endpointDir(endpoint), `${key}.json`);
+  }
+
+  readFixture(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable fixture ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save a Plaid response (including Plaid error responses) as a fixture
+   */
+  save(config, response) {
+    const { endpoint, body, key } = this.describeRequest(config);
+    const file = this.fixturePath(endpoint, key);
+    const isNew = !fs.existsSync(file);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      endpoint,
+      key,
+      recorded_at: new Date().toISOString(),
+      request: body,
+      response: {
+        status: response.status,
+        headers: { 'content-type': response.headers?.['content-type'] || 'application/json' },
+        ...this.storedData(response.data)
+      }
+    }, null, 2));
+
+    this.stats.recorded++;
+    if (isNew && this.fixtureCount !== null) {
+      this.fixtureCount++;
+    }
+    return file;
+  }
+
+  /**
+   * The fixture recorded for this exact request, if any
+   */
+  findExact(endpoint, key) {
+    const file = this.fixturePath(endpoint, key);
+    return fs.existsSync(file) ? this.readFixture(file) : null;
+  }
+
+  /**
+   * Leaf values of a JSON value keyed by their path, for comparing request bodies
+   */
+  flatten(value, prefix = '$', leaves = new Map()) {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, field]) => this.flatten(field, `${prefix}.${key}`, leaves));
+    } else {
+      leaves.set(prefix, JSON.stringify(value));
+    }
+    return leaves;
+  }
+
+  /**
+   * The fixture for the same endpoint whose request body shares the most fields with this one
+   */
+  findNearest(endpoint, body) {
+    const dir = this.endpointDir(endpoint);
+    if (!fs.existsSync(dir)) return null;
+
+    const wanted = this.flatten(body);
+    let best = null;
+
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.readFixture(path.join(dir, file)))
+      .filter(Boolean)
+      .forEach(fixture => {
+        const recorded = this.flatten(fixture.request);
+        const paths = new Set([...wanted.keys(), ...recorded.keys()]);
+        const matches = [...paths].filter(p => wanted.get(p) === recorded.get(p)).length;
+        const score = paths.size > 0 ? matches / paths.size : 1;
+
+        if (!best || score > best.score || (score === best.score && fixture.recorded_at > best.fixture.recorded_at)) {
+          best = { fixture, score };
+        }
+      });
+
+    return best;
+  }
+
+  /**
+   * Turn a fixture into the axios response (or rejection) Plaid would have produced
+   */
+  respond(config, fixture) {
+    const response = {
+      data: fixture.response.encoding === 'base64' ? Buffer.from(fixture.response.data, 'base64') : fixture.response.data,
+      status: fixture.response.status,
+      statusText: '',
+      headers: fixture.response.headers || {},
+      config,
+      request: null
+    };
+
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status < 500 ? axios.AxiosError.ERR_BAD_REQUEST : axios.AxiosError.ERR_BAD_RESPONSE,
+      config,
+      null,
+      response
+    );
+  }
+
+  /**
+   * axios adapter for replay mode: serve the matching fixture or apply the mismatch policy
+   */
+  async replay(config, liveAdapter) {
+    const { endpoint, body, key } = this.describeRequest(config);
+
+    const fixture = this.findExact(endpoint, key);
+    if (fixture) {
+      this.stats.replayed++;
+      return this.respond(config, fixture);
+    }
+
+    this.stats.missed++;
+    this.stats.last_mismatch = { endpoint, key, policy: this.mismatchPolicy, at: new Date().toISOString() };
+
+    if (this.mismatchPolicy === 'passthrough') {
+      this.stats.passthrough++;
+      return liveAdapter(config);
+    }
+
+    if (this.mismatchPolicy === 'nearest') {
+      const nearest = this.findNearest(endpoint, body);
+      if (nearest) {
+        this.stats.nearest++;
+        this.stats.last_mismatch.served = nearest.fixture.key;
+        return this.respond(config, nearest.fixture);
+      }
+    }
+
+    throw new axios.AxiosError(
+      `No recorded fixture for ${endpoint} (key ${key}). Record it with PLAID_MODE=record or set PLAID_REPLAY_MISMATCH to passthrough or nearest`,
+      'ERR_FIXTURE_NOT_FOUND',
+      config
+    );
+  }
+
+  /**
+   * Apply the configured mode to an axios instance used by a Plaid client
+   */
+  attach(instance) {
+    if (this.mode === 'replay') {
+      const liveAdapter = axios.getAdapter(instance.defaults.adapter);
+      instance.defaults.adapter = (config) => this.replay(config, liveAdapter);
+    }
+
+    if (this.mode === 'record') {
+      instance.interceptors.response.use(
+        (response) => {
+          this.save(response.config, response);
+          return response;
+        },
+        (error) => {
+          // Plaid error responses are worth replaying too; network failures are not
+          if (error.config && error.response) {
+            this.save(error.config, error.response);
+          }
+          return Promise.reject(error);
+        }
+      );
+    }
+
+    return instance;
+  }
+
+  /**
+   * Number of fixtures on disk, counted once and then kept up to date by save()
+   */
+  countFixtures() {
+    if (this.fixtureCount !== null) return this.fixtureCount;
+    if (!fs.existsSync(this.dir)) return (this.fixtureCount = 0);
+
+    this.fixtureCount = fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .reduce((count, entry) => count + fs.readdirSync(path.join(this.dir, entry.name))
+        .filter(file => file.endsWith('.json')).length, 0);
+
+    return this.fixtureCount;
+  }
+
+  /**
+   * Mode, mismatch policy and fixture stats for /api/status
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      mismatch_policy: this.mismatchPolicy,
+      fixtures_dir: this.dir,
+      fixture_count: this.countFixtures(),
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const plaidFixtureService = new PlaidFixtureService();
+
+module.exports = plaidFixtureService;
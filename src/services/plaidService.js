@@ -8,6 +8,17 @@ class PlaidService {
     this.req = req;
   }
 
+  /**
+   * Create a service from stored itemStore credentials, for work done outside a user request (e.g. webhooks)
+   */
+  static forCredentials({ clientId, secret, environment }) {
+    return new PlaidService({
+      plaidClientId: clientId,
+      plaidSecret: secret,
+      plaidEnvironment: environment
+    });
+  }
+
   /**
    * Create a link token with customizable configuration
    */
@@ -84,6 +95,84 @@ class PlaidService {
     }
   }
 
+  /**
+   * Inspect a link token's sessions, results and exit status with /link/token/get
+   */
+  async getLinkToken(linkToken) {
+    const response = await this.client.linkTokenGet({
+      link_token: linkToken
+    });
+
+    const linkSessions = (response.data.link_sessions || []).map(session => {
+      const results = session.results || {};
+      const itemAddResults = results.item_add_results || [];
+      const layerResults = results.layer_results || [];
+      const exit = session.exit || null;
+
+      // Public tokens appear on item add results, and on on_success for older sessions
+      const publicTokens = [...new Set([
+        ...itemAddResults.map(result => result.public_token),
+        session.on_success?.public_token
+      ].filter(Boolean))];
+
+      let status = 'in_progress';
+      if (publicTokens.length > 0 || layerResults.length > 0) {
+        status = 'success';
+      } else if (exit || session.on_exit || session.finished_at) {
+        status = 'exited';
+      }
+
+      return {
+        link_session_id: session.link_session_id,
+        started_at: session.started_at || null,
+        finished_at: session.finished_at || null,
+        status,
+        exit_status: exit?.metadata?.status || session.on_exit?.status || null,
+        error: exit?.error || session.on_exit?.error || null,
+        public_tokens: publicTokens,
+        item_add_results: itemAddResults.map(result => ({
+          public_token: result.public_token,
+          institution: result.institution || null,
+          accounts: result.accounts || []
+        })),
+        layer_results: layerResults,
+        success_metadata: session.on_success?.metadata || (itemAddResults[0] ? {
+          institution: itemAddResults[0].institution || null,
+          accounts: itemAddResults[0].accounts || [],
+          link_session_id: session.link_session_id
+        } : null),
+        event_count: (session.events || []).length
+      };
+    });
+
+    // Most recent completed session wins
+    const completedSessions = linkSessions
+      .filter(session => session.status === 'success')
+      .sort((a, b) => new Date(b.finished_at || b.started_at) - new Date(a.finished_at || a.started_at));
+    const latest = completedSessions[0] || null;
+
+    const lastExited = linkSessions.filter(session => session.status === 'exited').pop() || null;
+
+    return {
+      link_token: response.data.link_token,
+      created_at: response.data.created_at,
+      expiration: response.data.expiration,
+      has_completed_session: completedSessions.length > 0,
+      public_token: latest?.public_tokens[0] || null,
+      public_tokens: linkSessions.flatMap(session => session.public_tokens),
+      metadata: latest?.success_metadata || null,
+      exit: lastExited ? {
+        link_session_id: lastExited.link_session_id,
+        status: lastExited.exit_status,
+        error: lastExited.error
+      } : null,
+      link_sessions: linkSessions,
+      link_token_metadata: response.data.metadata,
+      request_id: response.data.request_id,
+      raw_response: response.data
+    };
+  }
+
   /**
    * Exchange public token for access token
    */
@@ -98,6 +187,157 @@ class PlaidService {
     };
   }
 
+  /**
+   * Create a sandbox public token without opening Link (sandbox only)
+   */
+  async createSandboxPublicToken(institutionId, initialProducts, options = {}) {
+    const { overrideUsername = null, overridePassword = null } = options;
+
+    const request = {
+      institution_id: institutionId,
+      initial_products: initialProducts,
+      options: {
+        webhook: `${BASE_URL}/webhooks`
+      }
+    };
+
+    if (overrideUsername) {
+      request.options.override_username = overrideUsername;
+    }
+    if (overridePassword) {
+      request.options.override_password = overridePassword;
+    }
+
+    const response = await this.client.sandboxPublicTokenCreate(request);
+
+    return {
+      public_token: response.data.public_token,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Get the public key Plaid used to sign a webhook's Plaid-Verification JWT
+   */
+  async getWebhookVerificationKey(keyId) {
+    const response = await this.client.webhookVerificationKeyGet({
+      key_id: keyId
+    });
+
+    return response.data.key;
+  }
+
+  /**
+   * Force an item into ITEM_LOGIN_REQUIRED with /sandbox/item/reset_login (sandbox only)
+   */
+  async resetSandboxLogin(accessToken) {
+    const response = await this.client.sandboxItemResetLogin({
+      access_token: accessToken
+    });
+
+    return {
+      reset_login: response.data.reset_login,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Create a Layer session token for a Layer template
+   */
+  async createSessionToken(templateId, clientUserId) {
+    const response = await this.client.sessionTokenCreate({
+      template_id: templateId,
+      user: {
+        client_user_id: clientUserId
+      },
+      redirect_uri: `${BASE_URL}/oauth-redirect`,
+      webhook: `${BASE_URL}/webhooks`
+    });
+
+    return {
+      link: response.data.link || null,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Get the results of a completed Layer session
+   */
+  async getUserAccountSession(publicToken) {
+    const response = await this.client.userAccountSessionGet({
+      public_token: publicToken
+    });
+
+    const items = response.data.items || [];
+
+    return {
+      identity: response.data.identity || null,
+      items,
+      access_tokens: items.map(item => item.access_token).filter(Boolean),
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Get item details for an access token
+   */
+  async getItem(accessToken) {
+    const response = await this.client.itemGet({
+      access_token: accessToken,
+    });
+
+    const item = response.data.item;
+
+    return {
+      item_id: item.item_id,
+      institution_id: item.institution_id || null,
+      institution_name: item.institution_name || null,
+      products: item.products || [],
+      billed_products: item.billed_products || [],
+      available_products: item.available_products || [],
+      webhook: item.webhook || null,
+      error: item.error || null,
+      status: response.data.status || null
+    };
+  }
+
+  /**
+   * Point an item's webhook at a URL (defaults to this kit's /webhooks endpoint)
+   */
+  async updateItemWebhook(accessToken, webhook = `${BASE_URL}/webhooks`) {
+    const response = await this.client.itemWebhookUpdate({
+      access_token: accessToken,
+      webhook
+    });
+
+    return {
+      item_id: response.data.item.item_id,
+      webhook: response.data.item.webhook || null,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Fire a test webhook for an item with /sandbox/item/fire_webhook (sandbox only)
+   */
+  async fireSandboxWebhook(accessToken, webhookCode, webhookType = null) {
+    const request = {
+      access_token: accessToken,
+      webhook_code: webhookCode
+    };
+
+    if (webhookType) {
+      request.webhook_type = webhookType;
+    }
+
+    const response = await this.client.sandboxItemFireWebhook(request);
+
+    return {
+      webhook_fired: response.data.webhook_fired,
+      request_id: response.data.request_id
+    };
+  }
+
   /**
    * Get account information
    */
@@ -344,18 +584,461 @@ class PlaidService {
     };
   }
 
+  /**
+   * Page through /transactions/sync starting from a saved cursor.
+   * Restarts from the original cursor if Plaid reports the data changed mid-pagination.
+   */
+  async syncTransactions(accessToken, cursor = null, options = {}) {
+    const { count = 100, maxRestarts = 3 } = options;
+
+    let added = [];
+    let modified = [];
+    let removed = [];
+    let pages = [];
+    let nextCursor = cursor;
+    let hasMore = true;
+    let restarts = 0;
+    let lastPage = null;
+
+    while (hasMore) {
+      try {
+        const response = await this.client.transactionsSync({
+          access_token: accessToken,
+          cursor: nextCursor || undefined,
+          count
+        });
+
+        lastPage = response.data;
+        pages.push(lastPage);
+
+        added = added.concat(lastPage.added);
+        modified = modified.concat(lastPage.modified);
+        removed = removed.concat(lastPage.removed);
+
+        nextCursor = lastPage.next_cursor;
+        hasMore = lastPage.has_more;
+      } catch (error) {
+        const errorCode = error.response?.data?.error_code;
+
+        if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && restarts < maxRestarts) {
+          // Discard everything from this pass and start over from the original cursor
+          restarts++;
+          added = [];
+          modified = [];
+          removed = [];
+          pages = [];
+          nextCursor = cursor;
+          hasMore = true;
+          continue;
+        }
+
+        throw error;
+      }
+    }
+
+    return {
+      added,
+      modified,
+      removed,
+      previous_cursor: cursor || null,
+      next_cursor: nextCursor,
+      page_count: pages.length,
+      restarts,
+      transactions_update_status: lastPage?.transactions_update_status || null,
+      accounts: lastPage?.accounts || [],
+      request_ids: pages.map(page => page.request_id),
+      raw_response: pages.length === 1 ? pages[0] : { pages }
+    };
+  }
+
+  /**
+   * Resolve an optional account index to an account for request filtering.
+   * Returns null when no index is given so the request covers every account.
+   */
+  async getSelectedAccount(accessToken, accountIndex = null) {
+    if (accountIndex === null || accountIndex === undefined) {
+      return null;
+    }
+
+    const accounts = await this.getAccounts(accessToken);
+
+    if (accounts.length === 0) {
+      throw new Error('No accounts found');
+    }
+
+    if (accountIndex >= accounts.length) {
+      throw new Error(`Selected account index ${accountIndex} is out of range`);
+    }
+
+    return accounts[accountIndex];
+  }
+
+  /**
+   * Test investments holdings endpoint, joining each holding to its security
+   */
+  async testInvestmentsHoldings(accessToken, accountIndex = null) {
+    const selectedAccount = await this.getSelectedAccount(accessToken, accountIndex);
+
+    const request = { access_token: accessToken };
+    if (selectedAccount) {
+      request.options = { account_ids: [selectedAccount.account_id] };
+    }
+
+    const response = await this.client.investmentsHoldingsGet(request);
+    const { accounts, holdings, securities } = response.data;
+
+    const securityMap = new Map(securities.map(security => [security.security_id, security]));
+    const accountMap = new Map(accounts.map(account => [account.account_id, account]));
+
+    return {
+      selected_account: selectedAccount,
+      holdings: holdings.map(holding => {
+        const security = securityMap.get(holding.security_id) || {};
+        const account = accountMap.get(holding.account_id) || {};
+
+        return {
+          account_id: holding.account_id,
+          account_name: account.name || null,
+          security_id: holding.security_id,
+          security_name: security.name || null,
+          ticker_symbol: security.ticker_symbol || null,
+          security_type: security.type || null,
+          quantity: holding.quantity,
+          institution_price: holding.institution_price,
+          institution_price_as_of: holding.institution_price_as_of || null,
+          institution_value: holding.institution_value,
+          cost_basis: holding.cost_basis,
+          close_price: security.close_price ?? null,
+          iso_currency_code: holding.iso_currency_code || null,
+          unofficial_currency_code: holding.unofficial_currency_code || null
+        };
+      }),
+      account_count: accounts.length,
+      security_count: securities.length,
+      item_id: response.data.item?.item_id || null,
+      request_id: response.data.request_id,
+      raw_response: response.data
+    };
+  }
+
+  /**
+   * Test investments transactions endpoint over a date range, paging until all are loaded
+   */
+  async testInvestmentsTransactions(accessToken, startDate, endDate, accountIndex = null) {
+    const selectedAccount = await this.getSelectedAccount(accessToken, accountIndex);
+    const pageSize = 500;
+
+    const options = { count: pageSize, offset: 0 };
+    if (selectedAccount) {
+      options.account_ids = [selectedAccount.account_id];
+    }
+
+    let investmentTransactions = [];
+    let securities = [];
+    let total = 0;
+    const pages = [];
+
+    do {
+      const response = await this.client.investmentsTransactionsGet({
+        access_token: accessToken,
+        start_date: startDate,
+        end_date: endDate,
+        options: { ...options, offset: investmentTransactions.length }
+      });
+
+      pages.push(response.data);
+      investmentTransactions = investmentTransactions.concat(response.data.investment_transactions);
+      securities = securities.concat(response.data.securities);
+      total = response.data.total_investment_transactions;
+
+      if (response.data.investment_transactions.length === 0) break;
+    } while (investmentTransactions.length < total);
+
+    const securityMap = new Map(securities.map(security => [security.security_id, security]));
+    const firstPage = pages[0];
+    const accountMap = new Map(firstPage.accounts.map(account => [account.account_id, account]));
+
+    return {
+      selected_account: selectedAccount,
+      start_date: startDate,
+      end_date: endDate,
+      total_investment_transactions: total,
+      investment_transactions: investmentTransactions.map(txn => {
+        const security = securityMap.get(txn.security_id) || {};
+        const account = accountMap.get(txn.account_id) || {};
+
+        return {
+          investment_transaction_id: txn.investment_transaction_id,
+          account_id: txn.account_id,
+          account_name: account.name || null,
+          date: txn.date,
+          name: txn.name,
+          type: txn.type,
+          subtype: txn.subtype,
+          security_name: security.name || null,
+          ticker_symbol: security.ticker_symbol || null,
+          quantity: txn.quantity,
+          price: txn.price,
+          fees: txn.fees ?? null,
+          amount: txn.amount,
+          iso_currency_code: txn.iso_currency_code || null,
+          unofficial_currency_code: txn.unofficial_currency_code || null
+        };
+      }),
+      item_id: firstPage.item?.item_id || null,
+      request_id: firstPage.request_id,
+      raw_response: pages.length === 1 ? firstPage : { pages }
+    };
+  }
+
+  /**
+   * Test liabilities endpoint, breaking the response out by credit, mortgage and student loan
+   */
+  async testLiabilities(accessToken, accountIndex = null) {
+    const selectedAccount = await this.getSelectedAccount(accessToken, accountIndex);
+
+    const request = { access_token: accessToken };
+    if (selectedAccount) {
+      request.options = { account_ids: [selectedAccount.account_id] };
+    }
+
+    const response = await this.client.liabilitiesGet(request);
+
+    const accountMap = new Map(response.data.accounts.map(account => [account.account_id, account]));
+    const liabilities = response.data.liabilities || {};
+
+    const describeAccount = (accountId) => {
+      const account = accountMap.get(accountId) || {};
+      return {
+        account_id: accountId,
+        account_name: account.name || null,
+        account_mask: account.mask || null,
+        current_balance: account.balances?.current ?? null,
+        iso_currency_code: account.balances?.iso_currency_code || null
+      };
+    };
+
+    const credit = (liabilities.credit || []).map(card => ({
+      ...describeAccount(card.account_id),
+      aprs: (card.aprs || []).map(apr => ({
+        apr_type: apr.apr_type,
+        apr_percentage: apr.apr_percentage,
+        balance_subject_to_apr: apr.balance_subject_to_apr ?? null,
+        interest_charge_amount: apr.interest_charge_amount ?? null
+      })),
+      is_overdue: card.is_overdue,
+      minimum_payment_amount: card.minimum_payment_amount,
+      next_payment_due_date: card.next_payment_due_date,
+      last_payment_amount: card.last_payment_amount,
+      last_payment_date: card.last_payment_date,
+      last_statement_balance: card.last_statement_balance,
+      last_statement_issue_date: card.last_statement_issue_date
+    }));
+
+    const mortgage = (liabilities.mortgage || []).map(loan => ({
+      ...describeAccount(loan.account_id),
+      loan_type_description: loan.loan_type_description,
+      loan_term: loan.loan_term,
+      interest_rate: {
+        percentage: loan.interest_rate?.percentage ?? null,
+        type: loan.interest_rate?.type || null
+      },
+      escrow_balance: loan.escrow_balance,
+      has_pmi: loan.has_pmi,
+      has_prepayment_penalty: loan.has_prepayment_penalty,
+      next_monthly_payment: loan.next_monthly_payment,
+      next_payment_due_date: loan.next_payment_due_date,
+      past_due_amount: loan.past_due_amount,
+      ytd_interest_paid: loan.ytd_interest_paid,
+      ytd_principal_paid: loan.ytd_principal_paid,
+      origination_date: loan.origination_date,
+      origination_principal_amount: loan.origination_principal_amount,
+      maturity_date: loan.maturity_date,
+      property_address: loan.property_address || null
+    }));
+
+    const student = (liabilities.student || []).map(loan => ({
+      ...describeAccount(loan.account_id),
+      loan_name: loan.loan_name,
+      interest_rate_percentage: loan.interest_rate_percentage,
+      repayment_plan: {
+        type: loan.repayment_plan?.type || null,
+        description: loan.repayment_plan?.description || null
+      },
+      loan_status: {
+        type: loan.loan_status?.type || null,
+        end_date: loan.loan_status?.end_date || null
+      },
+      is_overdue: loan.is_overdue,
+      minimum_payment_amount: loan.minimum_payment_amount,
+      next_payment_due_date: loan.next_payment_due_date,
+      outstanding_interest_amount: loan.outstanding_interest_amount,
+      expected_payoff_date: loan.expected_payoff_date,
+      ytd_interest_paid: loan.ytd_interest_paid,
+      ytd_principal_paid: loan.ytd_principal_paid,
+      origination_date: loan.origination_date,
+      origination_principal_amount: loan.origination_principal_amount,
+      pslf_status: loan.pslf_status || null
+    }));
+
+    return {
+      selected_account: selectedAccount,
+      credit,
+      mortgage,
+      student,
+      liability_count: credit.length + mortgage.length + student.length,
+      item_id: response.data.item?.item_id || null,
+      request_id: response.data.request_id,
+      raw_response: response.data
+    };
+  }
+
+  /**
+   * Create an Asset Report for one or more items.
+   * Plaid notifies the kit's /webhooks endpoint with PRODUCT_READY once it can be fetched.
+   */
+  async createAssetReport(accessTokens, daysRequested, options = {}) {
+    const { clientReportId = null, user = null } = options;
+
+    const request = {
+      access_tokens: accessTokens,
+      days_requested: daysRequested,
+      options: {
+        webhook: `${BASE_URL}/webhooks`
+      }
+    };
+
+    if (clientReportId) request.options.client_report_id = clientReportId;
+    if (user) request.options.user = user;
+
+    const response = await this.client.assetReportCreate(request);
+
+    return {
+      asset_report_token: response.data.asset_report_token,
+      asset_report_id: response.data.asset_report_id,
+      request_id: response.data.request_id,
+      request: { ...request, access_tokens: accessTokens.map(() => '[REDACTED]') }
+    };
+  }
+
+  /**
+   * Get an Asset Report and summarize its items and accounts
+   */
+  async getAssetReport(assetReportToken, options = {}) {
+    const { includeInsights = false } = options;
+
+    const response = await this.client.assetReportGet({
+      asset_report_token: assetReportToken,
+      include_insights: includeInsights
+    });
+
+    const report = response.data.report;
+
+    return {
+      report: {
+        asset_report_id: report.asset_report_id,
+        client_report_id: report.client_report_id || null,
+        date_generated: report.date_generated,
+        days_requested: report.days_requested,
+        items: report.items.map(item => ({
+          item_id: item.item_id,
+          institution_name: item.institution_name,
+          date_last_updated: item.date_last_updated,
+          accounts: item.accounts.map(account => ({
+            account_id: account.account_id,
+            name: account.name,
+            mask: account.mask || null,
+            type: account.type,
+            subtype: account.subtype,
+            current_balance: account.balances?.current ?? null,
+            iso_currency_code: account.balances?.iso_currency_code || null,
+            days_available: account.days_available,
+            transaction_count: (account.transactions || []).length,
+            historical_balance_count: (account.historical_balances || []).length,
+            owner_names: (account.owners || []).flatMap(owner => owner.names || [])
+          }))
+        }))
+      },
+      warnings: response.data.warnings || [],
+      request_id: response.data.request_id,
+      raw_response: response.data
+    };
+  }
+
+  /**
+   * Download the PDF version of an Asset Report
+   */
+  async getAssetReportPdf(assetReportToken) {
+    const response = await this.client.assetReportPdfGet(
+      { asset_report_token: assetReportToken },
+      { responseType: 'arraybuffer' }
+    );
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Refresh an Asset Report, producing a new report token
+   */
+  async refreshAssetReport(assetReportToken, daysRequested = null) {
+    const request = {
+      asset_report_token: assetReportToken,
+      options: {
+        webhook: `${BASE_URL}/webhooks`
+      }
+    };
+
+    if (daysRequested !== null) request.days_requested = daysRequested;
+
+    const response = await this.client.assetReportRefresh(request);
+
+    return {
+      asset_report_token: response.data.asset_report_token,
+      asset_report_id: response.data.asset_report_id,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Create an audit copy of an Asset Report for a third-party auditor
+   */
+  async createAssetReportAuditCopy(assetReportToken, auditorId) {
+    const response = await this.client.assetReportAuditCopyCreate({
+      asset_report_token: assetReportToken,
+      auditor_id: auditorId
+    });
+
+    return {
+      audit_copy_token: response.data.audit_copy_token,
+      request_id: response.data.request_id
+    };
+  }
+
+  /**
+   * Remove an Asset Report so it can no longer be fetched
+   */
+  async removeAssetReport(assetReportToken) {
+    const response = await this.client.assetReportRemove({
+      asset_report_token: assetReportToken
+    });
+
+    return {
+      removed: response.data.removed,
+      request_id: response.data.request_id
+    };
+  }
+
   /**
    * Validate credentials by creating a test link token
    */
   async validateCredentials(clientId, secret, environment) {
-    const { PlaidApi, PlaidEnvironments, Configuration } = require('plaid');
-    
-    const plaidEnvironments = {
-      'sandbox': PlaidEnvironments.sandbox
-    };
+    const { PlaidApi, Configuration } = require('plaid');
+    const axios = require('axios');
+    const { getPlaidBasePath } = require('../config/plaid');
+    const plaidFixtureService = require('./plaidFixtureService');
 
     const testConfig = new Configuration({
-      basePath: plaidEnvironments[environment],
+      basePath: getPlaidBasePath(environment),
       baseOptions: {
         headers: {
           'PLAID-CLIENT-ID': clientId,
@@ -364,7 +1047,8 @@ class PlaidService {
       },
     });
 
-    const testClient = new PlaidApi(testConfig);
+    // Not logged for the Inspector, but recorded and replayed so logging in works offline
+    const testClient = new PlaidApi(testConfig, undefined, plaidFixtureService.attach(axios.create()));
 
     // Try creating a link token to validate credentials
     await testClient.linkTokenCreate({
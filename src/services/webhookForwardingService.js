@@ -0,0 +1,402 @@
+// src/services/webhookForwardingService.js
+const { EventEmitter } = require('events');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { BASE_URL, WEBHOOK_FORWARD_ALLOWED_HOSTS } = require('../config/environment');
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000; // 1s, 2s, 4s, 8s between attempts
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_DELIVERY_LOG = 500;
+const MAX_DEAD_LETTERS = 200;
+
+// Set on re-posted webhooks so a rule pointing back at a kit never forwards in a loop
+const FORWARDED_HEADER = 'x-plaid-test-kit-forwarded';
+
+// Loopback, link-local, private and other non-public ranges, unreachable unless WEBHOOK_FORWARD_ALLOWED_HOSTS lists the host.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// Headers that describe the inbound connection rather than the webhook itself
+const HOP_BY_HOP_HEADERS = [
+  'host',
+  'connection',
+  'keep-alive',
+  'content-length',
+  'transfer-encoding',
+  'upgrade',
+  'cookie',
+  'accept-encoding',
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-real-ip'
+];
+
+class WebhookForwardingService extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = [];
+    this.deliveryLog = [];
+    this.deadLetters = [];
+    this.nextRuleId = 1;
+    this.nextDeliveryId = 1;
+  }
+
+  /**
+   * Keep the inbound headers worth re-posting (content type, Plaid-Verification, user agent, ...)
+   */
+  forwardableHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase()))
+    );
+  }
+
+  /**
+   * Validate a forwarding target URL
+   */
+  validateTargetUrl(targetUrl) {
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch (error) {
+      throw this.validationError('target_url must be a valid URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw this.validationError('target_url must use http or https');
+    }
+
+    if (url.href.replace(/\/$/, '') === `${BASE_URL}/webhooks`) {
+      throw this.validationError('target_url cannot be this kit\'s own webhook endpoint');
+    }
+
+    const host = this.targetHost(url);
+    if (!this.isAllowedHost(host) && (host === 'localhost' || host.endsWith('.localhost') || this.isPrivateAddress(host))) {
+      throw this.validationError(`target_url cannot point at a loopback, link-local or private address (${host}) unless WEBHOOK_FORWARD_ALLOWED_HOSTS lists it`);
+    }
+
+    return url.href;
+  }
+
+  /**
+   * Hostname of a target URL without IPv6 brackets or a trailing dot (localhost. is localhost)
+   */
+  targetHost(url) {
+    return url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.+$/, '');
+  }
+
+  isAllowedHost(host) {
+    return WEBHOOK_FORWARD_ALLOWED_HOSTS.includes(host);
+  }
+
+  /**
+   * Whether an IP address is in a loopback, link-local or private range (hostnames are not)
+   */
+  isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * dns.lookup that refuses private addresses, so a public hostname cannot resolve to an internal target
+   */
+  publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => this.isPrivateAddress(entry.address));
+      if (blocked) {
+        return callback(new Error(`${hostname} resolves to private address ${blocked.address}; add it to WEBHOOK_FORWARD_ALLOWED_HOSTS to forward there`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Normalize a filter given as an array or comma-separated string
+   */
+  parseFilter(value, upperCase = false) {
+    const values = Array.isArray(value) ? value : String(value || '').split(',');
+    return values
+      .map(v => String(v).trim())
+      .filter(Boolean)
+      .map(v => upperCase ? v.toUpperCase() : v);
+  }
+
+  /**
+   * Add a forwarding rule owned by a client
+   */
+  addRule(clientId, { target_url, webhook_types, item_ids, enabled = true }) {
+    const rule = {
+      rule_id: `rule_${this.nextRuleId++}`,
+      clientId,
+      target_url: this.validateTargetUrl(target_url),
+      webhook_types: this.parseFilter(webhook_types, true),
+      item_ids: this.parseFilter(item_ids),
+      enabled: enabled !== false,
+      created_at: new Date().toISOString()
+    };
+
+    this.rules.push(rule);
+    console.log(`📮 Forwarding rule ${rule.rule_id} added for client ${clientId}: ${rule.target_url}`);
+
+    return rule;
+  }
+
+  /**
+   * Find one of a client's rules
+   */
+  getRule(ruleId, clientId) {
+    const rule = this.rules.find(r => r.rule_id === ruleId && r.clientId === clientId);
+    if (!rule) {
+      throw this.validationError(`Unknown forwarding rule: ${ruleId}`);
+    }
+    return rule;
+  }
+
+  /**
+   * Update a rule's target, filters or enabled flag
+   */
+  updateRule(ruleId, clientId, changes = {}) {
+    const rule = this.getRule(ruleId, clientId);
+
+    if (changes.target_url !== undefined) rule.target_url = this.validateTargetUrl(changes.target_url);
+    if (changes.webhook_types !== undefined) rule.webhook_types = this.parseFilter(changes.webhook_types, true);
+    if (changes.item_ids !== undefined) rule.item_ids = this.parseFilter(changes.item_ids);
+    if (changes.enabled !== undefined) rule.enabled = changes.enabled !== false;
+
+    return rule;
+  }
+
+  /**
+   * Delete a rule (deliveries already in flight still finish)
+   */
+  deleteRule(ruleId, clientId) {
+    const rule = this.getRule(ruleId, clientId);
+    this.rules = this.rules.filter(r => r !== rule);
+    return rule;
+  }
+
+  getRules(clientId) {
+    return this.rules.filter(r => r.clientId === clientId);
+  }
+
+  ruleMatches(rule, webhook) {
+    return rule.enabled &&
+      rule.clientId === webhook.clientId &&
+      (rule.webhook_types.length === 0 || rule.webhook_types.includes(webhook.webhook_type)) &&
+      (rule.item_ids.length === 0 || rule.item_ids.includes(webhook.item_id));
+  }
+
+  /**
+   * Start a delivery for every enabled rule matching a stored webhook
+   */
+  forward(webhook, rawBody, headers = {}) {
+    if (headers[FORWARDED_HEADER]) {
+      return [];
+    }
+
+    const body = typeof rawBody === 'string' ? rawBody : JSON.stringify(webhook.data);
+    return this.rules
+      .filter(rule => this.ruleMatches(rule, webhook))
+      .map(rule => this.startDelivery(webhook, rule, body, this.forwardableHeaders(headers)));
+  }
+
+  /**
+   * Create a delivery record on the webhook entry and make the first attempt
+   */
+  startDelivery(webhook, rule, body, headers) {
+    const delivery = {
+      delivery_id: `dlv_${this.nextDeliveryId++}`,
+      webhook_id: webhook.id,
+      clientId: webhook.clientId,
+      rule_id: rule.rule_id,
+      target_url: rule.target_url,
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: null,
+      delivered_at: null,
+      created_at: new Date().toISOString()
+    };
+
+    webhook.deliveries = webhook.deliveries || [];
+    webhook.deliveries.push(delivery);
+
+    this.deliveryLog.push(delivery);
+    if (this.deliveryLog.length > MAX_DELIVERY_LOG) {
+      this.deliveryLog.shift();
+    }
+
+    this.attemptDelivery(webhook, delivery, body, headers);
+    return delivery;
+  }
+
+  /**
+   * Post once; on failure schedule the next attempt with exponential backoff or dead-letter it
+   */
+  async attemptDelivery(webhook, delivery, body, headers) {
+    const attempt = {
+      attempt: delivery.attempts.length + 1,
+      sent_at: new Date().toISOString(),
+      status_code: null,
+      error: null,
+      duration_ms: null
+    };
+    const started = Date.now();
+
+    try {
+      const response = await this.post(delivery.target_url, body, {
+        ...headers,
+        'content-type': headers['content-type'] || 'application/json',
+        [FORWARDED_HEADER]: delivery.rule_id
+      });
+      attempt.status_code = response.statusCode;
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        attempt.error = `Target responded with HTTP ${response.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.duration_ms = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = new Date().toISOString();
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts.length < MAX_ATTEMPTS) {
+      const delay = BASE_BACKOFF_MS * Math.pow(2, delivery.attempts.length - 1);
+      delivery.status = 'retrying';
+      delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+      setTimeout(() => this.attemptDelivery(webhook, delivery, body, headers), delay).unref();
+    } else {
+      delivery.status = 'dead_letter';
+      delivery.next_attempt_at = null;
+      this.addDeadLetter(webhook, delivery, body, headers);
+    }
+
+    console.log(`📮 Forward ${delivery.delivery_id} attempt ${attempt.attempt} to ${delivery.target_url}: ${attempt.error || `HTTP ${attempt.status_code}`}`);
+    this.emit('delivery', webhook, delivery);
+  }
+
+  /**
+   * Keep a delivery that ran out of attempts so it can be inspected and retried
+   */
+  addDeadLetter(webhook, delivery, body, headers) {
+    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+    this.deadLetters.push({
+      delivery_id: delivery.delivery_id,
+      webhook_id: webhook.id,
+      clientId: webhook.clientId,
+      rule_id: delivery.rule_id,
+      target_url: delivery.target_url,
+      webhook_type: webhook.webhook_type,
+      item_id: webhook.item_id,
+      attempts: delivery.attempts.length,
+      last_error: lastAttempt?.error || null,
+      dead_at: new Date().toISOString(),
+      body,
+      headers
+    });
+
+    if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+      this.deadLetters.shift();
+    }
+  }
+
+  getDeadLetters(clientId) {
+    return this.deadLetters.filter(d => d.clientId === clientId);
+  }
+
+  /**
+   * Retry a dead-lettered delivery from scratch, to the same target.
+   * resolveWebhook(webhookId) returns the stored entry to attach the new delivery to.
+   */
+  retryDeadLetter(deliveryId, clientId, resolveWebhook) {
+    const deadLetter = this.deadLetters.find(d => d.delivery_id === deliveryId && d.clientId === clientId);
+    if (!deadLetter) {
+      throw this.validationError(`Unknown dead letter: ${deliveryId}`);
+    }
+
+    this.deadLetters = this.deadLetters.filter(d => d !== deadLetter);
+
+    const webhook = resolveWebhook(deadLetter.webhook_id) || {
+      id: deadLetter.webhook_id,
+      clientId: deadLetter.clientId,
+      webhook_type: deadLetter.webhook_type,
+      item_id: deadLetter.item_id
+    };
+    const rule = { rule_id: deadLetter.rule_id, target_url: deadLetter.target_url };
+    return this.startDelivery(webhook, rule, deadLetter.body, deadLetter.headers);
+  }
+
+  clearDeadLetters(clientId) {
+    const before = this.deadLetters.length;
+    this.deadLetters = this.deadLetters.filter(d => d.clientId !== clientId);
+    return before - this.deadLetters.length;
+  }
+
+  /**
+   * Recent deliveries for a client, newest first
+   */
+  getDeliveryLog(clientId, limit = 100) {
+    return this.deliveryLog
+      .filter(d => d.clientId === clientId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * POST a body to a URL, resolving with the status code
+   */
+  post(targetUrl, body, headers) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(targetUrl);
+      const transport = url.protocol === 'https:' ? https : http;
+
+      // Checked again on every attempt: the allowlist may have changed since the rule was added
+      const host = this.targetHost(url);
+      const allowed = this.isAllowedHost(host);
+      if (!allowed && this.isPrivateAddress(host)) {
+        reject(new Error(`${host} is a private address; add it to WEBHOOK_FORWARD_ALLOWED_HOSTS to forward there`));
+        return;
+      }
+
+      const request = transport.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        timeout: REQUEST_TIMEOUT_MS,
+        ...(allowed ? {} : { lookup: (hostname, options, callback) => this.publicLookup(hostname, options, callback) })
+      }, (response) => {
+        response.resume(); // Only the status matters
+        response.on('end', () => resolve({ statusCode: response.statusCode }));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+// Create singleton instance
+const webhookForwardingService = new WebhookForwardingService();
+
+module.exports = webhookForwardingService;
@@ -0,0 +1,241 @@
+// src/services/webhookReactionService.js
+const { EventEmitter } = require('events');
+const PlaidService = require('./plaidService');
+const { itemStore } = require('../storage/itemStore');
+
+const SAMPLE_SIZE = 10; // Rows kept from each follow-up call's result
+
+// Follow-up calls a client can opt in to, keyed by the webhooks that trigger them
+const REACTIONS = [
+  {
+    reaction: 'transactions_sync',
+    webhook_type: 'TRANSACTIONS',
+    webhook_codes: ['SYNC_UPDATES_AVAILABLE', 'DEFAULT_UPDATE'],
+    endpoint: '/transactions/sync',
+    description: 'Sync new transactions from the last cursor this reaction saw'
+  },
+  {
+    reaction: 'asset_report_get',
+    webhook_type: 'ASSETS',
+    webhook_codes: ['PRODUCT_READY'],
+    endpoint: '/asset_report/get',
+    description: 'Fetch the Asset Report once it is ready'
+  },
+  {
+    reaction: 'holdings_get',
+    webhook_type: 'HOLDINGS',
+    webhook_codes: ['DEFAULT_UPDATE'],
+    endpoint: '/investments/holdings/get',
+    description: 'Fetch the updated investment holdings'
+  }
+];
+
+class WebhookReactionService extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = new Map(); // clientId -> Set of reaction names
+    this.cursors = new Map(); // item_id -> /transactions/sync cursor
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * List the available reactions and whether the client has turned each one on
+   */
+  getSettings(clientId) {
+    const enabled = this.enabled.get(clientId) || new Set();
+    return REACTIONS.map(reaction => ({ ...reaction, enabled: enabled.has(reaction.reaction) }));
+  }
+
+  /**
+   * Replace the set of reactions a client has opted in to
+   */
+  setEnabled(clientId, reactions = []) {
+    if (!Array.isArray(reactions)) {
+      throw this.validationError('reactions must be an array of reaction names');
+    }
+
+    const unknown = reactions.filter(name => !REACTIONS.some(r => r.reaction === name));
+    if (unknown.length > 0) {
+      throw this.validationError(`Unknown reaction: ${unknown.join(', ')}. Use one of: ${REACTIONS.map(r => r.reaction).join(', ')}`);
+    }
+
+    if (reactions.length === 0) {
+      this.enabled.delete(clientId);
+      this.revokeTokens(clientId);
+    } else {
+      this.enabled.set(clientId, new Set(reactions));
+    }
+
+    return this.getSettings(clientId);
+  }
+
+  isEnabled(clientId) {
+    return this.enabled.has(clientId);
+  }
+
+  /**
+   * Build an itemStore entry. Tokens are only kept once the client has opted in,
+   * since reactions are the only thing that calls Plaid outside the linking session.
+   */
+  itemStoreEntry(req, tokens = {}) {
+    return {
+      clientId: req.plaidClientId,
+      secret: req.plaidSecret,
+      environment: req.plaidEnvironment,
+      ...(this.isEnabled(req.plaidClientId) ? tokens : {})
+    };
+  }
+
+  /**
+   * Drop the access and asset report tokens shared for a client's items
+   */
+  revokeTokens(clientId) {
+    itemStore.keys().forEach(key => {
+      const entry = itemStore.get(key);
+      if (entry?.clientId === clientId && (entry.accessToken || entry.assetReportToken)) {
+        const { accessToken, assetReportToken, ...credentials } = entry;
+        itemStore.set(key, credentials);
+      }
+    });
+  }
+
+  /**
+   * Find the reaction an incoming webhook triggers for its client, if any
+   */
+  reactionFor(webhook) {
+    const enabled = this.enabled.get(webhook.clientId);
+    if (!enabled) return null;
+
+    return REACTIONS.find(reaction =>
+      enabled.has(reaction.reaction) &&
+      reaction.webhook_type === webhook.webhook_type &&
+      reaction.webhook_codes.includes(webhook.data?.webhook_code)
+    ) || null;
+  }
+
+  /**
+   * Attach a running reaction to a stored webhook and make the follow-up call in the background
+   */
+  react(webhook, itemInfo) {
+    const reaction = this.reactionFor(webhook);
+    if (!reaction) return null;
+
+    webhook.reaction = {
+      reaction: reaction.reaction,
+      endpoint: reaction.endpoint,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      result: null,
+      error: null
+    };
+
+    this.run(webhook, reaction, itemInfo);
+    return webhook.reaction;
+  }
+
+  async run(webhook, reaction, itemInfo) {
+    const state = webhook.reaction;
+    const started = Date.now();
+
+    try {
+      const handlers = {
+        transactions_sync: () => this.syncTransactions(webhook, itemInfo),
+        asset_report_get: () => this.getAssetReport(webhook, itemInfo),
+        holdings_get: () => this.getHoldings(webhook, itemInfo)
+      };
+      state.result = await handlers[reaction.reaction]();
+      state.status = 'succeeded';
+    } catch (error) {
+      const plaidError = error.response?.data;
+      state.status = error.skipped ? 'skipped' : 'failed';
+      state.error = plaidError?.error_code
+        ? `${plaidError.error_code}: ${plaidError.error_message}`
+        : error.message;
+    }
+
+    state.finished_at = new Date().toISOString();
+    state.duration_ms = Date.now() - started;
+
+    console.log(`⚡ Reaction ${reaction.reaction} for webhook #${webhook.id}: ${state.error || state.status}`);
+    this.emit('reaction', webhook, state);
+  }
+
+  /**
+   * Read a token the client shared with itemStore, or skip the reaction
+   */
+  requireToken(itemInfo, field, id) {
+    if (!itemInfo[field]) {
+      const error = new Error(`No token shared for ${id}; turn reactions on again while it is in your session`);
+      error.skipped = true;
+      throw error;
+    }
+    return itemInfo[field];
+  }
+
+  async syncTransactions(webhook, itemInfo) {
+    const accessToken = this.requireToken(itemInfo, 'accessToken', webhook.item_id);
+    const result = await PlaidService.forCredentials(itemInfo)
+      .syncTransactions(accessToken, this.cursors.get(webhook.item_id) || null);
+
+    this.cursors.set(webhook.item_id, result.next_cursor);
+
+    return {
+      added_count: result.added.length,
+      modified_count: result.modified.length,
+      removed_count: result.removed.length,
+      transactions_update_status: result.transactions_update_status,
+      previous_cursor: result.previous_cursor,
+      next_cursor: result.next_cursor,
+      added: result.added.slice(0, SAMPLE_SIZE).map(t => ({
+        transaction_id: t.transaction_id,
+        date: t.date,
+        name: t.name,
+        amount: t.amount
+      })),
+      request_ids: result.request_ids
+    };
+  }
+
+  async getAssetReport(webhook, itemInfo) {
+    const assetReportId = webhook.data.asset_report_id;
+    const assetReportToken = this.requireToken(itemInfo, 'assetReportToken', assetReportId);
+    const result = await PlaidService.forCredentials(itemInfo).getAssetReport(assetReportToken);
+
+    return {
+      report: result.report,
+      warnings: result.warnings,
+      request_id: result.request_id
+    };
+  }
+
+  async getHoldings(webhook, itemInfo) {
+    const accessToken = this.requireToken(itemInfo, 'accessToken', webhook.item_id);
+    const result = await PlaidService.forCredentials(itemInfo).testInvestmentsHoldings(accessToken);
+
+    return {
+      holding_count: result.holdings.length,
+      account_count: result.account_count,
+      security_count: result.security_count,
+      holdings: result.holdings.slice(0, SAMPLE_SIZE).map(h => ({
+        account_name: h.account_name,
+        security_name: h.security_name,
+        ticker_symbol: h.ticker_symbol,
+        quantity: h.quantity,
+        institution_value: h.institution_value
+      })),
+      request_id: result.request_id
+    };
+  }
+}
+
+// Create singleton instance
+const webhookReactionService = new WebhookReactionService();
+
+module.exports = webhookReactionService;
@@ -0,0 +1,138 @@
+// src/services/webhookRetentionService.js
+const {
+  WEBHOOK_RETENTION_HOURS,
+  WEBHOOK_MAX_ENTRIES,
+  WEBHOOK_STORE_MAX_ENTRIES,
+  WEBHOOK_PURGE_INTERVAL_SECONDS
+} = require('../config/environment');
+
+const MAX_RETENTION_HOURS = 24 * 30;
+
+class WebhookRetentionService {
+  constructor() {
+    this.defaults = {
+      retention_hours: WEBHOOK_RETENTION_HOURS,
+      max_entries: WEBHOOK_MAX_ENTRIES,
+      store_max_entries: WEBHOOK_STORE_MAX_ENTRIES
+    };
+    this.clientSettings = new Map(); // clientId -> { retention_hours, type_retention_hours, max_entries }
+    this.stats = {
+      runs: 0,
+      last_run_at: null,
+      last_run_duration_ms: null,
+      last_run_purged: 0,
+      next_run_at: null,
+      purged_total: 0,
+      purged_by_reason: { expired: 0, evicted: 0 }
+    };
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  parseHours(value, field) {
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_RETENTION_HOURS) {
+      throw this.validationError(`${field} must be more than 0 and at most ${MAX_RETENTION_HOURS} hours`);
+    }
+    return hours;
+  }
+
+  /**
+   * Effective settings for a client: its overrides on top of the environment defaults
+   */
+  getSettings(clientId) {
+    const settings = this.clientSettings.get(clientId) || {};
+
+    return {
+      retention_hours: settings.retention_hours || this.defaults.retention_hours,
+      type_retention_hours: settings.type_retention_hours || {},
+      max_entries: Math.min(settings.max_entries || this.defaults.max_entries, this.defaults.max_entries),
+      defaults: this.defaults
+    };
+  }
+
+  /**
+   * Update a client's retention; type_retention_hours maps webhook_type to hours (null removes an override)
+   */
+  setSettings(clientId, { retention_hours, type_retention_hours, max_entries }) {
+    const settings = { ...this.clientSettings.get(clientId) };
+
+    if (retention_hours !== undefined) {
+      settings.retention_hours = retention_hours === null ? null : this.parseHours(retention_hours, 'retention_hours');
+    }
+
+    if (type_retention_hours !== undefined) {
+      if (typeof type_retention_hours !== 'object' || Array.isArray(type_retention_hours)) {
+        throw this.validationError('type_retention_hours must map webhook types to hours');
+      }
+
+      settings.type_retention_hours = {};
+      Object.entries(type_retention_hours || {}).forEach(([type, hours]) => {
+        if (hours !== null && hours !== '') {
+          settings.type_retention_hours[type.toUpperCase()] = this.parseHours(hours, `type_retention_hours.${type}`);
+        }
+      });
+    }
+
+    if (max_entries !== undefined) {
+      const max = parseInt(max_entries);
+      if (max_entries !== null && (isNaN(max) || max < 1)) {
+        throw this.validationError('max_entries must be a positive number');
+      }
+      settings.max_entries = max_entries === null ? null : Math.min(max, this.defaults.max_entries);
+    }
+
+    this.clientSettings.set(clientId, settings);
+    return this.getSettings(clientId);
+  }
+
+  /**
+   * Pinned webhooks never expire; others expire after their type's (or the client's) retention
+   */
+  isExpired(webhook, now = Date.now()) {
+    if (webhook.pinned) return false;
+
+    const settings = this.getSettings(webhook.clientId);
+    const hours = settings.type_retention_hours[webhook.webhook_type] || settings.retention_hours;
+
+    return new Date(webhook.timestamp).getTime() <= now - hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Record the outcome of a purge run
+   */
+  recordPurge({ expired = 0, evicted = 0, startedAt = Date.now(), scheduled = false }) {
+    if (scheduled) {
+      this.stats.runs++;
+      this.stats.last_run_at = new Date(startedAt).toISOString();
+      this.stats.last_run_duration_ms = Date.now() - startedAt;
+      this.stats.last_run_purged = expired;
+      this.stats.next_run_at = new Date(startedAt + WEBHOOK_PURGE_INTERVAL_SECONDS * 1000).toISOString();
+    }
+
+    this.stats.purged_total += expired + evicted;
+    this.stats.purged_by_reason.expired += expired;
+    this.stats.purged_by_reason.evicted += evicted;
+  }
+
+  getStats() {
+    return { ...this.stats, purge_interval_seconds: WEBHOOK_PURGE_INTERVAL_SECONDS };
+  }
+
+  /**
+   * Run a purge callback on a fixed schedule instead of inside every read
+   */
+  schedule(purge) {
+    this.stats.next_run_at = new Date(Date.now() + WEBHOOK_PURGE_INTERVAL_SECONDS * 1000).toISOString();
+    setInterval(purge, WEBHOOK_PURGE_INTERVAL_SECONDS * 1000).unref();
+  }
+}
+
+// Create singleton instance
+const webhookRetentionService = new WebhookRetentionService();
+
+module.exports = webhookRetentionService;
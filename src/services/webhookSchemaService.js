@@ -0,0 +1,147 @@
+// src/services/webhookSchemaService.js
+const { WEBHOOK_CATALOG, ERROR_REMEDIATION } = require('../config/webhookCatalog');
+
+class WebhookSchemaService {
+  constructor() {
+    this.catalog = new Map(WEBHOOK_CATALOG.map(entry => [this.key(entry.webhook_type, entry.webhook_code), entry]));
+  }
+
+  key(webhookType, webhookCode) {
+    return `${webhookType}:${webhookCode}`;
+  }
+
+  /**
+   * Look up the catalog entry for a payload's webhook_type and webhook_code
+   */
+  getEntry(payload) {
+    return this.catalog.get(this.key(payload.webhook_type, payload.webhook_code)) || null;
+  }
+
+  /**
+   * List the catalog without its summary functions
+   */
+  getCatalog() {
+    return WEBHOOK_CATALOG.map(({ summarize, ...entry }) => entry);
+  }
+
+  /**
+   * JSON type name of a value, distinguishing integer, array and null
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against the JSON Schema subset the catalog uses
+   * (type, const, enum, required, properties, additionalProperties, items, minimum)
+   */
+  check(value, schema, path, differences) {
+    if ('const' in schema && value !== schema.const) {
+      differences.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      differences.push({ path, message: `expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+      return;
+    }
+
+    if (schema.type) {
+      const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = this.typeOf(value);
+      const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+      if (!matches) {
+        differences.push({ path, message: `expected ${allowed.join(' or ')}, got ${actual}` });
+        return;
+      }
+      if (actual === 'null') return;
+    }
+
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+      differences.push({ path, message: `expected at least ${schema.minimum}, got ${value}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, differences));
+    }
+
+    if (this.typeOf(value) === 'object') {
+      (schema.required || []).forEach(field => {
+        if (value[field] === undefined) {
+          differences.push({ path: `${path}.${field}`, message: 'missing required field' });
+        }
+      });
+
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        const fieldSchema = schema.properties?.[field];
+        if (fieldSchema) {
+          this.check(fieldValue, fieldSchema, `${path}.${field}`, differences);
+        } else if (schema.additionalProperties === false) {
+          differences.push({ path: `${path}.${field}`, message: 'unexpected field' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.check(fieldValue, schema.additionalProperties, `${path}.${field}`, differences);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate a payload against its catalog schema.
+   * Unknown type/code pairs are reported as known: false with valid: null.
+   */
+  validate(payload) {
+    const entry = this.getEntry(payload);
+
+    if (!entry) {
+      return {
+        known: false,
+        valid: null,
+        description: null,
+        differences: [{ path: '$', message: `${payload.webhook_type}/${payload.webhook_code} is not in the webhook catalog` }]
+      };
+    }
+
+    const differences = [];
+    this.check(payload, entry.schema, '$', differences);
+
+    return {
+      known: true,
+      valid: differences.length === 0,
+      description: entry.description,
+      differences
+    };
+  }
+
+  /**
+   * Build the summary card for a payload: title, tone, details, next step and error remediation
+   */
+  summarize(payload) {
+    const entry = this.getEntry(payload);
+    let summary = {};
+
+    try {
+      summary = entry ? entry.summarize(payload) : {};
+    } catch (error) {
+      console.warn(`Could not summarize ${payload.webhook_type}/${payload.webhook_code}:`, error.message);
+    }
+
+    // Any payload carrying an Item error gets its remediation, catalogued or not
+    const errorCode = payload.error?.error_code;
+
+    return {
+      title: summary.title || entry?.description || `${payload.webhook_type || 'UNKNOWN'} / ${payload.webhook_code || 'UNKNOWN'}`,
+      tone: summary.tone || (errorCode ? 'error' : 'info'),
+      details: summary.details || (errorCode ? [`${errorCode}: ${payload.error.error_message || ''}`] : []),
+      next_step: summary.next_step || null,
+      remediation: summary.remediation || (errorCode ? ERROR_REMEDIATION[errorCode] || null : null)
+    };
+  }
+}
+
+// Create singleton instance
+const webhookSchemaService = new WebhookSchemaService();
+
+module.exports = webhookSchemaService;
@@ -1,10 +1,34 @@
 // src/services/webhookService.js
+const { EventEmitter } = require('events');
 const { itemStore } = require('../storage/itemStore');
+const webhookVerificationService = require('./webhookVerificationService');
+const webhookForwardingService = require('./webhookForwardingService');
+const webhookSchemaService = require('./webhookSchemaService');
+const webhookRetentionService = require('./webhookRetentionService');
+const webhookReactionService = require('./webhookReactionService');
+const apiCallLogService = require('./apiCallLogService');
 
-class WebhookService {
+class WebhookService extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE stream
     this.webhookStore = [];
+    this.nextWebhookId = 1;
+    this.pendingFires = [];
+    this.quarantine = []; // Webhooks that could not be matched to a known item
+    this.nextQuarantineId = 1;
+    this.MAX_QUARANTINE = 500;
+    this.MAX_REPLAY_BATCH = 100;
+    this.AWAIT_LOOKBACK_MS = 60 * 1000; // Awaits also match webhooks that arrived this recently
+    this.AWAIT_MAX_TIMEOUT_MS = 5 * 60 * 1000;
     this.PLAID_ALLOWED_IPS = ['52.21.26.131', '52.21.47.157', '52.41.247.19', '52.88.82.239'];
+
+    // Relay forwarding progress so streams can update the delivery log beside each webhook
+    webhookForwardingService.on('delivery', (webhook, delivery) => this.emit('delivery', webhook, delivery));
+    webhookReactionService.on('reaction', (webhook, reaction) => this.emit('reaction', webhook, reaction));
+
+    // Expire old webhooks on a timer rather than on every read
+    webhookRetentionService.schedule(() => this.purgeOldWebhooks({ scheduled: true }));
   }
 
   /**
@@ -15,6 +39,25 @@ class WebhookService {
     return this.PLAID_ALLOWED_IPS.includes(cleanIP);
   }
 
+  /**
+   * Verify a webhook according to the active verification mode
+   */
+  async verifyWebhook(ip, rawBody, headers, itemInfo, receivedAt = Date.now()) {
+    const mode = webhookVerificationService.getMode();
+    let result;
+
+    if (mode === 'jwt') {
+      result = await webhookVerificationService.verifyJwt(headers['plaid-verification'], rawBody, itemInfo, receivedAt);
+    } else if (mode === 'ip') {
+      const allowed = this.verifyWebhookIP(ip);
+      result = { verified: allowed, method: 'ip', reason: allowed ? null : `IP ${ip} is not a Plaid webhook IP` };
+    } else {
+      result = { verified: false, method: 'none', reason: 'Verification disabled' };
+    }
+
+    return { mode, ...result, checked_at: new Date().toISOString() };
+  }
+
   /**
    * Parse webhook payload
    */
@@ -30,6 +73,15 @@ class WebhookService {
    * Validate webhook payload structure
    */
   validateWebhookPayload(payload) {
+    // Asset Report webhooks identify the report rather than an item
+    if (!payload.item_id && payload.webhook_type === 'ASSETS' && payload.asset_report_id) {
+      const reportInfo = itemStore.get(payload.asset_report_id);
+      if (!reportInfo) {
+        throw new Error(`Unknown asset_report_id: ${payload.asset_report_id}`);
+      }
+      return reportInfo;
+    }
+
     if (!payload.item_id) {
       throw new Error('Missing item_id in webhook payload');
     }
@@ -43,87 +95,371 @@ class WebhookService {
   }
 
   /**
-   * Store webhook data
+   * Store webhook data and start forwarding it to any matching rules.
+   * The raw body and headers are kept so the webhook can be replayed byte for byte.
    */
-  storeWebhook(payload, itemInfo) {
+  storeWebhook(payload, itemInfo, verification, { rawBody = null, headers = {}, replayOf = null, claimedFrom = null, itemId = null } = {}) {
     const webhookData = {
+      id: this.nextWebhookId++,
       timestamp: new Date().toISOString(),
       webhook_type: payload.webhook_type || 'unknown',
       data: payload,
-      item_id: payload.item_id,
+      item_id: payload.item_id || itemId,
       clientId: itemInfo.clientId,
-      verified: true
+      verified: verification.verified,
+      verification,
+      pinned: false,
+      schema: webhookSchemaService.validate(payload),
+      summary: webhookSchemaService.summarize(payload),
+      raw_body: typeof rawBody === 'string' ? rawBody : JSON.stringify(payload),
+      headers: webhookForwardingService.forwardableHeaders(headers)
     };
 
+    // Replays must not be mistaken for the sandbox webhook a fire is waiting on
+    const fire = replayOf ? null : this.matchFiredWebhook(payload);
+    if (replayOf) {
+      webhookData.replay_of = replayOf;
+    }
+    if (claimedFrom) {
+      webhookData.quarantine = claimedFrom;
+    }
+    if (fire) {
+      webhookData.fire_id = fire.fire_id;
+      webhookData.fired_at = fire.fired_at;
+    }
+
+    // Tag the outgoing Plaid call that most likely caused this webhook (replays and claims have no cause)
+    if (!replayOf && !claimedFrom) {
+      apiCallLogService.linkWebhook(webhookData);
+    }
+
     this.webhookStore.push(webhookData);
-    this.purgeOldWebhooks();
+    this.enforceMaxEntries(webhookData.clientId);
+
+    // Re-post the original bytes and headers so Plaid-Verification still checks out downstream
+    webhookForwardingService.forward(webhookData, rawBody, headers);
+
+    // Run any follow-up call the client opted in to; the result is attached when it finishes.
+    // Replays and claims can carry edited or unverified payloads, so they never trigger calls.
+    if (!replayOf && !claimedFrom) {
+      webhookReactionService.react(webhookData, itemInfo);
+    }
+
+    // Notify live subscribers (SSE streams)
+    this.emit('webhook', webhookData);
 
     return webhookData;
   }
 
   /**
-   * Process incoming webhook
+   * Remember a webhook fired through /sandbox/item/fire_webhook so it can be tagged when it arrives
    */
-  processWebhook(ip, rawBody) {
-    // Verify IP
-    if (!this.verifyWebhookIP(ip)) {
-      const error = new Error('Unauthorized IP');
-      error.status = 403;
-      throw error;
-    }
+  registerFiredWebhook({ item_id, webhook_type, webhook_code }) {
+    const cutoff = Date.now() - 10 * 60 * 1000; // Sandbox webhooks arrive within seconds
+    this.pendingFires = this.pendingFires.filter(f => new Date(f.fired_at).getTime() > cutoff);
 
+    const fire = {
+      fire_id: `fire_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      item_id,
+      webhook_type,
+      webhook_code,
+      fired_at: new Date().toISOString()
+    };
+
+    this.pendingFires.push(fire);
+    return fire;
+  }
+
+  /**
+   * Forget a pending fire whose fire_webhook call failed
+   */
+  cancelFiredWebhook(fireId) {
+    this.pendingFires = this.pendingFires.filter(f => f.fire_id !== fireId);
+  }
+
+  /**
+   * Find (and consume) the oldest pending fire matching an incoming payload
+   */
+  matchFiredWebhook(payload) {
+    const index = this.pendingFires.findIndex(f =>
+      f.item_id === payload.item_id &&
+      f.webhook_code === payload.webhook_code &&
+      (!f.webhook_type || f.webhook_type === payload.webhook_type)
+    );
+
+    if (index === -1) return null;
+    return this.pendingFires.splice(index, 1)[0];
+  }
+
+  /**
+   * Process incoming webhook.
+   * options.replay = { webhookId, clientId } re-injects a stored webhook without verifying it again.
+   */
+  async processWebhook(ip, rawBody, headers = {}, options = {}) {
     // Parse payload
     const payload = this.parseWebhookPayload(rawBody);
 
-    // Validate payload and get item info
-    const itemInfo = this.validateWebhookPayload(payload);
+    // Validate payload and get item info; webhooks for unknown items are kept in quarantine
+    let itemInfo;
+    try {
+      itemInfo = this.validateWebhookPayload(payload);
+    } catch (error) {
+      if (options.replay) throw error;
+      return this.quarantineWebhook(payload, error.message, { rawBody, headers, ip });
+    }
+
+    let verification;
+    if (options.replay) {
+      // An edited payload must not land in another client's log
+      if (itemInfo.clientId !== options.replay.clientId) {
+        const error = new Error('Replayed webhook must belong to an item linked with your client ID');
+        error.status = 400;
+        throw error;
+      }
+
+      verification = {
+        mode: webhookVerificationService.getMode(),
+        verified: false,
+        method: 'replay',
+        reason: `Replay of webhook #${options.replay.webhookId}, verification skipped`,
+        checked_at: new Date().toISOString()
+      };
+    } else {
+      // Verify with the item's stored credentials; only mode "none" lets unverified webhooks through
+      verification = await this.verifyWebhook(ip, rawBody, headers, itemInfo);
+      if (!verification.verified && verification.mode !== 'none') {
+        const error = new Error(`Webhook verification failed: ${verification.reason}`);
+        error.status = verification.mode === 'ip' ? 403 : 401;
+        throw error;
+      }
+    }
 
     // Store webhook
-    const webhookData = this.storeWebhook(payload, itemInfo);
+    const webhookData = this.storeWebhook(payload, itemInfo, verification, {
+      rawBody,
+      headers,
+      replayOf: options.replay?.webhookId || null
+    });
 
-    console.log(`✅ Webhook processed: ${payload.webhook_type} for item ${payload.item_id}`);
+    console.log(`✅ Webhook processed: ${payload.webhook_type} for ${payload.item_id ? `item ${payload.item_id}` : `asset report ${payload.asset_report_id}`}`);
 
     return webhookData;
   }
 
   /**
-   * Get all webhooks
+   * Keep a webhook that could not be matched to an item so it can be claimed later
    */
-  getWebhooks() {
-    this.purgeOldWebhooks();
-    return this.webhookStore;
+  quarantineWebhook(payload, reason, { rawBody = null, headers = {}, ip = null } = {}) {
+    const entry = {
+      quarantined: true,
+      quarantine_id: `q_${this.nextQuarantineId++}`,
+      received_at: new Date().toISOString(),
+      reason,
+      webhook_type: payload.webhook_type || 'unknown',
+      webhook_code: payload.webhook_code || null,
+      item_id: payload.item_id || null,
+      asset_report_id: payload.asset_report_id || null,
+      data: payload,
+      raw_body: typeof rawBody === 'string' ? rawBody : JSON.stringify(payload),
+      headers: webhookForwardingService.forwardableHeaders(headers),
+      ip
+    };
+
+    this.quarantine.push(entry);
+    if (this.quarantine.length > this.MAX_QUARANTINE) {
+      this.quarantine.shift();
+    }
+
+    console.log(`🚧 Webhook quarantined: ${entry.webhook_type} ${entry.webhook_code || ''} - ${reason}`);
+    this.emit('quarantine', entry);
+
+    return entry;
   }
 
   /**
-   * Clear all webhooks
+   * List quarantined webhooks, newest first, optionally only those naming one of the given item or asset report IDs
    */
-  clearWebhooks() {
-    this.webhookStore = [];
-    console.log('🗑️ All webhooks cleared');
+  getQuarantine(ownedIds = null) {
+    return this.quarantine
+      .filter(q => !ownedIds || ownedIds.includes(q.item_id) || ownedIds.includes(q.asset_report_id))
+      .slice()
+      .reverse();
+  }
+
+  getQuarantined(quarantineId) {
+    const entry = this.quarantine.find(q => q.quarantine_id === quarantineId);
+    if (!entry) {
+      const error = new Error(`Unknown quarantine_id: ${quarantineId}`);
+      error.status = 400;
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Move a quarantined webhook into the log for a client (itemInfo.clientId), optionally for a specific item.
+   * It is verified again with the claimant's credentials (default itemInfo) as of when it arrived,
+   * and stays in quarantine if that fails.
+   */
+  async claimQuarantined(quarantineId, itemInfo, { itemId = null, credentials = itemInfo } = {}) {
+    const entry = this.getQuarantined(quarantineId);
+
+    const verification = await this.verifyWebhook(entry.ip, entry.raw_body, entry.headers, credentials, new Date(entry.received_at).getTime());
+    if (!verification.verified && verification.mode !== 'none') {
+      const error = new Error(`Webhook verification failed with your credentials: ${verification.reason}`);
+      error.status = verification.mode === 'ip' ? 403 : 401;
+      throw error;
+    }
+
+    // Another claim may have taken it while the verification key was fetched
+    this.getQuarantined(quarantineId);
+    this.quarantine = this.quarantine.filter(q => q !== entry);
+
+    const webhookData = this.storeWebhook(entry.data, itemInfo, verification, {
+      rawBody: entry.raw_body,
+      headers: entry.headers,
+      itemId,
+      claimedFrom: {
+        quarantine_id: entry.quarantine_id,
+        reason: entry.reason,
+        received_at: entry.received_at
+      }
+    });
+
+    console.log(`📥 Quarantined webhook ${quarantineId} claimed for client ${itemInfo.clientId}`);
+    return webhookData;
+  }
+
+  /**
+   * Drop a quarantined webhook
+   */
+  discardQuarantined(quarantineId) {
+    const entry = this.getQuarantined(quarantineId);
+    this.quarantine = this.quarantine.filter(q => q !== entry);
+    return entry;
+  }
+
+  /**
+   * Replay a stored webhook, optionally with an edited payload.
+   * Without a ruleId it is re-injected through processWebhook; with one it is posted to that rule's target.
+   */
+  async replayWebhook(webhookId, clientId, { payload = null, ruleId = null } = {}) {
+    const original = this.getWebhooks(clientId).find(w => w.id === Number(webhookId));
+    if (!original) {
+      const error = new Error(`Unknown webhook id: ${webhookId}`);
+      error.status = 400;
+      throw error;
+    }
+
+    let body = original.raw_body || JSON.stringify(original.data);
+    if (payload !== null && payload !== undefined) {
+      body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      this.parseWebhookPayload(body); // Reject invalid JSON before sending it anywhere
+    }
+
+    if (ruleId) {
+      const rule = webhookForwardingService.getRule(ruleId, clientId);
+      const delivery = webhookForwardingService.startDelivery(original, rule, body, original.headers || {});
+      return { replay_of: original.id, mode: 'forward', delivery };
+    }
+
+    const webhook = await this.processWebhook('replay', body, original.headers || {}, {
+      replay: { webhookId: original.id, clientId }
+    });
+    return { replay_of: original.id, mode: 'inject', webhook };
+  }
+
+  /**
+   * Replay a batch of stored webhooks, oldest first; criteria are the searchWebhooks filters plus webhook_ids
+   */
+  async replayWebhooks(clientId, criteria = {}, { ruleId = null } = {}) {
+    let webhooks = this.searchWebhooks({ ...criteria, clientId, limit: null });
+
+    if (Array.isArray(criteria.webhook_ids)) {
+      const ids = criteria.webhook_ids.map(Number);
+      webhooks = webhooks.filter(w => ids.includes(w.id));
+    }
+
+    webhooks = webhooks.sort((a, b) => a.id - b.id).slice(0, this.MAX_REPLAY_BATCH);
+
+    const results = [];
+    for (const webhook of webhooks) {
+      try {
+        results.push(await this.replayWebhook(webhook.id, clientId, { ruleId }));
+      } catch (error) {
+        results.push({ replay_of: webhook.id, error: error.message });
+      }
+    }
+
+    return results;
   }
 
   /**
-   * Get webhook statistics
+   * Retry a dead-lettered forward, attaching the new delivery to the webhook if it is still stored
    */
-  getWebhookStats() {
-    this.purgeOldWebhooks();
+  retryDeadLetter(deliveryId, clientId) {
+    return webhookForwardingService.retryDeadLetter(deliveryId, clientId,
+      (webhookId) => this.webhookStore.find(w => w.id === webhookId));
+  }
+
+  /**
+   * Get all webhooks, or only those recorded for one client when clientId is given
+   */
+  getWebhooks(clientId = null) {
+    if (!clientId) return this.webhookStore;
+    return this.webhookStore.filter(w => w.clientId === clientId);
+  }
+
+  /**
+   * Clear all webhooks, or only one client's webhooks when clientId is given. Pinned webhooks are kept.
+   */
+  clearWebhooks(clientId = null) {
+    const before = this.webhookStore.length;
+    this.webhookStore = this.webhookStore.filter(w => w.pinned || (clientId && w.clientId !== clientId));
+
+    console.log(`🗑️ ${clientId ? `Webhooks cleared for client ${clientId}` : 'All webhooks cleared'}`);
+    return before - this.webhookStore.length;
+  }
+
+  /**
+   * Pin or unpin one of a client's webhooks; pinned webhooks are never expired or evicted
+   */
+  setPinned(webhookId, clientId, pinned) {
+    const webhook = this.getWebhooks(clientId).find(w => w.id === Number(webhookId));
+    if (!webhook) {
+      const error = new Error(`Unknown webhook id: ${webhookId}`);
+      error.status = 400;
+      throw error;
+    }
+
+    webhook.pinned = !!pinned;
+    return webhook;
+  }
+
+  /**
+   * Get webhook statistics, optionally for a single client
+   */
+  getWebhookStats(clientId = null) {
+    const webhooks = this.getWebhooks(clientId);
     
-    const total = this.webhookStore.length;
-    const verified = this.webhookStore.filter(w => w.verified).length;
-    const lastHour = this.webhookStore.filter(w => 
+    const total = webhooks.length;
+    const verified = webhooks.filter(w => w.verified).length;
+    const schemaInvalid = webhooks.filter(w => w.schema && w.schema.valid === false).length;
+    const schemaUnknown = webhooks.filter(w => w.schema && !w.schema.known).length;
+    const lastHour = webhooks.filter(w => 
       new Date(w.timestamp) > Date.now() - 60 * 60 * 1000
     ).length;
-    const uniqueTypes = new Set(this.webhookStore.map(w => w.webhook_type)).size;
+    const uniqueTypes = new Set(webhooks.map(w => w.webhook_type)).size;
 
     // Group by webhook type
     const typeBreakdown = {};
-    this.webhookStore.forEach(webhook => {
+    webhooks.forEach(webhook => {
       const type = webhook.webhook_type || 'unknown';
       typeBreakdown[type] = (typeBreakdown[type] || 0) + 1;
     });
 
     // Recent webhooks (last 5)
-    const recentWebhooks = this.webhookStore
+    const recentWebhooks = [...webhooks]
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, 5)
       .map(w => ({
@@ -136,73 +472,238 @@ class WebhookService {
     return {
       total,
       verified,
+      schemaInvalid,
+      schemaUnknown,
       uniqueTypes,
       lastHour,
       typeBreakdown,
       recentWebhooks,
-      oldestWebhook: this.webhookStore.length > 0 ? 
-        Math.min(...this.webhookStore.map(w => new Date(w.timestamp).getTime())) : null,
-      newestWebhook: this.webhookStore.length > 0 ? 
-        Math.max(...this.webhookStore.map(w => new Date(w.timestamp).getTime())) : null
+      oldestWebhook: webhooks.length > 0 ? 
+        Math.min(...webhooks.map(w => new Date(w.timestamp).getTime())) : null,
+      newestWebhook: webhooks.length > 0 ? 
+        Math.max(...webhooks.map(w => new Date(w.timestamp).getTime())) : null
     };
   }
 
+  /**
+   * Get webhooks stored after a given webhook id, oldest first (for stream resume)
+   */
+  getWebhooksSince(lastId, clientId = null) {
+    return this.getWebhooks(clientId)
+      .filter(w => w.id > lastId)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Resolve a simple JSON path ($.a.b[0].c) against a payload; undefined when any step is missing
+   */
+  resolveJsonPath(payload, path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+      throw new Error('Predicate path must start with $, e.g. $.error.error_code');
+    }
+
+    const steps = path.slice(1).match(/\.[^.[\]]+|\[\d+\]/g) || [];
+    return steps.reduce((value, step) => {
+      if (value === undefined || value === null) return undefined;
+      const key = step.startsWith('[') ? Number(step.slice(1, -1)) : step.slice(1);
+      return value[key];
+    }, payload);
+  }
+
+  /**
+   * Check a webhook against await criteria: webhook_type, webhook_code, item_id and an optional
+   * predicate { path, equals } on the payload (without equals the path only has to exist)
+   */
+  matchesAwaitCriteria(webhook, { webhook_type, webhook_code, item_id, predicate }) {
+    if (webhook_type && webhook.webhook_type !== webhook_type) return false;
+    if (webhook_code && webhook.data?.webhook_code !== webhook_code) return false;
+    if (item_id && webhook.item_id !== item_id) return false;
+
+    if (predicate) {
+      const value = this.resolveJsonPath(webhook.data, predicate.path);
+      if (value === undefined) return false;
+      if ('equals' in predicate && JSON.stringify(value) !== JSON.stringify(predicate.equals)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Wait for the first of a client's webhooks matching the criteria, checking recent arrivals first.
+   * Returns { result, cancel }: result resolves to { webhook, received } and webhook is null on timeout.
+   */
+  awaitWebhook(clientId, criteria = {}, { timeoutMs = 30000, since = null } = {}) {
+    if (criteria.predicate) {
+      this.resolveJsonPath({}, criteria.predicate.path); // Fail fast on a malformed path
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : Date.now() - this.AWAIT_LOOKBACK_MS;
+    const timeout = Math.min(Math.max(timeoutMs, 0), this.AWAIT_MAX_TIMEOUT_MS);
+
+    const received = () => this.getWebhooks(clientId)
+      .filter(w => new Date(w.timestamp).getTime() >= sinceTime)
+      .sort((a, b) => a.id - b.id);
+
+    let cancel = () => {};
+    const result = new Promise((resolve) => {
+      const [existing] = received().filter(w => this.matchesAwaitCriteria(w, criteria));
+      if (existing) {
+        resolve({ webhook: existing, received: received() });
+        return;
+      }
+
+      const finish = (webhook) => {
+        clearTimeout(timer);
+        this.off('webhook', onWebhook);
+        resolve({ webhook, received: received() });
+      };
+
+      const onWebhook = (webhook) => {
+        if (webhook.clientId === clientId && this.matchesAwaitCriteria(webhook, criteria)) {
+          finish(webhook);
+        }
+      };
+
+      const timer = setTimeout(() => finish(null), timeout);
+      this.on('webhook', onWebhook);
+      cancel = () => finish(null);
+    });
+
+    return { result, cancel };
+  }
+
   /**
    * Get webhooks for a specific item
    */
-  getWebhooksForItem(itemId) {
-    this.purgeOldWebhooks();
-    return this.webhookStore.filter(w => w.item_id === itemId);
+  getWebhooksForItem(itemId, clientId = null) {
+    return this.getWebhooks(clientId).filter(w => w.item_id === itemId);
+  }
+
+  /**
+   * Get Asset Report webhooks for a specific report, newest first
+   */
+  getWebhooksForAssetReport(assetReportId) {
+    return this.webhookStore
+      .filter(w => w.webhook_type === 'ASSETS' && w.data.asset_report_id === assetReportId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
   /**
    * Get webhooks for a specific client
    */
   getWebhooksForClient(clientId) {
-    this.purgeOldWebhooks();
     return this.webhookStore.filter(w => w.clientId === clientId);
   }
 
   /**
    * Get webhooks by type
    */
-  getWebhooksByType(webhookType) {
-    this.purgeOldWebhooks();
-    return this.webhookStore.filter(w => w.webhook_type === webhookType);
+  getWebhooksByType(webhookType, clientId = null) {
+    return this.getWebhooks(clientId).filter(w => w.webhook_type === webhookType);
   }
 
   /**
-   * Cleanup webhooks older than 24 hours
+   * Remove webhooks past their client's (or type's) retention; pinned webhooks are kept
    */
-  purgeOldWebhooks() {
-    const cutoff = Date.now() - 24 * 60 * 60 * 1000; // 24 hours ago
+  purgeOldWebhooks({ scheduled = false } = {}) {
+    const startedAt = Date.now();
     const initialCount = this.webhookStore.length;
     
-    this.webhookStore = this.webhookStore.filter(w => 
-      new Date(w.timestamp).getTime() > cutoff
-    );
+    this.webhookStore = this.webhookStore.filter(w => !webhookRetentionService.isExpired(w, startedAt));
 
     const purgedCount = initialCount - this.webhookStore.length;
+    webhookRetentionService.recordPurge({ expired: purgedCount, startedAt, scheduled });
+
     if (purgedCount > 0) {
       console.log(`🧹 Purged ${purgedCount} old webhooks`);
     }
+
+    return purgedCount;
   }
 
   /**
-   * Export webhooks as JSON
+   * Drop the oldest unpinned webhooks, up to a count per client (clientId -> count)
    */
-  exportWebhooks(format = 'json') {
-    this.purgeOldWebhooks();
+  evictOldest(quotas) {
+    const remaining = new Map(quotas);
+    const before = this.webhookStore.length;
+
+    this.webhookStore = this.webhookStore.filter(w => {
+      if (w.pinned || !(remaining.get(w.clientId) > 0)) return true;
+      remaining.set(w.clientId, remaining.get(w.clientId) - 1);
+      return false;
+    });
+
+    return before - this.webhookStore.length;
+  }
+
+  /**
+   * Quotas that bring the shared store back under its cap. Clients are given an equal share of it,
+   * and webhooks are taken from whichever client is furthest over its share (on a tie, the client
+   * that just stored one), so a client that stays within its share never loses webhooks to another
+   * client's traffic.
+   */
+  storeOverflowQuotas(clientId) {
+    let excess = this.webhookStore.length - webhookRetentionService.defaults.store_max_entries;
+    const quotas = new Map();
+    if (excess <= 0) return quotas;
+
+    const counts = new Map();
+    this.webhookStore.forEach(w => {
+      const count = counts.get(w.clientId) || { total: 0, unpinned: 0 };
+      count.total++;
+      if (!w.pinned) count.unpinned++;
+      counts.set(w.clientId, count);
+    });
+
+    const share = Math.floor(webhookRetentionService.defaults.store_max_entries / counts.size);
+    while (excess > 0) {
+      const [victim, count] = [...counts]
+        .filter(([, c]) => c.total > share && c.unpinned > 0)
+        .sort(([idA, a], [idB, b]) => (b.total - a.total) || ((idB === clientId) - (idA === clientId)))[0] || [];
+      if (!victim) break;
+
+      count.total--;
+      count.unpinned--;
+      quotas.set(victim, (quotas.get(victim) || 0) + 1);
+      excess--;
+    }
+
+    return quotas;
+  }
+
+  /**
+   * Ring-buffer eviction: drop the oldest unpinned webhooks once the client's cap or the shared store cap is exceeded
+   */
+  enforceMaxEntries(clientId) {
+    const clientExcess = this.getWebhooksForClient(clientId).length - webhookRetentionService.getSettings(clientId).max_entries;
+
+    const evicted =
+      (clientExcess > 0 ? this.evictOldest(new Map([[clientId, clientExcess]])) : 0) +
+      this.evictOldest(this.storeOverflowQuotas(clientId));
+
+    if (evicted > 0) {
+      webhookRetentionService.recordPurge({ evicted });
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Export webhooks as JSON or CSV, optionally for a single client
+   */
+  exportWebhooks(format = 'json', clientId = null) {
+    const webhooks = this.getWebhooks(clientId);
     
     if (format === 'json') {
-      return JSON.stringify(this.webhookStore, null, 2);
+      return JSON.stringify(webhooks, null, 2);
     }
     
     if (format === 'csv') {
-      if (this.webhookStore.length === 0) return 'No webhooks to export';
+      if (webhooks.length === 0) return 'No webhooks to export';
       
       const headers = ['timestamp', 'webhook_type', 'item_id', 'clientId', 'verified'];
-      const rows = this.webhookStore.map(w => [
+      const rows = webhooks.map(w => [
         w.timestamp,
         w.webhook_type,
         w.item_id,
@@ -220,8 +721,6 @@ class WebhookService {
    * Search webhooks by criteria
    */
   searchWebhooks(criteria = {}) {
-    this.purgeOldWebhooks();
-    
     let results = [...this.webhookStore];
     
     if (criteria.webhook_type) {
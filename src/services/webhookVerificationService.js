@@ -0,0 +1,166 @@
+// src/services/webhookVerificationService.js
+const crypto = require('crypto');
+const PlaidService = require('./plaidService');
+const { WEBHOOK_VERIFICATION_MODE } = require('../config/environment');
+
+const VERIFICATION_MODES = ['jwt', 'ip', 'none'];
+const MAX_TOKEN_AGE_SECONDS = 5 * 60;
+const CLOCK_SKEW_SECONDS = 60; // Tolerated difference between Plaid's clock and ours
+const KEY_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Re-fetch cached keys after this, so rotated or expired keys are noticed
+
+class WebhookVerificationService {
+  constructor() {
+    this.keyCache = new Map(); // key_id -> { key: JWK from /webhook_verification_key/get, fetched_at }
+
+    if (!VERIFICATION_MODES.includes(WEBHOOK_VERIFICATION_MODE)) {
+      console.warn(`⚠️ Unknown WEBHOOK_VERIFICATION_MODE "${WEBHOOK_VERIFICATION_MODE}", using jwt`);
+    }
+    this.mode = VERIFICATION_MODES.includes(WEBHOOK_VERIFICATION_MODE) ? WEBHOOK_VERIFICATION_MODE : 'jwt';
+  }
+
+  /**
+   * Get the active verification mode
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Change the verification mode at runtime
+   */
+  setMode(mode) {
+    if (!VERIFICATION_MODES.includes(mode)) {
+      const error = new Error(`Verification mode must be one of: ${VERIFICATION_MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    this.mode = mode;
+    console.log(`🔐 Webhook verification mode set to ${mode}`);
+  }
+
+  /**
+   * List the supported modes and cached key IDs
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      modes: VERIFICATION_MODES,
+      cached_key_ids: [...this.keyCache.keys()]
+    };
+  }
+
+  /**
+   * Get a verification key, fetching it with the item's stored credentials on a cache miss
+   * or once the cached copy is stale. Keys that come back expired are not cached.
+   */
+  async getVerificationKey(keyId, credentials) {
+    const cached = this.keyCache.get(keyId);
+    if (cached && Date.now() - cached.fetched_at < KEY_CACHE_TTL_MS) {
+      return cached.key;
+    }
+
+    const key = await PlaidService.forCredentials(credentials).getWebhookVerificationKey(keyId);
+    if (key.expired_at) {
+      this.keyCache.delete(keyId);
+    } else {
+      this.keyCache.set(keyId, { key, fetched_at: Date.now() });
+    }
+
+    return key;
+  }
+
+  /**
+   * Decode one base64url JWT segment as JSON
+   */
+  decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  }
+
+  /**
+   * Verify a Plaid-Verification JWT: ES256 signature, iat freshness and body SHA-256.
+   * Freshness is judged at receivedAt, so a webhook held in quarantine can be checked later.
+   */
+  async verifyJwt(token, rawBody, credentials, receivedAt = Date.now()) {
+    const fail = (reason, keyId = null) => ({ verified: false, method: 'jwt', key_id: keyId, reason });
+
+    if (!token) {
+      return fail('Missing Plaid-Verification header');
+    }
+
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      return fail('Plaid-Verification header is not a JWT');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = this.decodeSegment(segments[0]);
+      claims = this.decodeSegment(segments[1]);
+    } catch (error) {
+      return fail('Plaid-Verification header could not be decoded');
+    }
+
+    if (header.alg !== 'ES256') {
+      return fail(`Unexpected JWT algorithm: ${header.alg}`, header.kid);
+    }
+
+    if (!credentials) {
+      return fail('No stored credentials to fetch the verification key with', header.kid);
+    }
+
+    let key;
+    try {
+      key = await this.getVerificationKey(header.kid, credentials);
+    } catch (error) {
+      return fail(`Could not fetch verification key: ${error.message}`, header.kid);
+    }
+
+    if (key.expired_at) {
+      return fail('Verification key has expired', header.kid);
+    }
+
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey({
+        key: { kty: key.kty, crv: key.crv, x: key.x, y: key.y },
+        format: 'jwk'
+      });
+    } catch (error) {
+      return fail('Invalid verification key', header.kid);
+    }
+
+    const signatureValid = crypto.verify(
+      'sha256',
+      Buffer.from(`${segments[0]}.${segments[1]}`),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(segments[2], 'base64url')
+    );
+    if (!signatureValid) {
+      return fail('Invalid JWT signature', header.kid);
+    }
+
+    const age = Math.floor(receivedAt / 1000) - claims.iat;
+    if (!claims.iat || age > MAX_TOKEN_AGE_SECONDS) {
+      return fail(`JWT is older than ${MAX_TOKEN_AGE_SECONDS / 60} minutes`, header.kid);
+    }
+    if (age < -CLOCK_SKEW_SECONDS) {
+      return fail('JWT was issued in the future', header.kid);
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(rawBody || '', 'utf8').digest('hex');
+    const expectedHash = String(claims.request_body_sha256 || '');
+    if (bodyHash.length !== expectedHash.length ||
+        !crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(expectedHash))) {
+      return fail('Request body SHA-256 does not match the JWT', header.kid);
+    }
+
+    return { verified: true, method: 'jwt', key_id: header.kid, reason: null };
+  }
+}
+
+// Create singleton instance
+const webhookVerificationService = new WebhookVerificationService();
+
+module.exports = webhookVerificationService;
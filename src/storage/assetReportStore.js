@@ -0,0 +1,116 @@
+// src/storage/assetReportStore.js
+const { itemStore } = require('./itemStore');
+const { ErrorService } = require('../services/errorService');
+const webhookReactionService = require('../services/webhookReactionService');
+
+/**
+ * Per-session store of Asset Report tokens.
+ *
+ * Asset Report webhooks carry an asset_report_id instead of an item_id, so each
+ * report is also indexed in the global itemStore to let the webhook service
+ * match PRODUCT_READY and ERROR notifications back to the client that created it.
+ */
+class AssetReportStore {
+  constructor(req) {
+    this.req = req;
+
+    if (!req.session.assetReports) {
+      req.session.assetReports = {};
+    }
+
+    this.reports = req.session.assetReports;
+  }
+
+  /**
+   * List all reports, newest first
+   */
+  list() {
+    return Object.values(this.reports)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Get a single report by asset_report_id
+   */
+  get(assetReportId) {
+    return this.reports[assetReportId] || null;
+  }
+
+  /**
+   * Get a report by asset_report_id or throw a validation error
+   */
+  require(assetReportId) {
+    const report = this.get(assetReportId);
+    if (!report) {
+      throw ErrorService.createValidationError(`Unknown asset_report_id: ${assetReportId}`, 'asset_report_id');
+    }
+    return report;
+  }
+
+  /**
+   * Track a newly created (or refreshed) report
+   */
+  add({ asset_report_token, asset_report_id, item_ids = [], days_requested, client_report_id = null, refreshed_from = null }) {
+    const report = {
+      asset_report_id,
+      asset_report_token,
+      item_ids,
+      days_requested,
+      client_report_id,
+      refreshed_from,
+      status: 'pending',
+      status_webhook: null,
+      audit_copies: [],
+      created_at: new Date().toISOString()
+    };
+
+    this.reports[asset_report_id] = report;
+
+    // Index report for webhook organization
+    itemStore.set(asset_report_id, webhookReactionService.itemStoreEntry(this.req, { assetReportToken: asset_report_token }));
+
+    return report;
+  }
+
+  /**
+   * Record the report status, optionally with the webhook that reported it
+   */
+  setStatus(assetReportId, status, webhook = null) {
+    const report = this.require(assetReportId);
+    report.status = status;
+    if (webhook) {
+      report.status_webhook = {
+        webhook_code: webhook.data.webhook_code,
+        timestamp: webhook.timestamp,
+        error: webhook.data.error || null
+      };
+    }
+    return report;
+  }
+
+  /**
+   * Record an audit copy created for a report
+   */
+  addAuditCopy(assetReportId, { audit_copy_token, auditor_id }) {
+    const report = this.require(assetReportId);
+    const auditCopy = {
+      audit_copy_token,
+      auditor_id,
+      created_at: new Date().toISOString()
+    };
+    report.audit_copies.push(auditCopy);
+    return auditCopy;
+  }
+
+  /**
+   * Stop tracking a report
+   */
+  remove(assetReportId) {
+    const report = this.require(assetReportId);
+    delete this.reports[assetReportId];
+    itemStore.del(assetReportId);
+    return report;
+  }
+}
+
+module.exports = AssetReportStore;
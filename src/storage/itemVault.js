@@ -0,0 +1,219 @@
+// src/storage/itemVault.js
+const { itemStore } = require('./itemStore');
+const { ErrorService } = require('../services/errorService');
+const webhookReactionService = require('../services/webhookReactionService');
+
+/**
+ * Per-session store of linked items.
+ *
+ * Items live on req.session so each logged-in user works against their own
+ * access tokens. Registering an item also indexes it in the global itemStore
+ * so incoming webhooks can be matched back to the client that linked it.
+ */
+class ItemVault {
+  constructor(req) {
+    this.req = req;
+
+    if (!req.session.itemVault) {
+      req.session.itemVault = {
+        items: {},
+        selectedItemId: null
+      };
+    }
+
+    if (!req.session.itemVault.exchangedPublicTokens) {
+      req.session.itemVault.exchangedPublicTokens = {};
+    }
+
+    this.vault = req.session.itemVault;
+  }
+
+  /**
+   * List all items in the vault, newest first
+   */
+  list() {
+    return Object.values(this.vault.items)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Get a single item by item_id
+   */
+  get(itemId) {
+    return this.vault.items[itemId] || null;
+  }
+
+  /**
+   * Get an item by item_id or throw a validation error
+   */
+  require(itemId) {
+    const item = this.get(itemId);
+    if (!item) {
+      throw ErrorService.createValidationError(`Unknown item_id: ${itemId}`, 'item_id');
+    }
+    return item;
+  }
+
+  /**
+   * Add (or replace) an item and select it
+   */
+  add({ access_token, item_id, institution = null, products = [], name = null }) {
+    const existing = this.vault.items[item_id];
+
+    const item = {
+      ...existing,
+      item_id,
+      access_token,
+      institution: institution || existing?.institution || null,
+      products: products.length > 0 ? products : (existing?.products || []),
+      name: name || existing?.name || institution?.name || item_id,
+      created_at: existing?.created_at || new Date().toISOString()
+    };
+
+    this.vault.items[item_id] = item;
+    this.vault.selectedItemId = item_id;
+
+    // Index item for webhook organization
+    itemStore.set(item_id, webhookReactionService.itemStoreEntry(this.req, { accessToken: access_token }));
+
+    return item;
+  }
+
+  /**
+   * Look up item details with /item/get and add the item to the vault
+   */
+  async register(plaidService, { access_token, item_id = null, institution = null }) {
+    let details = null;
+
+    try {
+      details = await plaidService.getItem(access_token);
+    } catch (error) {
+      // Item details are nice to have; the access token alone is enough to test with
+      if (!item_id) throw error;
+      console.warn(`Could not load details for item ${item_id}:`, error.message);
+    }
+
+    const institutionInfo = details?.institution_id || institution ? {
+      id: details?.institution_id || institution?.institution_id || institution?.id || null,
+      name: details?.institution_name || institution?.name || null
+    } : null;
+
+    return this.add({
+      access_token,
+      item_id: item_id || details.item_id,
+      institution: institutionInfo,
+      products: details ? [...new Set([...details.products, ...details.billed_products])] : []
+    });
+  }
+
+  /**
+   * Remember which item a public token was exchanged for
+   */
+  markExchanged(publicToken, itemId) {
+    this.vault.exchangedPublicTokens[publicToken] = itemId;
+  }
+
+  /**
+   * Get the item_id a public token was already exchanged for, if any
+   */
+  getExchangedItemId(publicToken) {
+    return this.vault.exchangedPublicTokens[publicToken] || null;
+  }
+
+  /**
+   * Get the currently selected item
+   */
+  getSelected() {
+    return this.get(this.vault.selectedItemId);
+  }
+
+  /**
+   * Get the selected item or throw if none is selected
+   */
+  requireSelected() {
+    const item = this.getSelected();
+    if (!item) {
+      throw ErrorService.createValidationError('No access token available. Please exchange a public token first.');
+    }
+    return item;
+  }
+
+  /**
+   * Select an item for use by the testers
+   */
+  select(itemId) {
+    const item = this.require(itemId);
+    this.vault.selectedItemId = itemId;
+    return item;
+  }
+
+  /**
+   * Clear the current selection without removing any items
+   */
+  clearSelection() {
+    this.vault.selectedItemId = null;
+  }
+
+  /**
+   * Rename an item
+   */
+  rename(itemId, name) {
+    const item = this.require(itemId);
+    item.name = name;
+    return item;
+  }
+
+  /**
+   * Save the /transactions/sync cursor for an item (null resets it)
+   */
+  setTransactionsCursor(itemId, cursor) {
+    const item = this.require(itemId);
+    item.transactions_cursor = cursor || null;
+    return item;
+  }
+
+  /**
+   * Remove an item from the vault
+   */
+  remove(itemId) {
+    const item = this.require(itemId);
+    delete this.vault.items[itemId];
+
+    if (this.vault.selectedItemId === itemId) {
+      this.vault.selectedItemId = null;
+    }
+
+    return item;
+  }
+
+  /**
+   * Last characters of an access token, enough to tell items apart without exposing the token
+   */
+  static maskToken(token) {
+    return token ? `…${token.slice(-4)}` : null;
+  }
+
+  /**
+   * Summarize an item for API responses; the access token stays on the server
+   */
+  static summarize(item, selectedItemId = null) {
+    return {
+      item_id: item.item_id,
+      name: item.name,
+      institution: item.institution,
+      products: item.products,
+      created_at: item.created_at,
+      selected: item.item_id === selectedItemId,
+      masked_access_token: ItemVault.maskToken(item.access_token)
+    };
+  }
+
+  /**
+   * Summarize every item in the vault
+   */
+  summarizeAll() {
+    return this.list().map(item => ItemVault.summarize(item, this.vault.selectedItemId));
+  }
+}
+
+module.exports = ItemVault;
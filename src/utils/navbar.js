@@ -16,7 +16,12 @@ function generateNavbar(config = {}) {
     { href: '/webhooks.html', text: 'Webhooks', id: 'webhooks' },
     { href: '/auth-tester.html', text: 'Auth', id: 'auth' },
     { href: '/balance-tester.html', text: 'Balance', id: 'balance' },
-    { href: '/identity-tester.html', text: 'Identity', id: 'identity' }
+    { href: '/identity-tester.html', text: 'Identity', id: 'identity' },
+    { href: '/transactions-tester.html', text: 'Transactions', id: 'transactions' },
+    { href: '/investments-tester.html', text: 'Investments', id: 'investments' },
+    { href: '/liabilities-tester.html', text: 'Liabilities', id: 'liabilities' },
+    { href: '/asset-reports.html', text: 'Assets', id: 'assets' },
+    { href: '/inspector.html', text: 'Inspector', id: 'inspector' }
   ];
 
   const navItemsHTML = navItems.map(item => {
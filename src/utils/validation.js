@@ -44,8 +44,22 @@ class ValidationUtils {
    * Validate environment value
    */
   static validateEnvironment(environment) {
-    const validEnvironments = ['sandbox', 'development', 'production'];
-    return validEnvironments.includes(environment);
+    const { PLAID_ENVIRONMENTS } = require('../config/environment');
+    return PLAID_ENVIRONMENTS.includes(environment);
+  }
+
+  /**
+   * Validate Layer template ID format (e.g. template_4uinBNe4hnlj)
+   */
+  static validateTemplateId(templateId) {
+    return typeof templateId === 'string' && /^template_[A-Za-z0-9]+$/.test(templateId.trim());
+  }
+
+  /**
+   * Validate a client user ID: a non-empty identifier without whitespace, at most 128 characters
+   */
+  static validateClientUserId(clientUserId) {
+    return typeof clientUserId === 'string' && /^\S{1,128}$/.test(clientUserId.trim());
   }
 
   /**